@@ -5,36 +5,44 @@
  *   node scripts/backfill-all.js
  *   node scripts/backfill-all.js --batch=200
  *   node scripts/backfill-all.js --dry-run
+ *   node scripts/backfill-all.js --refresh-stale
  *
  * Características:
  *   - Procesa en batches configurables (default 100)
- *   - Reiniciable: solo toma assets sin textEmbedding
+ *   - Reiniciable: solo toma assets sin embedding en el campo vectorial activo (textEmbedding por defecto)
+ *   - Texto según la plantilla compartida con la API (src/config/embedding-template.js)
+ *   - --refresh-stale: también regenera los assets embebidos con otra versión de la plantilla
  *   - Muestra progreso en tiempo real
- *   - Reintenta una vez si OpenAI falla en un asset
+ *   - Reintenta con backoff si el proveedor de embeddings falla (429/5xx)
  *   - Log de errores sin cortar el proceso
  *   - Cierra la conexión MongoDB al finalizar
  */
 
-import { MongoClient } from 'mongodb';
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { connectMongo, getClient } from '../src/config/mongo.js';
+import { getTextEmbeddings, getEmbeddingInfo, buildEmbeddingMetadata } from '../src/services/embedding.service.js';
+import { getActiveEmbeddingConfig } from '../src/services/embedding-config.service.js';
+import { getEmbeddingCacheStats } from '../src/services/embedding-cache.service.js';
+import { buildPendingEmbeddingFilter, buildSkipUpdate } from '../src/services/backfill.service.js';
+import { buildUsageAttribution } from '../src/services/usage.service.js';
+import {
+  buildAssetEmbeddingTextWithReason,
+  getEmbeddingTemplateProjection,
+  EMBEDDING_TEMPLATE_VERSION,
+} from '../src/utils/embedding-text.js';
 
 dotenv.config();
 
 // ── Config ──────────────────────────────────
 const MONGO_URI = process.env.MONGO_URI;
 const DB_NAME = process.env.DB_NAME;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'text-embedding-3-large';
-const EMBEDDING_DIMENSIONS = process.env.EMBEDDING_DIMENSIONS
-  ? Number(process.env.EMBEDDING_DIMENSIONS)
-  : undefined;
 const COLLECTION = 'assets';
 
 // Parse CLI args
 const args = process.argv.slice(2);
 const BATCH_SIZE = Number(args.find((a) => a.startsWith('--batch='))?.split('=')[1]) || 100;
 const DRY_RUN = args.includes('--dry-run');
+const REFRESH_STALE = args.includes('--refresh-stale');
 
 if (!Number.isFinite(BATCH_SIZE) || BATCH_SIZE < 1) {
   console.error('[Error] --batch debe ser un número >= 1');
@@ -44,84 +52,13 @@ if (BATCH_SIZE > 500) {
   console.warn('[Warn] Batch size > 500 puede causar errores/rate limits. Se recomienda <= 200.');
 }
 
-if (!MONGO_URI || !DB_NAME || !OPENAI_API_KEY) {
-  console.error('[Error] Faltan variables de entorno: MONGO_URI, DB_NAME, OPENAI_API_KEY');
+if (!MONGO_URI || !DB_NAME) {
+  console.error('[Error] Faltan variables de entorno: MONGO_URI, DB_NAME');
   console.error('Asegúrate de tener un .env en la carpeta backend/');
   process.exit(1);
 }
 
-console.log(`[Config] Modelo: ${EMBEDDING_MODEL}${EMBEDDING_DIMENSIONS ? `, dimensiones: ${EMBEDDING_DIMENSIONS}` : ' (dimensiones por defecto del modelo)'}`);
 
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
-
-
-function isMeaningfulValue(v) {
-  if (!v) return false;
-  const s = String(v).trim().toLowerCase();
-  if (!s) return false;
-
-  // Common placeholders in inventories
-  const placeholders = new Set([
-    's/m', 's\\m', 's.m',
-    's/n', 's\\n', 's.n',
-    'na', 'n/a', 'n.a.',
-    'sin marca', 'sin modelo',
-    'no aplica', 'no aplica.',
-    'no aplica a',
-    'sin dato', 'sd',
-    '-', '--', '---',
-    'x',
-  ]);
-  if (placeholders.has(s)) return false;
-
-  // Also treat short variants like "s m" / "s n" as placeholders
-  const compact = s.replace(/\s+/g, '');
-  if (compact === 's/m' || compact === 's/n' || compact === 'sm' || compact === 'sn') return false;
-
-  return true;
-}
-
-function buildEmbeddingText(asset) {
-  const parts = [];
-
-  if (isMeaningfulValue(asset.name)) parts.push(String(asset.name).trim());
-  if (isMeaningfulValue(asset.brand)) parts.push(String(asset.brand).trim());
-  if (isMeaningfulValue(asset.model)) parts.push(String(asset.model).trim());
-
-  return parts.join(' ').replace(/\s+/g, ' ').trim();
-}
-
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
-
-function isRetryable(err) {
-  const status = err?.status || err?.response?.status;
-  // OpenAI SDK may expose status on err.status
-  return status === 429 || (status >= 500 && status <= 599) || err?.code === 'ETIMEDOUT' || err?.code === 'ECONNRESET';
-}
-
-async function getEmbeddingsBatch(texts, { maxRetries = 5 } = {}) {
-  // texts: string[]
-  let attempt = 0;
-  while (true) {
-    try {
-      const options = { model: EMBEDDING_MODEL, input: texts };
-      if (Number.isFinite(EMBEDDING_DIMENSIONS) && EMBEDDING_DIMENSIONS > 0) {
-        options.dimensions = EMBEDDING_DIMENSIONS;
-      }
-      const response = await openai.embeddings.create(options);
-      // Ensure same order
-      return response.data.map((d) => d.embedding);
-    } catch (err) {
-      attempt++;
-      if (!isRetryable(err) || attempt > maxRetries) throw err;
-      const backoff = Math.min(30000, 1000 * Math.pow(2, attempt - 1));
-      console.warn(`[Retry] OpenAI batch failed (attempt ${attempt}/${maxRetries}): ${err.message}. Backoff ${backoff}ms`);
-      await sleep(backoff);
-    }
-  }
-}
 
 function formatTime(ms) {
   const s = Math.floor(ms / 1000);
@@ -133,16 +70,23 @@ function formatTime(ms) {
 }
 
 async function main() {
-  const client = new MongoClient(MONGO_URI);
-
   try {
-    await client.connect();
+    // Conexión compartida con src/ para que la caché de embeddings (embedding_cache) esté disponible
+    const { db } = await connectMongo();
     console.log('[MongoDB] Conectado');
 
-    const db = client.db(DB_NAME);
+    // Proveedor/modelo y campo vectorial activos: los de .env (EMBEDDING_PROVIDER, EMBEDDING_MODEL,
+    // EMBEDDING_DIMENSIONS) salvo que una migración de embeddings haya cambiado la configuración activa
+    const config = await getActiveEmbeddingConfig();
+    const EMBEDDING = getEmbeddingInfo(config);
+    console.log(`[Config] Proveedor: ${EMBEDDING.provider}, modelo: ${EMBEDDING.model}${EMBEDDING.dimensions ? `, dimensiones: ${EMBEDDING.dimensions}` : ' (dimensiones por defecto del modelo)'}, campo: ${config.field}`);
+
     const collection = db.collection(COLLECTION);
 
-    const totalPending = await collection.countDocuments({ textEmbedding: { $exists: false } });
+    console.log(`[Config] Plantilla de texto: v${EMBEDDING_TEMPLATE_VERSION}${REFRESH_STALE ? ' (refrescando versiones anteriores)' : ''}`);
+
+    const pendingFilter = buildPendingEmbeddingFilter(config.field, { refreshStale: REFRESH_STALE });
+    const totalPending = await collection.countDocuments(pendingFilter);
     const totalAll = await collection.countDocuments({});
 
     console.log(`[Info] Assets totales: ${totalAll}`);
@@ -160,23 +104,29 @@ async function main() {
     }
 
     const startTime = Date.now();
+    // Consumo de tokens imputado a esta ejecución (GET /ai/usage?groupBy=job)
+    const runId = `backfill-all@${new Date(startTime).toISOString()}`;
+    const attribution = buildUsageAttribution('backfill-all', {}, runId);
     let processed = 0;
     let errors = 0;
     let skipped = 0;
     let batchNumber = 0;
+    // Avanza por _id: un lote con errores no se vuelve a leer en bucle
+    let lastId = null;
 
     while (true) {
       batchNumber++;
       const assets = await collection
         .find(
-          { textEmbedding: { $exists: false }, embeddingSkipReason: { $exists: false } },
-          { projection: { name: 1, brand: 1, model: 1 } }
+          lastId ? { $and: [pendingFilter, { _id: { $gt: lastId } }] } : pendingFilter,
+          { projection: getEmbeddingTemplateProjection() }
         )
         .sort({ _id: 1 })
         .limit(BATCH_SIZE)
         .toArray();
 
       if (assets.length === 0) break;
+      lastId = assets[assets.length - 1]._id;
 
       console.log(`\n── Batch ${batchNumber} (${assets.length} assets) ──`);
 
@@ -185,9 +135,9 @@ async function main() {
       const toSkip = [];
 
       for (const asset of assets) {
-        const embeddingText = buildEmbeddingText(asset);
-        if (!isMeaningfulValue(asset.name)) {
-          toSkip.push(asset);
+        const { text: embeddingText, skipReason } = buildAssetEmbeddingTextWithReason(asset);
+        if (!embeddingText) {
+          toSkip.push({ _id: asset._id, skipReason });
         } else {
           toEmbed.push({ _id: asset._id, embeddingText });
         }
@@ -197,14 +147,8 @@ async function main() {
       if (toSkip.length > 0) {
         const skipOps = toSkip.map((a) => ({
           updateOne: {
-            filter: { _id: a._id, textEmbedding: { $exists: false } },
-            update: {
-              $set: {
-                embeddingSkipReason: 'missing_name',
-                embeddingVersion: 1,
-                embeddingUpdatedAt: new Date(),
-              },
-            },
+            filter: { _id: a._id, ...pendingFilter },
+            update: buildSkipUpdate(a.skipReason),
           },
         }));
         await collection.bulkWrite(skipOps, { ordered: false });
@@ -215,12 +159,13 @@ async function main() {
         continue;
       }
 
-      // Batch call to OpenAI (significantly faster than per-asset calls)
+      // Batch call to the embedding provider (significantly faster than per-asset calls)
       let embeddings;
       try {
-        embeddings = await getEmbeddingsBatch(toEmbed.map((x) => x.embeddingText));
+        // Lotes por tokens, reintentos 429/5xx con backoff + jitter, presupuesto RPM y caché: embedding.service.js
+        ({ embeddings } = await getTextEmbeddings(toEmbed.map((x) => x.embeddingText), { config, attribution }));
       } catch (err) {
-        console.error(`[Error] OpenAI batch failed for batch ${batchNumber}: ${err.message}`);
+        console.error(`[Error] Embeddings batch failed for batch ${batchNumber}: ${err.message}`);
         errors += toEmbed.length;
         continue;
       }
@@ -240,12 +185,13 @@ async function main() {
         ops.push({
           updateOne: {
             // Conditional filter makes this script safe to re-run and prevents race updates
-            filter: { _id, textEmbedding: { $exists: false } },
+            filter: { _id, ...pendingFilter },
             update: {
               $set: {
                 embeddingText,
-                textEmbedding: embedding,
+                [config.field]: embedding,
                 embeddingVersion: 1,
+                ...buildEmbeddingMetadata(config, embedding.length),
                 embeddingUpdatedAt: now,
               },
               $unset: { embeddingSkipReason: '' },
@@ -278,13 +224,16 @@ async function main() {
     console.log(`  Completado en ${formatTime(elapsed)}`);
     console.log(`  Procesados: ${processed}`);
     console.log(`  Errores:    ${errors}`);
-    console.log(`  Omitidos:   ${skipped} (sin name; marcados con embeddingSkipReason)`);
+    const cache = await getEmbeddingCacheStats();
+    console.log(`  Caché:      ${cache.hits} aciertos / ${cache.misses} fallos`);
+    console.log(`  Consumo:    registrado como ${runId}`);
+    console.log(`  Omitidos:   ${skipped} (sin campo requerido; marcados con embeddingSkipReason)`);
     console.log('════════════════════════════════════════');
   } catch (err) {
     console.error('[Fatal]', err.message);
     process.exit(1);
   } finally {
-    await client.close();
+    await getClient()?.close();
     console.log('[MongoDB] Conexión cerrada');
   }
 }
@@ -11,11 +11,23 @@
  *   - Assets con campo location (ID de ubicación, string o ObjectId).
  *
  * Opcional --refresh: también regenera embeddings a assets que ya los tienen (reemplaza).
+ * Opcional --refresh-stale: regenera solo los embebidos con otra versión de la plantilla de texto.
+ * El texto sale de la plantilla compartida con la API (src/config/embedding-template.js).
  */
 
-import { MongoClient, ObjectId } from 'mongodb';
-import OpenAI from 'openai';
+import { ObjectId } from 'mongodb';
 import dotenv from 'dotenv';
+import { connectMongo, getClient } from '../src/config/mongo.js';
+import { getTextEmbeddings, getEmbeddingInfo, buildEmbeddingMetadata } from '../src/services/embedding.service.js';
+import { getActiveEmbeddingConfig } from '../src/services/embedding-config.service.js';
+import { getEmbeddingCacheStats } from '../src/services/embedding-cache.service.js';
+import { buildPendingEmbeddingFilter, buildSkipUpdate } from '../src/services/backfill.service.js';
+import { buildUsageAttribution } from '../src/services/usage.service.js';
+import {
+  buildAssetEmbeddingTextWithReason,
+  getEmbeddingTemplateProjection,
+  EMBEDDING_TEMPLATE_VERSION,
+} from '../src/utils/embedding-text.js';
 
 dotenv.config();
 
@@ -25,11 +37,6 @@ const ASSETS_COLLECTION = 'assets';
 // ── Config ──────────────────────────────────
 const MONGO_URI = process.env.MONGO_URI;
 const DB_NAME = process.env.DB_NAME;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'text-embedding-3-large';
-const EMBEDDING_DIMENSIONS = process.env.EMBEDDING_DIMENSIONS
-  ? Number(process.env.EMBEDDING_DIMENSIONS)
-  : undefined;
 
 const args = process.argv.slice(2);
 const locationArg = args.find((a) => a.startsWith('--location='));
@@ -37,6 +44,7 @@ const LOCATION_ID = locationArg ? locationArg.split('=')[1]?.trim() : null;
 const BATCH_SIZE = Number(args.find((a) => a.startsWith('--batch='))?.split('=')[1]) || 100;
 const DRY_RUN = args.includes('--dry-run');
 const REFRESH = args.includes('--refresh');
+const REFRESH_STALE = args.includes('--refresh-stale');
 
 if (!LOCATION_ID) {
   console.error('[Error] Falta --location=<id>. Ejemplo: --location=675a09bf7fecb101a9e86dd4');
@@ -50,16 +58,13 @@ if (BATCH_SIZE > 500) {
   console.warn('[Warn] Batch size > 500 puede causar errores/rate limits. Se recomienda <= 200.');
 }
 
-if (!MONGO_URI || !DB_NAME || !OPENAI_API_KEY) {
-  console.error('[Error] Faltan variables de entorno: MONGO_URI, DB_NAME, OPENAI_API_KEY');
+if (!MONGO_URI || !DB_NAME) {
+  console.error('[Error] Faltan variables de entorno: MONGO_URI, DB_NAME');
   process.exit(1);
 }
 
 console.log(`[Config] Ubicación: ${LOCATION_ID}`);
-console.log(`[Config] Modelo: ${EMBEDDING_MODEL}${EMBEDDING_DIMENSIONS ? `, dimensiones: ${EMBEDDING_DIMENSIONS}` : ''}`);
-console.log(`[Config] Batch: ${BATCH_SIZE}, dry-run: ${DRY_RUN}, refresh: ${REFRESH}`);
-
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
+console.log(`[Config] Batch: ${BATCH_SIZE}, dry-run: ${DRY_RUN}, refresh: ${REFRESH}, refresh-stale: ${REFRESH_STALE}`);
 
 // ── Expandir ubicación + hijas/subhijas (misma lógica que location-filter) ──
 function newLocationsRecursive(allLocations, parentIds, acc) {
@@ -86,59 +91,6 @@ async function getLocationIdsForScope(db) {
   return ids;
 }
 
-// ── Helpers (igual que backfill-all) ──
-function isMeaningfulValue(v) {
-  if (!v) return false;
-  const s = String(v).trim().toLowerCase();
-  if (!s) return false;
-  const placeholders = new Set([
-    's/m', 's\\m', 's.m', 's/n', 's\\n', 's.n', 'na', 'n/a', 'n.a.',
-    'sin marca', 'sin modelo', 'no aplica', 'no aplica.', 'no aplica a',
-    'sin dato', 'sd', '-', '--', '---', 'x',
-  ]);
-  if (placeholders.has(s)) return false;
-  const compact = s.replace(/\s+/g, '');
-  if (compact === 's/m' || compact === 's/n' || compact === 'sm' || compact === 'sn') return false;
-  return true;
-}
-
-function buildEmbeddingText(asset) {
-  const parts = [];
-  if (isMeaningfulValue(asset.name)) parts.push(String(asset.name).trim());
-  if (isMeaningfulValue(asset.brand)) parts.push(String(asset.brand).trim());
-  if (isMeaningfulValue(asset.model)) parts.push(String(asset.model).trim());
-  return parts.join(' ').replace(/\s+/g, ' ').trim();
-}
-
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
-
-function isRetryable(err) {
-  const status = err?.status || err?.response?.status;
-  return status === 429 || (status >= 500 && status <= 599) || err?.code === 'ETIMEDOUT' || err?.code === 'ECONNRESET';
-}
-
-async function getEmbeddingsBatch(texts, { maxRetries = 5 } = {}) {
-  let attempt = 0;
-  while (true) {
-    try {
-      const options = { model: EMBEDDING_MODEL, input: texts };
-      if (Number.isFinite(EMBEDDING_DIMENSIONS) && EMBEDDING_DIMENSIONS > 0) {
-        options.dimensions = EMBEDDING_DIMENSIONS;
-      }
-      const response = await openai.embeddings.create(options);
-      return response.data.map((d) => d.embedding);
-    } catch (err) {
-      attempt++;
-      if (!isRetryable(err) || attempt > maxRetries) throw err;
-      const backoff = Math.min(30000, 1000 * Math.pow(2, attempt - 1));
-      console.warn(`[Retry] OpenAI (attempt ${attempt}/${maxRetries}): ${err.message}. Backoff ${backoff}ms`);
-      await sleep(backoff);
-    }
-  }
-}
-
 function formatTime(ms) {
   const s = Math.floor(ms / 1000);
   const m = Math.floor(s / 60);
@@ -149,13 +101,17 @@ function formatTime(ms) {
 }
 
 async function main() {
-  const client = new MongoClient(MONGO_URI);
-
   try {
-    await client.connect();
+    // Conexión compartida con src/ para que la caché de embeddings (embedding_cache) esté disponible
+    const { db } = await connectMongo();
     console.log('[MongoDB] Conectado');
 
-    const db = client.db(DB_NAME);
+    // Proveedor/modelo y campo vectorial activos: los de .env (EMBEDDING_PROVIDER, EMBEDDING_MODEL,
+    // EMBEDDING_DIMENSIONS) salvo que una migración de embeddings haya cambiado la configuración activa
+    const config = await getActiveEmbeddingConfig();
+    const EMBEDDING = getEmbeddingInfo(config);
+    console.log(`[Config] Proveedor: ${EMBEDDING.provider}, modelo: ${EMBEDDING.model}${EMBEDDING.dimensions ? `, dimensiones: ${EMBEDDING.dimensions}` : ' (dimensiones por defecto del modelo)'}, campo: ${config.field}`);
+
     const collection = db.collection(ASSETS_COLLECTION);
 
     const locationIds = await getLocationIdsForScope(db);
@@ -167,11 +123,10 @@ async function main() {
       validOids.length > 0
         ? { $or: [{ location: { $in: locationIds } }, { location: { $in: validOids } }] }
         : { location: { $in: locationIds } };
-    const pendingQuery = { ...locationQuery };
-    if (!REFRESH) {
-      pendingQuery.textEmbedding = { $exists: false };
-      pendingQuery.embeddingSkipReason = { $exists: false };
-    }
+    console.log(`[Config] Plantilla de texto: v${EMBEDDING_TEMPLATE_VERSION}`);
+    const pendingQuery = REFRESH
+      ? locationQuery
+      : { $and: [locationQuery, buildPendingEmbeddingFilter(config.field, { refreshStale: REFRESH_STALE })] };
 
     const totalPending = await collection.countDocuments(pendingQuery);
     const totalInScope = await collection.countDocuments(locationQuery);
@@ -191,20 +146,29 @@ async function main() {
     }
 
     const startTime = Date.now();
+    // Consumo de tokens imputado a esta ejecución (GET /ai/usage?groupBy=job)
+    const runId = `backfill-by-location@${new Date(startTime).toISOString()}`;
+    const attribution = buildUsageAttribution('backfill-by-location', {}, runId);
     let processed = 0;
     let errors = 0;
     let skipped = 0;
     let batchNumber = 0;
+    // Avanza por _id: con --refresh los assets procesados siguen cumpliendo el filtro
+    let lastId = null;
 
     while (true) {
       batchNumber++;
       const assets = await collection
-        .find(pendingQuery, { projection: { _id: 1, name: 1, brand: 1, model: 1 } })
+        .find(
+          lastId ? { $and: [pendingQuery, { _id: { $gt: lastId } }] } : pendingQuery,
+          { projection: getEmbeddingTemplateProjection() }
+        )
         .sort({ _id: 1 })
         .limit(BATCH_SIZE)
         .toArray();
 
       if (assets.length === 0) break;
+      lastId = assets[assets.length - 1]._id;
 
       console.log(`\n── Batch ${batchNumber} (${assets.length} assets) ──`);
 
@@ -212,9 +176,9 @@ async function main() {
       const toSkip = [];
 
       for (const asset of assets) {
-        const embeddingText = buildEmbeddingText(asset);
-        if (!isMeaningfulValue(asset.name)) {
-          toSkip.push(asset);
+        const { text: embeddingText, skipReason } = buildAssetEmbeddingTextWithReason(asset);
+        if (!embeddingText) {
+          toSkip.push({ _id: asset._id, skipReason });
         } else {
           toEmbed.push({ _id: asset._id, embeddingText });
         }
@@ -224,13 +188,7 @@ async function main() {
         const skipOps = toSkip.map((a) => ({
           updateOne: {
             filter: { _id: a._id },
-            update: {
-              $set: {
-                embeddingSkipReason: 'missing_name',
-                embeddingVersion: 1,
-                embeddingUpdatedAt: new Date(),
-              },
-            },
+            update: buildSkipUpdate(a.skipReason),
           },
         }));
         await collection.bulkWrite(skipOps, { ordered: false });
@@ -241,9 +199,10 @@ async function main() {
 
       let embeddings;
       try {
-        embeddings = await getEmbeddingsBatch(toEmbed.map((x) => x.embeddingText));
+        // Lotes por tokens, reintentos 429/5xx con backoff + jitter, presupuesto RPM y caché: embedding.service.js
+        ({ embeddings } = await getTextEmbeddings(toEmbed.map((x) => x.embeddingText), { config, attribution }));
       } catch (err) {
-        console.error(`[Error] OpenAI batch ${batchNumber}: ${err.message}`);
+        console.error(`[Error] Embeddings batch ${batchNumber}: ${err.message}`);
         errors += toEmbed.length;
         continue;
       }
@@ -262,8 +221,9 @@ async function main() {
               update: {
                 $set: {
                   embeddingText: item.embeddingText,
-                  textEmbedding: emb,
+                  [config.field]: emb,
                   embeddingVersion: 1,
+                  ...buildEmbeddingMetadata(config, emb.length),
                   embeddingUpdatedAt: now,
                 },
                 $unset: { embeddingSkipReason: '' },
@@ -292,13 +252,16 @@ async function main() {
     console.log(`  Completado en ${formatTime(elapsed)}`);
     console.log(`  Procesados: ${processed}`);
     console.log(`  Errores:    ${errors}`);
+    const cache = await getEmbeddingCacheStats();
+    console.log(`  Caché:      ${cache.hits} aciertos / ${cache.misses} fallos`);
+    console.log(`  Consumo:    registrado como ${runId}`);
     console.log(`  Omitidos:   ${skipped}`);
     console.log('════════════════════════════════════════');
   } catch (err) {
     console.error('[Fatal]', err.message);
     process.exit(1);
   } finally {
-    await client.close();
+    await getClient()?.close();
     console.log('[MongoDB] Conexión cerrada');
   }
 }
@@ -0,0 +1,95 @@
+/**
+ * Script para calcular assets.identifierKeys (identificadores normalizados, src/services/identifier-search.service.js)
+ * en todos los assets. La búsqueda por identificador los compara con los tokens de la query, así que "CN0F2X3Y"
+ * encuentra un serial guardado como "CN-0F2X3Y" (y al revés). Después, el watcher de embeddings los mantiene al día.
+ *
+ * Uso:
+ *   node scripts/backfill-identifier-keys.js
+ *   node scripts/backfill-identifier-keys.js --batch=1000
+ *   node scripts/backfill-identifier-keys.js --dry-run
+ *
+ * Características:
+ *   - No llama al proveedor de embeddings (no consume tokens)
+ *   - Usa los campos de ASSET_IDENTIFIER_FIELDS; relanzarlo tras cambiar la variable recalcula las claves
+ *   - Solo escribe los assets cuyas claves cambiaron; se puede relanzar
+ *   - Crea el índice { identifierKeys: 1 }
+ *   - Cierra la conexión MongoDB al finalizar
+ */
+
+import { connectMongo, getClient } from '../src/config/mongo.js';
+import { env } from '../src/config/env.js';
+import { assetIdentifierKeys } from '../src/services/identifier-search.service.js';
+
+const COLLECTION = 'assets';
+
+const args = process.argv.slice(2);
+const BATCH_SIZE = Number(args.find((a) => a.startsWith('--batch='))?.split('=')[1]) || 500;
+const DRY_RUN = args.includes('--dry-run');
+
+if (!Number.isFinite(BATCH_SIZE) || BATCH_SIZE < 1) {
+  console.error('[Error] --batch debe ser un número >= 1');
+  process.exit(1);
+}
+
+async function main() {
+  try {
+    const { db } = await connectMongo();
+    console.log('[MongoDB] Conectado');
+    console.log(`[Campos] ${env.ASSET_IDENTIFIER_FIELDS.join(', ')}`);
+    const collection = db.collection(COLLECTION);
+    const projection = {
+      _id: 1,
+      identifierKeys: 1,
+      ...Object.fromEntries(env.ASSET_IDENTIFIER_FIELDS.map((field) => [field, 1])),
+    };
+
+    let scanned = 0;
+    let updated = 0;
+    let withKeys = 0;
+    let lastId = null;
+
+    while (true) {
+      const docs = await collection
+        .find(lastId ? { _id: { $gt: lastId } } : {}, { projection })
+        .sort({ _id: 1 })
+        .limit(BATCH_SIZE)
+        .toArray();
+      if (docs.length === 0) break;
+      lastId = docs[docs.length - 1]._id;
+      scanned += docs.length;
+
+      const ops = [];
+      for (const doc of docs) {
+        const identifierKeys = assetIdentifierKeys(doc);
+        if (identifierKeys.length > 0) withKeys++;
+        if ((doc.identifierKeys || []).join('|') === identifierKeys.join('|')) continue;
+        ops.push({
+          updateOne: {
+            filter: { _id: doc._id },
+            update: identifierKeys.length > 0 ? { $set: { identifierKeys } } : { $unset: { identifierKeys: '' } },
+          },
+        });
+      }
+
+      if (ops.length > 0 && !DRY_RUN) await collection.bulkWrite(ops, { ordered: false });
+      updated += ops.length;
+      console.log(`  [Progreso] ${scanned} revisados | ${updated} ${DRY_RUN ? 'por actualizar' : 'actualizados'}`);
+    }
+
+    if (!DRY_RUN) await collection.createIndex({ identifierKeys: 1 }, { sparse: true });
+
+    console.log('\n════════════════════════════════════════');
+    console.log(`  Revisados:            ${scanned}`);
+    console.log(`  Con identificadores:  ${withKeys}`);
+    console.log(`  Actualizados:         ${updated}${DRY_RUN ? ' (dry-run, sin escribir)' : ''}`);
+    console.log('════════════════════════════════════════');
+  } catch (err) {
+    console.error('[Fatal]', err.message);
+    process.exitCode = 1;
+  } finally {
+    await getClient()?.close();
+    console.log('[MongoDB] Conexión cerrada');
+  }
+}
+
+main();
@@ -0,0 +1,87 @@
+/**
+ * Script para calcular assets.modelKey (número de modelo canónico, src/utils/model-key.js) en todos los assets.
+ * La búsqueda híbrida lo usa para encontrar y premiar los activos cuyo modelo coincide con el de la fila SAP
+ * ("LJ-4000 N" = "LaserJet 4000n" = "LJ4000N"). Después, el watcher de embeddings lo mantiene al día.
+ *
+ * Uso:
+ *   node scripts/backfill-model-keys.js
+ *   node scripts/backfill-model-keys.js --batch=1000
+ *   node scripts/backfill-model-keys.js --dry-run
+ *
+ * Características:
+ *   - No llama al proveedor de embeddings (no consume tokens)
+ *   - Solo escribe los assets cuyo modelKey cambió; se puede relanzar
+ *   - Crea el índice { modelKey: 1 }
+ *   - Cierra la conexión MongoDB al finalizar
+ */
+
+import { connectMongo, getClient } from '../src/config/mongo.js';
+import { canonicalModelKey } from '../src/utils/model-key.js';
+
+const COLLECTION = 'assets';
+
+const args = process.argv.slice(2);
+const BATCH_SIZE = Number(args.find((a) => a.startsWith('--batch='))?.split('=')[1]) || 500;
+const DRY_RUN = args.includes('--dry-run');
+
+if (!Number.isFinite(BATCH_SIZE) || BATCH_SIZE < 1) {
+  console.error('[Error] --batch debe ser un número >= 1');
+  process.exit(1);
+}
+
+async function main() {
+  try {
+    const { db } = await connectMongo();
+    console.log('[MongoDB] Conectado');
+    const collection = db.collection(COLLECTION);
+
+    let scanned = 0;
+    let updated = 0;
+    let withKey = 0;
+    let lastId = null;
+
+    while (true) {
+      const docs = await collection
+        .find(lastId ? { _id: { $gt: lastId } } : {}, { projection: { _id: 1, brand: 1, model: 1, modelKey: 1 } })
+        .sort({ _id: 1 })
+        .limit(BATCH_SIZE)
+        .toArray();
+      if (docs.length === 0) break;
+      lastId = docs[docs.length - 1]._id;
+      scanned += docs.length;
+
+      const ops = [];
+      for (const doc of docs) {
+        const modelKey = canonicalModelKey(doc.model, doc.brand);
+        if (modelKey) withKey++;
+        if ((doc.modelKey ?? null) === modelKey) continue;
+        ops.push({
+          updateOne: {
+            filter: { _id: doc._id },
+            update: modelKey ? { $set: { modelKey } } : { $unset: { modelKey: '' } },
+          },
+        });
+      }
+
+      if (ops.length > 0 && !DRY_RUN) await collection.bulkWrite(ops, { ordered: false });
+      updated += ops.length;
+      console.log(`  [Progreso] ${scanned} revisados | ${updated} ${DRY_RUN ? 'por actualizar' : 'actualizados'}`);
+    }
+
+    if (!DRY_RUN) await collection.createIndex({ modelKey: 1 }, { sparse: true });
+
+    console.log('\n════════════════════════════════════════');
+    console.log(`  Revisados:     ${scanned}`);
+    console.log(`  Con modelKey:  ${withKey}`);
+    console.log(`  Actualizados:  ${updated}${DRY_RUN ? ' (dry-run, sin escribir)' : ''}`);
+    console.log('════════════════════════════════════════');
+  } catch (err) {
+    console.error('[Fatal]', err.message);
+    process.exitCode = 1;
+  } finally {
+    await getClient()?.close();
+    console.log('[MongoDB] Conexión cerrada');
+  }
+}
+
+main();
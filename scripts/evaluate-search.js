@@ -0,0 +1,145 @@
+/**
+ * Script de evaluación offline de la búsqueda híbrida (src/services/search-evaluation.service.js).
+ * Repite la búsqueda de las filas decididas como "match" en jobs completados con una o varias configuraciones
+ * de fusión y compara recall@1/5/10, MRR y precisión de auto-conciliación. El informe se guarda en JSON para
+ * comparar ejecuciones en el tiempo.
+ *
+ * Uso:
+ *   node scripts/evaluate-search.js
+ *   node scripts/evaluate-search.js --config=vec70:vectorWeight=0.7,textWeight=0.2 --config=k20:rrfK=20
+ *   node scripts/evaluate-search.js --configs=tuning.json       # [{ "name": "...", "vectorWeight": 0.6, ... }]
+ *   node scripts/evaluate-search.js --job=<jobId> --max-rows=500 --include-auto
+ *   node scripts/evaluate-search.js --out=evaluations/base.json --compare=evaluations/anterior.json
+ *   node scripts/evaluate-search.js --details                   # guarda el rank de cada fila
+ *
+ * Características:
+ *   - La configuración actual ("default") se evalúa siempre, como referencia
+ *   - Sin re-ranker (--reranker=llm|cross-encoder para incluirlo) ni memoria de feedback
+ *   - Embeddings de las descripciones con caché; el consumo se registra como evaluate-search@<fecha>
+ *   - Por defecto guarda en evaluations/search-<fecha>.json
+ *   - Cierra la conexión MongoDB al finalizar
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { connectMongo, getClient } from '../src/config/mongo.js';
+import { evaluateSearch, DEFAULT_CONFIGURATION_NAME } from '../src/services/search-evaluation.service.js';
+
+const args = process.argv.slice(2);
+const argValue = (name) => args.find((a) => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+const argValues = (name) => args.filter((a) => a.startsWith(`--${name}=`)).map((a) => a.slice(name.length + 3));
+
+const MAX_ROWS = argValue('max-rows') != null ? Number(argValue('max-rows')) : null;
+const RERANKER = argValue('reranker') || 'off';
+const INCLUDE_AUTO = args.includes('--include-auto');
+const DETAILS = args.includes('--details');
+const COMPARE = argValue('compare');
+const OUT = argValue('out');
+
+if (MAX_ROWS != null && (!Number.isInteger(MAX_ROWS) || MAX_ROWS < 1)) {
+  console.error('[Error] --max-rows debe ser un entero >= 1');
+  process.exit(1);
+}
+
+/** "--config=nombre:clave=valor,clave=valor" -> { name, clave: valor, ... } */
+function parseConfigArg(raw) {
+  const [name, params = ''] = raw.split(':');
+  const config = { name };
+  for (const pair of params.split(',').filter(Boolean)) {
+    const [key, value] = pair.split('=');
+    config[key] = value;
+  }
+  return config;
+}
+
+function loadConfigurations() {
+  const configs = argValues('config').map(parseConfigArg);
+  const file = argValue('configs');
+  if (file) {
+    const fromFile = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(fromFile)) throw new Error(`${file} debe contener un array de configuraciones`);
+    configs.push(...fromFile);
+  }
+  if (!configs.some((c) => c.name === DEFAULT_CONFIGURATION_NAME)) {
+    configs.unshift({ name: DEFAULT_CONFIGURATION_NAME });
+  }
+  return configs;
+}
+
+const pct = (value) => (value == null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`);
+// Diferencia con la ejecución comparada: puntos porcentuales (recall) o valor absoluto (MRR)
+const delta = (current, previous, { percent = true } = {}) => {
+  if (previous == null) return '';
+  const diff = percent ? (current - previous) * 100 : current - previous;
+  return ` (${diff >= 0 ? '+' : ''}${diff.toFixed(percent ? 1 : 4)})`;
+};
+
+function printReport(report, previous) {
+  const previousByName = new Map((previous?.configurations || []).map((c) => [c.name, c.metrics]));
+
+  console.log('\n════════════════════════════════════════');
+  console.log(`  Jobs:   ${report.dataset.jobs}`);
+  console.log(`  Filas:  ${report.dataset.rows}${report.options.includeAuto ? ' (incluye auto-conciliadas)' : ''}`);
+  console.log(`  Motor:  ${report.environment.searchEngine}, embeddings ${report.environment.embedding.model}`);
+  if (previous) console.log(`  Comparado con: ${previous.runId} (${previous.dataset?.rows ?? '?'} filas)`);
+
+  for (const config of report.configurations) {
+    const { metrics, tuning } = config;
+    const before = previousByName.get(config.name);
+    console.log(`\n  ${config.name}  vector=${tuning.vectorWeight} texto=${tuning.textWeight} rrfK=${tuning.rrfK} fetch=${tuning.fetchMultiplier}`);
+    for (const [k, value] of Object.entries(metrics.recall)) {
+      console.log(`    recall${k.padEnd(4)} ${pct(value)}${delta(value, before?.recall?.[k])}`);
+    }
+    console.log(`    MRR        ${metrics.mrr.toFixed(4)}${delta(metrics.mrr, before?.mrr, { percent: false })}`);
+    console.log(`    Encontrado ${pct(metrics.found)}${config.errors ? `   errores: ${config.errors}` : ''}`);
+    console.log('    Auto-conciliación del mejor candidato (umbral: cobertura / precisión):');
+    metrics.autoReconcile.byScore.forEach((s, i) => {
+      const p = metrics.autoReconcile.byProbability?.[i];
+      const byProbability = p ? `   probabilidad ${pct(p.coverage)} / ${pct(p.precision)}` : '';
+      console.log(`      ≥ ${s.threshold.toFixed(2)}  score ${pct(s.coverage)} / ${pct(s.precision)}${byProbability}`);
+    });
+  }
+}
+
+async function main() {
+  try {
+    const configurations = loadConfigurations();
+    const previous = COMPARE ? JSON.parse(fs.readFileSync(COMPARE, 'utf8')) : null;
+
+    await connectMongo();
+    console.log('[MongoDB] Conectado');
+
+    let lastLogged = 0;
+    const report = await evaluateSearch({
+      configurations,
+      jobIds: argValues('job'),
+      maxRows: MAX_ROWS,
+      includeAuto: INCLUDE_AUTO,
+      reranker: RERANKER,
+      details: DETAILS,
+      onProgress: ({ configuration, done, total }) => {
+        if (done === total || Date.now() - lastLogged > 5000) {
+          lastLogged = Date.now();
+          console.log(`  [${configuration}] ${done}/${total}`);
+        }
+      },
+    });
+
+    const outFile = OUT || path.join('evaluations', `search-${report.startedAt.toISOString().replace(/[:.]/g, '-')}.json`);
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, JSON.stringify(report, null, 2));
+
+    printReport(report, previous);
+    console.log('\n════════════════════════════════════════');
+    console.log(`  Resultado:  ${outFile}`);
+    console.log(`  Consumo:    registrado como ${report.runId}`);
+  } catch (err) {
+    console.error('[Fatal]', err.message);
+    process.exitCode = 1;
+  } finally {
+    await getClient()?.close();
+    console.log('[MongoDB] Conexión cerrada');
+  }
+}
+
+main();
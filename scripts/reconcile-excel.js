@@ -7,9 +7,12 @@
  *   node scripts/reconcile-excel.js "/ruta/al/archivo.xlsx" --location=675a09bf7fecb101a9e86dd4
  *   node scripts/reconcile-excel.js "/ruta/al/archivo.xlsx" --min-score=0.85
  *   node scripts/reconcile-excel.js "/ruta/al/archivo.xlsx" --no-auto   # solo sugerencias, sin conciliación automática
+ *   node scripts/reconcile-excel.js "/ruta/al/archivo.xlsx" --server=https://api.ejemplo.com   # contra un servidor remoto
+ *   node scripts/reconcile-excel.js "/ruta/al/archivo.xlsx" --server=https://api.ejemplo.com --timeout=3600   # segundos máx. de espera
  *
  * Requisitos:
- *   - .env con MONGO_URI, DB_NAME, OPENAI_API_KEY (y opcional EMBEDDING_MODEL, EMBEDDING_DIMENSIONS)
+ *   - Modo local: .env con MONGO_URI, DB_NAME y el proveedor de embeddings (EMBEDDING_PROVIDER; OPENAI_API_KEY por defecto)
+ *   - Modo remoto (--server o TAGVENTORY_API_URL): TAGVENTORY_API_KEY con permisos jobs:create, jobs:decide y jobs:read
  *   - El Excel debe tener una columna de descripción (auto-detectada o primera columna)
  *
  * Al terminar imprime el jobId para ver/exportar en la app o GET /ai/reconciliation/job/:jobId/export
@@ -27,10 +30,12 @@ const sheetArg = args.find((a) => a.startsWith('--sheet='));
 const locationArg = args.find((a) => a.startsWith('--location='));
 const descriptionColArg = args.find((a) => a.startsWith('--description-column='));
 const minScoreArg = args.find((a) => a.startsWith('--min-score='));
+const serverArg = args.find((a) => a.startsWith('--server='));
+const timeoutArg = args.find((a) => a.startsWith('--timeout='));
 const noAuto = args.includes('--no-auto');
 
 if (!filePath || !filePath.trim()) {
-  console.error('Uso: node scripts/reconcile-excel.js "/ruta/al/archivo.xlsx" [--sheet=0] [--location=ID] [--description-column=nombre] [--min-score=0.70] [--no-auto]');
+  console.error('Uso: node scripts/reconcile-excel.js "/ruta/al/archivo.xlsx" [--sheet=0] [--location=ID] [--description-column=nombre] [--min-score=0.70] [--no-auto] [--server=URL] [--timeout=segundos]');
   process.exit(1);
 }
 
@@ -47,8 +52,137 @@ const DEFAULT_MIN_SCORE = 0.7; // más recall para conciliación automática por
 const minScore = minScoreArg != null
   ? Math.max(0, Math.min(1, Number(minScoreArg.split('=')[1]) || DEFAULT_MIN_SCORE))
   : DEFAULT_MIN_SCORE;
+const serverUrl = (serverArg ? serverArg.split('=').slice(1).join('=') : process.env.TAGVENTORY_API_URL || '')
+  .trim()
+  .replace(/\/+$/, '');
+const POLL_INTERVAL_MS = 3000;
+// Modo remoto: espera máxima del procesamiento y tiempo sin avanzar processedRows antes de abortar
+const DEFAULT_TIMEOUT_S = 3600;
+const STALL_TIMEOUT_MS = 5 * 60 * 1000;
+const timeoutMs = (timeoutArg != null ? Number(timeoutArg.split('=')[1]) : DEFAULT_TIMEOUT_S) * 1000;
+if (!Number.isFinite(timeoutMs) || timeoutMs <= 0) {
+  console.error('[Error] --timeout debe ser un número de segundos > 0');
+  process.exit(1);
+}
+
+function readRows(readExcelToJson) {
+  const buffer = fs.readFileSync(resolvedPath);
+  return readExcelToJson(buffer, {
+    sheetIndex,
+    descriptionColumn: descriptionColumn || undefined,
+  });
+}
+
+function printSummary({ jobId, totalRows, withSuggestions, withMatch, autoMatched, baseUrl }) {
+  console.log('\n════════════════════════════════════════');
+  console.log('  Job completado');
+  console.log('  jobId:', jobId);
+  console.log('  Filas con sugerencias:', withSuggestions, '/', totalRows);
+  console.log('  Filas con match:', withMatch);
+  if (!noAuto) console.log('  Conciliación automática:', autoMatched, 'filas');
+  console.log('  Ver en la app o: GET ' + baseUrl + '/ai/reconciliation/job/' + jobId);
+  console.log('  Export Excel: GET ' + baseUrl + '/ai/reconciliation/job/' + jobId + '/export');
+  console.log('════════════════════════════════════════\n');
+}
+
+// ── Modo remoto: mismo flujo vía HTTP autenticado con API key ──
+async function apiRequest(method, urlPath, body) {
+  const res = await fetch(`${serverUrl}${urlPath}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-API-Key': process.env.TAGVENTORY_API_KEY,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(`${method} ${urlPath} → ${res.status}: ${data.message || res.statusText}`);
+  }
+  return data;
+}
+
+async function mainRemote() {
+  if (!process.env.TAGVENTORY_API_KEY) {
+    console.error('[Error] Falta TAGVENTORY_API_KEY en el entorno para usar --server');
+    process.exit(1);
+  }
+  const { readExcelToJson } = await import('../src/services/files.service.js');
+
+  console.log('[1/5] Servidor remoto:', serverUrl);
+
+  console.log('[2/5] Leyendo Excel:', resolvedPath);
+  const { rows, totalRows, sheetName } = readRows(readExcelToJson);
+  if (!rows.length) {
+    console.error('[Error] No se encontraron filas en el Excel. Revisa la hoja o la columna de descripción.');
+    process.exit(1);
+  }
+  console.log(`      Filas leídas: ${totalRows} (hoja: ${sheetName})`);
+
+  const locationFilterIds = locationId ? [locationId] : null;
+  if (locationFilterIds) console.log('      Filtro ubicación:', locationId);
+
+  console.log('[3/5] Creando job de conciliación...');
+  const { jobId, totalRows: jobTotal } = await apiRequest('POST', '/ai/reconciliation/job', { rows, locationFilterIds });
+  console.log(`      Job creado: ${jobId} (${jobTotal} filas)`);
+
+  console.log('[4/5] Procesando job en el servidor (polling cada 3s)...');
+  const start = Date.now();
+  await apiRequest('POST', `/ai/reconciliation/job/${jobId}/process`);
+  let status = 'processing';
+  let lastProcessed = -1;
+  let lastProgressAt = Date.now();
+  while (status !== 'completed') {
+    await new Promise((r) => setTimeout(r, POLL_INTERVAL_MS));
+    const job = await apiRequest('GET', `/ai/reconciliation/job/${jobId}?limit=1`);
+    status = job.status;
+    process.stdout.write(`\r      ${job.processedRows}/${job.totalRows} filas`);
+
+    // Los errores de processJob solo quedan en el log del servidor: el job no avanza, se aborta
+    if (!['pending', 'processing', 'completed'].includes(status)) {
+      process.stdout.write('\n');
+      throw new Error(`El servidor reporta el job ${jobId} en estado "${status}"`);
+    }
+    if (job.processedRows !== lastProcessed) {
+      lastProcessed = job.processedRows;
+      lastProgressAt = Date.now();
+    } else if (status !== 'completed' && Date.now() - lastProgressAt > STALL_TIMEOUT_MS) {
+      process.stdout.write('\n');
+      throw new Error(`El job ${jobId} no avanza desde hace ${STALL_TIMEOUT_MS / 60000} min (${job.processedRows}/${job.totalRows} filas). Revisa el log del servidor`);
+    }
+    if (status !== 'completed' && Date.now() - start > timeoutMs) {
+      process.stdout.write('\n');
+      throw new Error(`El job ${jobId} no terminó en ${timeoutMs / 1000}s (${job.processedRows}/${job.totalRows} filas). Usa --timeout para esperar más`);
+    }
+  }
+  const elapsed = ((Date.now() - start) / 1000).toFixed(1);
+  console.log(`\n      Procesado en ${elapsed}s`);
+
+  let autoMatched = 0;
+  if (!noAuto) {
+    console.log(`[5/5] Conciliación automática (umbral ≥ ${(minScore * 100).toFixed(0)}%)...`);
+    const result = await apiRequest('POST', `/ai/reconciliation/job/${jobId}/auto-reconcile`, { minScore });
+    autoMatched = result.autoMatched ?? 0;
+    console.log(`      Filas conciliadas automáticamente: ${autoMatched}`);
+  } else {
+    console.log('[5/5] Omitido (--no-auto). Solo se generaron sugerencias.');
+  }
+
+  const PAGE = 2000;
+  let withSuggestions = 0;
+  let withMatch = 0;
+  for (let offset = 0; offset < jobTotal; offset += PAGE) {
+    const page = await apiRequest('GET', `/ai/reconciliation/job/${jobId}?offset=${offset}&limit=${PAGE}`);
+    withSuggestions += (page.rows || []).filter((r) => r.suggestions?.length > 0).length;
+    withMatch += (page.rows || []).filter((r) => r.decision === 'match').length;
+  }
+
+  printSummary({ jobId, totalRows: jobTotal, withSuggestions, withMatch, autoMatched, baseUrl: serverUrl });
+}
 
 async function main() {
+  if (serverUrl) return mainRemote();
+
   // Importaciones dinámicas para que dotenv ya haya cargado
   const { connectMongo } = await import('../src/config/mongo.js');
   const { readExcelToJson } = await import('../src/services/files.service.js');
@@ -58,11 +192,7 @@ async function main() {
   await connectMongo();
 
   console.log('[2/5] Leyendo Excel:', resolvedPath);
-  const buffer = fs.readFileSync(resolvedPath);
-  const { rows, totalRows, sheetName } = readExcelToJson(buffer, {
-    sheetIndex,
-    descriptionColumn: descriptionColumn || undefined,
-  });
+  const { rows, totalRows, sheetName } = readRows(readExcelToJson);
 
   if (!rows.length) {
     console.error('[Error] No se encontraron filas en el Excel. Revisa la hoja o la columna de descripción.');
@@ -87,7 +217,7 @@ async function main() {
   let autoMatched = 0;
   if (!noAuto) {
     console.log(`[5/5] Conciliación automática (umbral ≥ ${(minScore * 100).toFixed(0)}%)...`);
-    const result = await autoReconcileJob(jobId, minScore);
+    const result = await autoReconcileJob(jobId, minScore, { userName: 'reconcile-excel', authType: 'script' });
     autoMatched = result.autoMatched ?? 0;
     console.log(`      Filas conciliadas automáticamente: ${autoMatched}`);
   } else {
@@ -97,15 +227,7 @@ async function main() {
   const job = await getJobAllRows(jobId);
   const withSuggestions = (job.rows || []).filter((r) => r.suggestions?.length > 0).length;
   const withMatch = (job.rows || []).filter((r) => r.decision === 'match').length;
-  console.log('\n════════════════════════════════════════');
-  console.log('  Job completado');
-  console.log('  jobId:', jobId);
-  console.log('  Filas con sugerencias:', withSuggestions, '/', job.totalRows);
-  console.log('  Filas con match:', withMatch);
-  if (!noAuto) console.log('  Conciliación automática:', autoMatched, 'filas');
-  console.log('  Ver en la app o: GET /ai/reconciliation/job/' + jobId);
-  console.log('  Export Excel: GET /ai/reconciliation/job/' + jobId + '/export');
-  console.log('════════════════════════════════════════\n');
+  printSummary({ jobId, totalRows: job.totalRows, withSuggestions, withMatch, autoMatched, baseUrl: '' });
 
   const { getClient } = await import('../src/config/mongo.js');
   const client = getClient();
@@ -113,7 +235,7 @@ async function main() {
   process.exit(0);
 }
 
-main().catch((err) => {
+main().then(() => process.exit(0)).catch((err) => {
   console.error('[Fatal]', err.message);
   process.exit(1);
 });
@@ -0,0 +1,95 @@
+/**
+ * Script para reentrenar el modelo de calibración (score híbrido -> probabilidad de match) con las decisiones
+ * de los revisores en jobs completados, e imprimir sus métricas de fiabilidad (src/services/calibration.service.js).
+ * El modelo guardado pasa a ser el activo: la búsqueda y los jobs nuevos devuelven `probability`.
+ *
+ * Uso:
+ *   node scripts/train-calibration.js
+ *   node scripts/train-calibration.js --method=isotonic
+ *   node scripts/train-calibration.js --holdout=0.3 --top-k=20
+ *   node scripts/train-calibration.js --dry-run      # solo métricas, no guarda el modelo
+ *   node scripts/train-calibration.js --json         # imprime el resultado completo en JSON
+ *
+ * Características:
+ *   - No llama al proveedor de embeddings ni al LLM (usa las sugerencias guardadas de los jobs)
+ *   - Métricas sobre una partición de validación por filas (--holdout) y comparadas con el score sin calibrar
+ *   - Cierra la conexión MongoDB al finalizar
+ */
+
+import { connectMongo, getClient } from '../src/config/mongo.js';
+import { trainCalibration } from '../src/services/calibration.service.js';
+
+const args = process.argv.slice(2);
+const argValue = (name) => args.find((a) => a.startsWith(`--${name}=`))?.split('=')[1];
+const METHOD = argValue('method') || 'logistic';
+const HOLDOUT = argValue('holdout') != null ? Number(argValue('holdout')) : 0.2;
+const TOP_K = argValue('top-k') != null ? Number(argValue('top-k')) : 10;
+const DRY_RUN = args.includes('--dry-run');
+const JSON_OUTPUT = args.includes('--json');
+
+if (!Number.isFinite(HOLDOUT) || HOLDOUT < 0 || HOLDOUT > 0.5) {
+  console.error('[Error] --holdout debe ser un número entre 0 y 0.5');
+  process.exit(1);
+}
+if (!Number.isFinite(TOP_K) || TOP_K < 2) {
+  console.error('[Error] --top-k debe ser un número >= 2');
+  process.exit(1);
+}
+
+const pct = (value) => (value == null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`);
+
+function printMetrics(label, metrics) {
+  if (!metrics) {
+    console.log(`\n  ${label}: sin datos suficientes`);
+    return;
+  }
+  const { calibrated, rawScore, autoReconcile } = metrics;
+  console.log(`\n  ${label} (${calibrated.samples} candidatos, ${autoReconcile.rows} filas)`);
+  console.log('                 Brier    LogLoss  ECE');
+  console.log(`    Calibrado    ${calibrated.brier.toFixed(4)}   ${calibrated.logLoss.toFixed(4)}   ${calibrated.ece.toFixed(4)}`);
+  console.log(`    Score crudo  ${rawScore.brier.toFixed(4)}   ${rawScore.logLoss.toFixed(4)}   ${rawScore.ece.toFixed(4)}`);
+  console.log('    Fiabilidad (tramo de probabilidad -> acierto observado):');
+  for (const bin of calibrated.bins) {
+    console.log(`      ${bin.from.toFixed(1)}-${bin.to.toFixed(1)}  n=${String(bin.count).padStart(5)}  prob ${pct(bin.meanPredicted)}  real ${pct(bin.observed)}`);
+  }
+  console.log('    Auto-conciliación del mejor candidato (umbral: cobertura / precisión):');
+  autoReconcile.byProbability.forEach((p, i) => {
+    const s = autoReconcile.byScore[i];
+    console.log(`      ≥ ${p.threshold.toFixed(2)}  probabilidad ${pct(p.coverage)} / ${pct(p.precision)}   score ${pct(s.coverage)} / ${pct(s.precision)}`);
+  });
+}
+
+async function main() {
+  try {
+    await connectMongo();
+    console.log('[MongoDB] Conectado');
+
+    const model = await trainCalibration(
+      { method: METHOD, holdout: HOLDOUT, topK: TOP_K, dryRun: DRY_RUN },
+      { userName: 'train-calibration' }
+    );
+
+    if (JSON_OUTPUT) {
+      console.log(JSON.stringify(model, null, 2));
+      return;
+    }
+
+    console.log('\n════════════════════════════════════════');
+    console.log(`  Método:     ${model.method}`);
+    console.log(`  Jobs:       ${model.dataset.jobs}`);
+    console.log(`  Filas:      ${model.dataset.rows}`);
+    console.log(`  Candidatos: ${model.dataset.samples} (${model.dataset.positives} positivos)`);
+    printMetrics('Validación', model.metrics.validation);
+    printMetrics('Entrenamiento', model.metrics.training);
+    console.log('\n════════════════════════════════════════');
+    console.log(DRY_RUN ? '  Dry-run: el modelo no se guardó' : `  Modelo activo: ${model.id}`);
+  } catch (err) {
+    console.error('[Fatal]', err.message);
+    process.exitCode = 1;
+  } finally {
+    await getClient()?.close();
+    console.log('[MongoDB] Conexión cerrada');
+  }
+}
+
+main();
@@ -0,0 +1,66 @@
+/**
+ * Worker que re-embebe automáticamente los assets creados o editados (name/brand/model...).
+ * Es el mismo watcher que arranca la API con EMBEDDING_WATCHER, como proceso independiente.
+ *
+ * Uso:
+ *   node scripts/watch-embeddings.js
+ *   node scripts/watch-embeddings.js --mode=poll --interval=10000
+ *
+ * Opciones:
+ *   --mode=auto|change-stream|poll   default: EMBEDDING_WATCHER de .env, o auto si está en off
+ *   --interval=<ms>                  intervalo de polling (default EMBEDDING_WATCHER_POLL_MS o 30000)
+ *
+ * Características:
+ *   - Change stream sobre assets (replica set / Atlas) o polling por updatedAt y _id
+ *   - Solo re-embebe si cambia el texto de la plantilla (src/config/embedding-template.js)
+ *   - Reanuda tras reiniciar (resume token / marca de agua en embedding_watcher_state)
+ *   - Solo un watcher activo a la vez entre la API y este script (lease)
+ *   - Ctrl+C lo detiene liberando el lease
+ */
+
+import { connectMongo, getClient } from '../src/config/mongo.js';
+import { env } from '../src/config/env.js';
+import {
+  startAssetEmbeddingWatcher,
+  stopAssetEmbeddingWatcher,
+  getAssetEmbeddingWatcherStatus,
+} from '../src/services/asset-embedding-watcher.service.js';
+
+const args = process.argv.slice(2);
+const MODE = args.find((a) => a.startsWith('--mode='))?.split('=')[1]
+  || (env.EMBEDDING_WATCHER === 'off' ? 'auto' : env.EMBEDDING_WATCHER);
+const INTERVAL = Number(args.find((a) => a.startsWith('--interval='))?.split('=')[1]) || env.EMBEDDING_WATCHER_POLL_MS;
+
+// Resumen periódico de lo procesado
+const REPORT_MS = 60 * 1000;
+
+async function main() {
+  await connectMongo();
+  console.log('[MongoDB] Conectado');
+
+  startAssetEmbeddingWatcher({ mode: MODE, pollMs: INTERVAL });
+
+  const report = setInterval(() => {
+    const { mode, active, stats } = getAssetEmbeddingWatcherStatus();
+    console.log(
+      `[Watcher] ${active ? `modo ${mode}` : 'en espera (otra instancia tiene el lease)'} | eventos: ${stats.events}`
+      + ` | re-embebidos: ${stats.reembedded} | sin cambios: ${stats.unchanged} | omitidos: ${stats.skipped} | errores: ${stats.errors}`
+    );
+  }, REPORT_MS);
+
+  const shutdown = async () => {
+    console.log('\n[Watcher] Deteniendo...');
+    clearInterval(report);
+    await stopAssetEmbeddingWatcher();
+    await getClient()?.close();
+    console.log('[MongoDB] Conexión cerrada');
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch((err) => {
+  console.error('[Fatal]', err.message);
+  process.exit(1);
+});
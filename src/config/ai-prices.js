@@ -0,0 +1,71 @@
+import fs from 'fs';
+import path from 'path';
+import { env } from './env.js';
+
+/**
+ * Tabla de precios para estimar el costo de embeddings y LLM (USD por millón de tokens).
+ * Clave: "proveedor:modelo" o solo "modelo" (la primera tiene prioridad). `input` aplica a los tokens
+ * de entrada (prompt) y `output` a los generados (completion); los embeddings solo tienen `input`.
+ * Se puede reemplazar o ampliar con un JSON en AI_PRICES_FILE: { "modelo": { "input": 0.13, "output": 0 } }.
+ *
+ * Los proveedores locales (transformers, offline) no tienen costo.
+ */
+export const DEFAULT_AI_PRICES = {
+  'text-embedding-3-large': { input: 0.13 },
+  'text-embedding-3-small': { input: 0.02 },
+  'text-embedding-ada-002': { input: 0.1 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+};
+
+const FREE_PROVIDERS = new Set(['transformers', 'offline']);
+
+function validatePrices(prices) {
+  const errors = [];
+  for (const [key, price] of Object.entries(prices)) {
+    for (const kind of ['input', 'output']) {
+      const value = price?.[kind];
+      if (value !== undefined && (typeof value !== 'number' || value < 0)) {
+        errors.push(`"${key}.${kind}" debe ser un número >= 0`);
+      }
+    }
+  }
+  return errors;
+}
+
+function loadPrices() {
+  if (!env.AI_PRICES_FILE) return DEFAULT_AI_PRICES;
+
+  const file = path.resolve(env.AI_PRICES_FILE);
+  let custom;
+  try {
+    custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.error(`[ai-prices] No se pudo leer ${file}: ${err.message}`);
+    process.exit(1);
+  }
+
+  const prices = { ...DEFAULT_AI_PRICES, ...custom };
+  const errors = validatePrices(prices);
+  if (errors.length > 0) {
+    console.error(`[ai-prices] Tabla de precios no válida (${file}):\n  - ${errors.join('\n  - ')}`);
+    process.exit(1);
+  }
+  return prices;
+}
+
+export const aiPrices = loadPrices();
+
+/**
+ * Precio de un modelo, { input, output } en USD por millón de tokens, o null si no está en la tabla.
+ * @param {string} provider
+ * @param {string} model
+ */
+export function getModelPrice(provider, model) {
+  if (FREE_PROVIDERS.has(provider)) return { input: 0, output: 0 };
+  const price = aiPrices[`${provider}:${model}`] || aiPrices[model];
+  if (!price) return null;
+  return { input: price.input ?? 0, output: price.output ?? 0 };
+}
@@ -0,0 +1,115 @@
+import fs from 'fs';
+import path from 'path';
+import { env } from './env.js';
+
+/**
+ * Plantilla del texto de embedding de un activo: qué campos se concatenan, qué valores se descartan
+ * por ser placeholders de inventario ("S/M", "N/A"...) y cómo se normaliza el resultado.
+ * Se puede reemplazar con un JSON en EMBEDDING_TEMPLATE_FILE (misma forma que DEFAULT_EMBEDDING_TEMPLATE).
+ *
+ * Al cambiar la plantilla hay que incrementar `version`: se guarda en cada activo (embeddingTemplateVersion)
+ * para encontrar y refrescar los vectores generados con una versión anterior.
+ *
+ * Campo: { field, label?, required?, placeholders?, normalize?, maxLength? }
+ *  - field: ruta en el activo (admite notación con puntos; los arreglos se unen con " / ")
+ *  - label: prefijo opcional ("Serie: ABC123")
+ *  - required: si falta (o es placeholder) el activo no se embebe
+ *  - placeholders: nombres de diccionarios de `placeholders`
+ *  - normalize: reglas que sobrescriben las globales para este campo
+ */
+export const DEFAULT_EMBEDDING_TEMPLATE = {
+  version: 2,
+  separator: ' ',
+  normalize: {
+    trim: true,
+    collapseWhitespace: true,
+    case: 'none', // none | lower | upper
+    stripAccents: false,
+  },
+  maxLength: 1000,
+  fields: [
+    { field: 'name', required: true, placeholders: ['common'] },
+    { field: 'brand', placeholders: ['common', 'brand'] },
+    { field: 'model', placeholders: ['common', 'model'] },
+  ],
+  // Valores que no aportan información (se comparan sin mayúsculas y también sin espacios: "s m" = "sm")
+  placeholders: {
+    common: [
+      's/m', 's\\m', 's.m', 'sm',
+      's/n', 's\\n', 's.n', 'sn',
+      'na', 'n/a', 'n.a.',
+      'sin dato', 'sd',
+      'no aplica', 'no aplica.', 'no aplica a',
+      '-', '--', '---',
+      'x',
+    ],
+    brand: ['sin marca', 'generico', 'genérico', 'generica', 'genérica'],
+    model: ['sin modelo'],
+    serial: ['sin serie', 'sin numero de serie', 'sin número de serie', '0'],
+    category: ['sin categoria', 'sin categoría', 'otros'],
+  },
+};
+
+// Campos que puede usar una plantilla (los de la colección assets que tiene sentido embeber)
+export const EMBEDDING_TEMPLATE_FIELDS = [
+  'name',
+  'brand',
+  'model',
+  'category',
+  'description',
+  'serial',
+  'locationPath',
+];
+
+const CASES = new Set(['none', 'lower', 'upper']);
+
+function validateTemplate(template) {
+  const errors = [];
+  if (!Number.isInteger(template.version) || template.version < 1) errors.push('"version" debe ser un entero >= 1');
+  if (!Array.isArray(template.fields) || template.fields.length === 0) errors.push('"fields" no puede estar vacío');
+
+  for (const f of template.fields || []) {
+    const root = String(f?.field || '').split('.')[0];
+    if (!EMBEDDING_TEMPLATE_FIELDS.includes(root)) {
+      errors.push(`campo no soportado: "${f?.field}" (opciones: ${EMBEDDING_TEMPLATE_FIELDS.join(', ')})`);
+    }
+    for (const dict of f?.placeholders || []) {
+      if (!template.placeholders?.[dict]) errors.push(`diccionario de placeholders inexistente: "${dict}"`);
+    }
+    const fieldCase = f?.normalize?.case;
+    if (fieldCase && !CASES.has(fieldCase)) errors.push(`normalize.case no válido en "${f.field}": ${fieldCase}`);
+  }
+  if (template.normalize?.case && !CASES.has(template.normalize.case)) {
+    errors.push(`normalize.case no válido: ${template.normalize.case}`);
+  }
+  return errors;
+}
+
+function loadTemplate() {
+  if (!env.EMBEDDING_TEMPLATE_FILE) return DEFAULT_EMBEDDING_TEMPLATE;
+
+  const file = path.resolve(env.EMBEDDING_TEMPLATE_FILE);
+  let custom;
+  try {
+    custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.error(`[embedding-template] No se pudo leer ${file}: ${err.message}`);
+    process.exit(1);
+  }
+
+  // Los diccionarios propios se suman a los de la plantilla por defecto
+  const template = {
+    ...DEFAULT_EMBEDDING_TEMPLATE,
+    ...custom,
+    normalize: { ...DEFAULT_EMBEDDING_TEMPLATE.normalize, ...custom.normalize },
+    placeholders: { ...DEFAULT_EMBEDDING_TEMPLATE.placeholders, ...custom.placeholders },
+  };
+  const errors = validateTemplate(template);
+  if (errors.length > 0) {
+    console.error(`[embedding-template] Plantilla no válida (${file}):\n  - ${errors.join('\n  - ')}`);
+    process.exit(1);
+  }
+  return template;
+}
+
+export const embeddingTemplate = loadTemplate();
@@ -2,7 +2,68 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
-const required = ['MONGO_URI', 'DB_NAME', 'OPENAI_API_KEY'];
+// Proveedor de embeddings: openai | azure-openai | openai-compatible | transformers | offline
+const EMBEDDING_PROVIDER = (process.env.EMBEDDING_PROVIDER || 'openai').trim().toLowerCase();
+
+// Variables requeridas según el proveedor de embeddings elegido
+const PROVIDER_REQUIRED = {
+  openai: ['OPENAI_API_KEY'],
+  'azure-openai': ['AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_DEPLOYMENT'],
+  'openai-compatible': ['EMBEDDING_BASE_URL'],
+  transformers: [],
+  offline: [],
+};
+
+// Modelo por defecto de cada proveedor (openai-compatible no tiene uno razonable: se exige EMBEDDING_MODEL)
+const PROVIDER_DEFAULT_MODEL = {
+  openai: 'text-embedding-3-large',
+  'azure-openai': 'text-embedding-3-large',
+  'openai-compatible': null,
+  transformers: 'Xenova/multilingual-e5-small',
+  // Vectores deterministas por hashing de n-gramas (desarrollo y pruebas sin red)
+  offline: 'hashed-char-ngrams-v1',
+};
+
+// Solo los modelos de OpenAI aceptan reducir dimensiones; el resto usa las nativas del modelo
+const PROVIDERS_WITH_DIMENSIONS = new Set(['openai', 'azure-openai', 'offline']);
+
+if (!PROVIDER_REQUIRED[EMBEDDING_PROVIDER]) {
+  console.error(
+    `[env] EMBEDDING_PROVIDER no válido: "${EMBEDDING_PROVIDER}". Opciones: ${Object.keys(PROVIDER_REQUIRED).join(', ')}`
+  );
+  process.exit(1);
+}
+
+// Re-embebido automático de activos editados: off | auto | change-stream | poll
+const EMBEDDING_WATCHER = (process.env.EMBEDDING_WATCHER || 'off').trim().toLowerCase();
+if (!['off', 'auto', 'change-stream', 'poll'].includes(EMBEDDING_WATCHER)) {
+  console.error(`[env] EMBEDDING_WATCHER no válido: "${EMBEDDING_WATCHER}". Opciones: off, auto, change-stream, poll`);
+  process.exit(1);
+}
+
+// Re-ranking de los mejores candidatos de la búsqueda híbrida: off | llm | cross-encoder
+const RERANKER = (process.env.RERANKER || 'off').trim().toLowerCase();
+if (!['off', 'llm', 'cross-encoder'].includes(RERANKER)) {
+  console.error(`[env] RERANKER no válido: "${RERANKER}". Opciones: off, llm, cross-encoder`);
+  process.exit(1);
+}
+
+// Extracción de atributos de las descripciones SAP: off | rules | llm (con reglas si el LLM falla)
+const ATTRIBUTE_EXTRACTOR = (process.env.ATTRIBUTE_EXTRACTOR || 'rules').trim().toLowerCase();
+if (!['off', 'rules', 'llm'].includes(ATTRIBUTE_EXTRACTOR)) {
+  console.error(`[env] ATTRIBUTE_EXTRACTOR no válido: "${ATTRIBUTE_EXTRACTOR}". Opciones: off, rules, llm`);
+  process.exit(1);
+}
+
+// Reintentos de llamadas al proveedor (embeddings y LLM): entero >= 0
+const EMBEDDING_MAX_RETRIES = process.env.EMBEDDING_MAX_RETRIES?.trim() ? Number(process.env.EMBEDDING_MAX_RETRIES) : 5;
+if (!Number.isInteger(EMBEDDING_MAX_RETRIES) || EMBEDDING_MAX_RETRIES < 0) {
+  console.error(`[env] EMBEDDING_MAX_RETRIES no válido: "${process.env.EMBEDDING_MAX_RETRIES}". Debe ser un entero >= 0`);
+  process.exit(1);
+}
+
+const required = ['MONGO_URI', 'DB_NAME', ...PROVIDER_REQUIRED[EMBEDDING_PROVIDER]];
+if (!PROVIDER_DEFAULT_MODEL[EMBEDDING_PROVIDER]) required.push('EMBEDDING_MODEL');
 const missing = required.filter((key) => !process.env[key]);
 
 if (missing.length > 0) {
@@ -15,10 +76,65 @@ export const env = {
   MONGO_URI: process.env.MONGO_URI,
   DB_NAME: process.env.DB_NAME,
   OPENAI_API_KEY: process.env.OPENAI_API_KEY,
-  // Modelo de embeddings (por defecto, el de mayor calidad actual)
-  EMBEDDING_MODEL: process.env.EMBEDDING_MODEL || 'text-embedding-3-large',
-  // Dimensiones del vector para el índice de MongoDB (por defecto 1536 para compatibilidad)
+  EMBEDDING_PROVIDER,
+  // Modelo de embeddings (por defecto, el de mayor calidad actual del proveedor)
+  EMBEDDING_MODEL: process.env.EMBEDDING_MODEL || PROVIDER_DEFAULT_MODEL[EMBEDDING_PROVIDER],
+  // Dimensiones del vector para el índice de MongoDB (por defecto 1536 para compatibilidad en OpenAI/Azure/offline)
   EMBEDDING_DIMENSIONS: process.env.EMBEDDING_DIMENSIONS
     ? Number(process.env.EMBEDDING_DIMENSIONS)
-    : 1536,
+    : PROVIDERS_WITH_DIMENSIONS.has(EMBEDDING_PROVIDER) ? 1536 : undefined,
+  // Azure OpenAI (EMBEDDING_PROVIDER=azure-openai)
+  AZURE_OPENAI_ENDPOINT: process.env.AZURE_OPENAI_ENDPOINT,
+  AZURE_OPENAI_API_KEY: process.env.AZURE_OPENAI_API_KEY,
+  AZURE_OPENAI_DEPLOYMENT: process.env.AZURE_OPENAI_DEPLOYMENT,
+  AZURE_OPENAI_API_VERSION: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+  // Servidor compatible con la API de OpenAI (EMBEDDING_PROVIDER=openai-compatible: Ollama, vLLM, LM Studio...)
+  EMBEDDING_BASE_URL: process.env.EMBEDDING_BASE_URL,
+  EMBEDDING_API_KEY: process.env.EMBEDDING_API_KEY,
+  // Lotes de embeddings: tokens estimados y entradas máximas por solicitud
+  EMBEDDING_BATCH_MAX_TOKENS: Number(process.env.EMBEDDING_BATCH_MAX_TOKENS) || 50000,
+  EMBEDDING_BATCH_MAX_INPUTS: Number(process.env.EMBEDDING_BATCH_MAX_INPUTS) || 256,
+  // Reintentos ante 429/5xx y presupuesto de solicitudes por minuto (0 = sin límite)
+  EMBEDDING_MAX_RETRIES,
+  EMBEDDING_RPM: Number(process.env.EMBEDDING_RPM) || 0,
+  // Caché persistente de embeddings (colección embedding_cache); EMBEDDING_CACHE=false la desactiva
+  EMBEDDING_CACHE_ENABLED: process.env.EMBEDDING_CACHE !== 'false',
+  // Plantilla de texto de embedding de activos (JSON); sin definir se usa la de config/embedding-template.js
+  EMBEDDING_TEMPLATE_FILE: process.env.EMBEDDING_TEMPLATE_FILE,
+  // Watcher de activos (auto: change stream si Mongo lo soporta, si no polling por updatedAt)
+  EMBEDDING_WATCHER,
+  EMBEDDING_WATCHER_POLL_MS: Number(process.env.EMBEDDING_WATCHER_POLL_MS) || 30000,
+  // Tabla de precios de modelos (JSON, USD por millón de tokens); sin definir se usa la de config/ai-prices.js
+  AI_PRICES_FILE: process.env.AI_PRICES_FILE,
+  // Presupuestos mensuales en USD (0 = sin límite): total y por usuario. Al superarlos no se crean ni procesan jobs
+  AI_MONTHLY_BUDGET_USD: Number(process.env.AI_MONTHLY_BUDGET_USD) || 0,
+  AI_MONTHLY_USER_BUDGET_USD: Number(process.env.AI_MONTHLY_USER_BUDGET_USD) || 0,
+  // Campos de assets con identificadores exactos (EPC, serie, inventario SAP) para la búsqueda por identificador
+  ASSET_IDENTIFIER_FIELDS: (process.env.ASSET_IDENTIFIER_FIELDS || 'EPC,serial,inventoryNumber,assetTag')
+    .split(',')
+    .map((f) => f.trim())
+    .filter(Boolean),
+  // Comparar también los valores crudos de esos campos (activos sin identifierKeys; sin índices recorre assets)
+  ASSET_IDENTIFIER_RAW_FALLBACK: process.env.ASSET_IDENTIFIER_RAW_FALLBACK === 'true',
+  // Re-ranker por defecto (cada job puede elegir otro) y modelos de cada tipo
+  RERANKER,
+  RERANK_LLM_MODEL: process.env.RERANK_LLM_MODEL || 'gpt-4o-mini',
+  RERANK_CROSS_ENCODER_MODEL: process.env.RERANK_CROSS_ENCODER_MODEL || 'Xenova/mmarco-mMiniLMv2-L12-H384-v1',
+  // Candidatos que se re-ordenan y peso de la relevancia del re-ranker en el score final (0..1)
+  RERANK_TOP_N: Number(process.env.RERANK_TOP_N) || 10,
+  RERANK_WEIGHT: process.env.RERANK_WEIGHT != null ? Math.max(0, Math.min(1, Number(process.env.RERANK_WEIGHT) || 0)) : 0.5,
+  // Caché de re-ranking por (query, candidatos) en la colección rerank_cache; RERANK_CACHE=false la desactiva
+  RERANK_CACHE_ENABLED: process.env.RERANK_CACHE !== 'false',
+  // Atributos de las descripciones SAP (tipo, marca, modelo, capacidad, dimensiones, color) para filtrar y premiar
+  ATTRIBUTE_EXTRACTOR,
+  ATTRIBUTE_LLM_MODEL: process.env.ATTRIBUTE_LLM_MODEL || 'gpt-4o-mini',
+  // La marca extraída (si está en el catálogo) premia; con ATTRIBUTE_BRAND_FILTER=true además filtra la búsqueda
+  ATTRIBUTE_BRAND_FILTER: process.env.ATTRIBUTE_BRAND_FILTER === 'true',
+  // Memoria de decisiones de los revisores (colección reconciliation_feedback); FEEDBACK=false la desactiva
+  FEEDBACK_ENABLED: process.env.FEEDBACK !== 'false',
+  // Similitud mínima (Jaccard de tokens, 0..1) para aplicar el feedback de una descripción SAP a otra
+  FEEDBACK_MIN_SIMILARITY:
+    Number(process.env.FEEDBACK_MIN_SIMILARITY) > 0 ? Math.min(1, Number(process.env.FEEDBACK_MIN_SIMILARITY)) : 0.8,
+  // Motor de búsqueda: auto (Atlas si existen los índices, si no local en memoria) | atlas | local
+  SEARCH_ENGINE: (process.env.SEARCH_ENGINE || 'auto').trim().toLowerCase(),
 };
@@ -4,7 +4,10 @@ import jwt from 'jsonwebtoken';
 dotenv.config();
 
 const SECRET = process.env.JWT_SECRET || 'change_this_dev_secret';
-const EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1d';
+// Access token corto: la sesión se extiende con el refresh token (POST /auth/refresh)
+const EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+// Vigencia del refresh token (en formato ms/jsonwebtoken: "7d", "12h", ...)
+const REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
 
 export function signJwt(payload, options = {}) {
   return jwt.sign(payload, SECRET, { expiresIn: EXPIRES_IN, ...options });
@@ -14,3 +17,18 @@ export function verifyJwt(token) {
   return jwt.verify(token, SECRET);
 }
 
+export function getAccessTokenExpiresIn() {
+  return EXPIRES_IN;
+}
+
+/**
+ * Duración del refresh token en milisegundos.
+ * Acepta segundos numéricos o sufijos s/m/h/d (default 7 días si no se puede interpretar).
+ */
+export function getRefreshTokenTtlMs() {
+  const match = /^(\d+)\s*([smhd]?)$/i.exec(String(REFRESH_EXPIRES_IN).trim());
+  if (!match) return 7 * 24 * 60 * 60 * 1000;
+  const value = Number(match[1]);
+  const unitMs = { '': 1000, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  return value * unitMs[match[2].toLowerCase()];
+}
@@ -26,3 +26,35 @@ export async function pingMongo() {
   if (!db) throw new Error('MongoDB no conectado');
   return db.command({ ping: 1 });
 }
+
+// Código de Mongo cuando el servidor no soporta transacciones (mongod standalone)
+const ILLEGAL_OPERATION_CODE = 20;
+
+function isTransactionUnsupported(err) {
+  const msg = String(err?.message || '');
+  return err?.code === ILLEGAL_OPERATION_CODE && msg.includes('Transaction numbers');
+}
+
+/**
+ * Ejecuta fn(session) dentro de una transacción.
+ * En despliegues sin replica set (mongod local standalone) se ejecuta sin transacción: fn(undefined).
+ * @param {(session: import('mongodb').ClientSession|undefined) => Promise<any>} fn
+ */
+export async function runInTransaction(fn) {
+  if (!client) throw new Error('MongoDB no conectado');
+
+  const session = client.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } catch (err) {
+    if (!isTransactionUnsupported(err)) throw err;
+    console.warn('[MongoDB] Transacciones no soportadas; se ejecuta sin transacción');
+    return fn(undefined);
+  } finally {
+    await session.endSession();
+  }
+}
@@ -1,6 +1,19 @@
 import OpenAI from 'openai';
 import { env } from './env.js';
 
-export const openai = new OpenAI({
-  apiKey: env.OPENAI_API_KEY,
-});
+let client = null;
+
+/**
+ * Cliente OpenAI (se crea al primer uso: OPENAI_API_KEY solo es obligatoria con EMBEDDING_PROVIDER=openai).
+ */
+export function getOpenAI() {
+  if (!client) {
+    if (!env.OPENAI_API_KEY) throw new Error('OPENAI_API_KEY no configurada');
+    client = new OpenAI({
+      apiKey: env.OPENAI_API_KEY,
+      // Los reintentos los maneja utils/retry.js (backoff + jitter + presupuesto RPM)
+      maxRetries: 0,
+    });
+  }
+  return client;
+}
@@ -0,0 +1,102 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Roles de la API de IA y permisos por rol.
+ * El rol se lee del documento de la colección "user" (Baas) al hacer login y viaja en el JWT.
+ */
+
+export const ROLES = {
+  ADMIN: 'admin',
+  REVIEWER: 'reviewer',
+  VIEWER: 'viewer',
+};
+
+export const PERMISSIONS = {
+  ASSETS_SEARCH: 'assets:search',
+  ASSETS_BACKFILL: 'assets:backfill',
+  EMBEDDINGS_CREATE: 'embeddings:create',
+  JOBS_READ: 'jobs:read',
+  JOBS_EXPORT: 'jobs:export',
+  JOBS_CREATE: 'jobs:create',
+  JOBS_DECIDE: 'jobs:decide',
+  JOBS_DELETE: 'jobs:delete',
+  FILES_UPLOAD: 'files:upload',
+  SESSIONS_REVOKE: 'sessions:revoke',
+  API_KEYS_MANAGE: 'api-keys:manage',
+  ASSETS_ADMIN: 'assets:admin',
+  EMBEDDINGS_ADMIN: 'embeddings:admin',
+  ABBREVIATIONS_MANAGE: 'abbreviations:manage',
+  USAGE_READ: 'usage:read',
+  FEEDBACK_MANAGE: 'feedback:manage',
+  CALIBRATION_MANAGE: 'calibration:manage',
+};
+
+const VIEWER_PERMISSIONS = [
+  PERMISSIONS.ASSETS_SEARCH,
+  PERMISSIONS.JOBS_READ,
+  PERMISSIONS.JOBS_EXPORT,
+];
+
+const REVIEWER_PERMISSIONS = [
+  ...VIEWER_PERMISSIONS,
+  PERMISSIONS.EMBEDDINGS_CREATE,
+  PERMISSIONS.JOBS_CREATE,
+  PERMISSIONS.JOBS_DECIDE,
+  PERMISSIONS.FILES_UPLOAD,
+];
+
+const ROLE_PERMISSIONS = {
+  [ROLES.VIEWER]: new Set(VIEWER_PERMISSIONS),
+  [ROLES.REVIEWER]: new Set(REVIEWER_PERMISSIONS),
+  [ROLES.ADMIN]: new Set(Object.values(PERMISSIONS)),
+};
+
+// Rol asignado a usuarios sin rol reconocido (y a tokens emitidos antes de existir roles)
+const DEFAULT_ROLE = ROLE_PERMISSIONS[process.env.AUTH_DEFAULT_ROLE]
+  ? process.env.AUTH_DEFAULT_ROLE
+  : ROLES.VIEWER;
+
+/**
+ * Normaliza un rol a uno de ROLES; si no es válido devuelve el rol por defecto.
+ * @param {string} [role]
+ * @returns {string}
+ */
+export function normalizeRole(role) {
+  const value = String(role || '').trim().toLowerCase();
+  return ROLE_PERMISSIONS[value] ? value : DEFAULT_ROLE;
+}
+
+/**
+ * Obtiene el rol de IA de un documento de la colección "user".
+ * Se prioriza "aiRole" para no chocar con el rol propio de Baas.
+ * @param {object} user
+ * @returns {string}
+ */
+export function resolveUserRole(user) {
+  return normalizeRole(user?.aiRole ?? user?.role);
+}
+
+/**
+ * @param {string} role
+ * @param {string} permission - Uno de PERMISSIONS
+ * @returns {boolean}
+ */
+export function roleHasPermission(role, permission) {
+  return ROLE_PERMISSIONS[normalizeRole(role)].has(permission);
+}
+
+/**
+ * Permiso efectivo de req.user: las API keys usan sus propios permisos (scopes),
+ * los usuarios con JWT los de su rol.
+ * @param {object} subject - req.user
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export function subjectHasPermission(subject, permission) {
+  if (subject?.authType === 'api_key') {
+    return Array.isArray(subject.permissions) && subject.permissions.includes(permission);
+  }
+  return roleHasPermission(subject?.role, permission);
+}
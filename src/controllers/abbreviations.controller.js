@@ -0,0 +1,135 @@
+/**
+ * Controlador del diccionario de abreviaturas SAP.
+ */
+
+import {
+  listAbbreviations,
+  createAbbreviation,
+  updateAbbreviation,
+  deleteAbbreviation,
+  seedAbbreviations,
+  mineAbbreviationSuggestions,
+} from '../services/abbreviation.service.js';
+import { getRequestActor } from '../utils/request-actor.js';
+
+/**
+ * GET /ai/abbreviations
+ */
+export async function getAbbreviations(req, res) {
+  try {
+    const abbreviations = await listAbbreviations();
+    res.json({ status: 'ok', abbreviations });
+  } catch (err) {
+    console.error('[abbreviations:list]', err.message);
+    res.status(err.status || 500).json({
+      status: 'error',
+      message: err.message || 'Error al listar las abreviaturas',
+    });
+  }
+}
+
+/**
+ * POST /ai/abbreviations
+ *
+ * Body: { abbreviation, expansion, enabled?, source? ("mined" si viene de /suggestions) }
+ */
+export async function postAbbreviation(req, res) {
+  try {
+    const { abbreviation, expansion, enabled, source } = req.body || {};
+    if (typeof abbreviation !== 'string' || typeof expansion !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Los campos "abbreviation" y "expansion" son requeridos',
+      });
+    }
+    const created = await createAbbreviation({ abbreviation, expansion, enabled, source }, getRequestActor(req));
+    res.status(201).json({ status: 'ok', abbreviation: created });
+  } catch (err) {
+    console.error('[abbreviations:create]', err.message);
+    res.status(err.status || 500).json({
+      status: 'error',
+      message: err.message || 'Error al crear la abreviatura',
+    });
+  }
+}
+
+/**
+ * PUT /ai/abbreviations/:abbreviation
+ *
+ * Body: { expansion?, enabled? }
+ */
+export async function putAbbreviation(req, res) {
+  try {
+    const { expansion, enabled } = req.body || {};
+    if (expansion === undefined && enabled === undefined) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Se requiere "expansion" o "enabled"',
+      });
+    }
+    const updated = await updateAbbreviation(req.params.abbreviation, { expansion, enabled });
+    res.json({ status: 'ok', abbreviation: updated });
+  } catch (err) {
+    console.error('[abbreviations:update]', err.message);
+    res.status(err.status || 500).json({
+      status: 'error',
+      message: err.message || 'Error al actualizar la abreviatura',
+    });
+  }
+}
+
+/**
+ * DELETE /ai/abbreviations/:abbreviation
+ */
+export async function deleteAbbreviationController(req, res) {
+  try {
+    const result = await deleteAbbreviation(req.params.abbreviation);
+    res.json({ status: 'ok', ...result });
+  } catch (err) {
+    console.error('[abbreviations:delete]', err.message);
+    res.status(err.status || 500).json({
+      status: 'error',
+      message: err.message || 'Error al eliminar la abreviatura',
+    });
+  }
+}
+
+/**
+ * POST /ai/abbreviations/seed
+ *
+ * Carga el diccionario inicial sin modificar las abreviaturas existentes.
+ */
+export async function postSeedAbbreviations(req, res) {
+  try {
+    const result = await seedAbbreviations();
+    res.json({ status: 'ok', ...result });
+  } catch (err) {
+    console.error('[abbreviations:seed]', err.message);
+    res.status(err.status || 500).json({
+      status: 'error',
+      message: err.message || 'Error al cargar el diccionario inicial',
+    });
+  }
+}
+
+/**
+ * GET /ai/abbreviations/suggestions
+ *
+ * Propone abreviaturas nuevas a partir de filas conciliadas (decision "match").
+ * Query params: minSupport (default 3), minConfidence (default 0.5), limit (default 50).
+ */
+export async function getAbbreviationSuggestions(req, res) {
+  try {
+    const minSupport = Math.max(1, Number(req.query.minSupport) || 3);
+    const minConfidence = Math.max(0, Math.min(1, Number(req.query.minConfidence) || 0.5));
+    const limit = Math.max(1, Math.min(500, Number(req.query.limit) || 50));
+    const result = await mineAbbreviationSuggestions({ minSupport, minConfidence, limit });
+    res.json({ status: 'ok', ...result });
+  } catch (err) {
+    console.error('[abbreviations:suggestions]', err.message);
+    res.status(err.status || 500).json({
+      status: 'error',
+      message: err.message || 'Error al proponer abreviaturas',
+    });
+  }
+}
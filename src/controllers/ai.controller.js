@@ -1,6 +1,15 @@
 import { getTextEmbedding } from '../services/embedding.service.js';
-import { backfillSampleAssets } from '../services/backfill.service.js';
+import { getEmbeddingCacheStats } from '../services/embedding-cache.service.js';
+import { backfillSampleAssets, countStaleTemplateAssets } from '../services/backfill.service.js';
+import { embeddingTemplate } from '../config/embedding-template.js';
+import { hybridSearchAssets, MAX_SEARCH_DEPTH } from '../services/hybrid-search.service.js';
+import { getAssetEmbeddingWatcherStatus } from '../services/asset-embedding-watcher.service.js';
+import { buildUsageAttribution } from '../services/usage.service.js';
+import { getRequestActor } from '../utils/request-actor.js';
 import { getDb } from '../config/mongo.js';
+import { getLocationMatchFromIds } from '../utils/location-filter.js';
+import { normalizeText } from '../utils/embedding-text.js';
+import { buildSearchFingerprint, encodeSearchCursor, decodeSearchCursor } from '../utils/search-cursor.js';
 
 export async function postEmbedding(req, res, next) {
   try {
@@ -13,11 +22,16 @@ export async function postEmbedding(req, res, next) {
       });
     }
 
-    const { embedding, dims } = await getTextEmbedding(text.trim());
+    const { embedding, dims, provider, model, cached } = await getTextEmbedding(text.trim(), {
+      attribution: buildUsageAttribution('embedding', getRequestActor(req)),
+    });
     const preview = embedding.slice(0, 5);
 
     res.json({
       dims,
+      provider,
+      model,
+      cached,
       preview,
     });
   } catch (err) {
@@ -25,20 +39,69 @@ export async function postEmbedding(req, res, next) {
   }
 }
 
+/**
+ * GET /ai/embedding/cache/stats
+ *
+ * Aciertos/fallos de la caché de embeddings desde que arrancó el proceso y número de entradas guardadas.
+ */
+export async function getEmbeddingCache(req, res, next) {
+  try {
+    const stats = await getEmbeddingCacheStats();
+    res.json(stats);
+  } catch (err) {
+    next(err);
+  }
+}
+
 export async function postBackfillSample(req, res, next) {
   try {
     const rawLimit = req.body?.limit ?? 20;
     const limit = Math.max(1, Math.min(100, Number(rawLimit) || 20));
-    const { updated } = await backfillSampleAssets(limit);
-    res.json({ updated });
+    const refreshStale = req.body?.refreshStale === true;
+    const { updated, skipped } = await backfillSampleAssets(limit, {
+      refreshStale,
+      attribution: buildUsageAttribution('backfill-sample', getRequestActor(req)),
+    });
+    res.json({ updated, skipped });
   } catch (err) {
     next(err);
   }
 }
 
+/**
+ * GET /ai/embedding/template
+ *
+ * Plantilla de texto de embedding vigente y cuántos activos se embebieron con otra versión
+ * (se refrescan con backfill-sample { refreshStale: true } o scripts/backfill-all.js --refresh-stale).
+ */
+export async function getEmbeddingTemplate(req, res, next) {
+  try {
+    const staleAssets = await countStaleTemplateAssets();
+    res.json({ template: embeddingTemplate, staleAssets });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /ai/embedding/watcher
+ *
+ * Estado del re-embebido automático de activos en esta instancia (EMBEDDING_WATCHER).
+ */
+export function getEmbeddingWatcher(req, res) {
+  res.json(getAssetEmbeddingWatcherStatus());
+}
+
+/**
+ * POST /ai/search/assets
+ *
+ * Búsqueda general de activos con el motor híbrido de las sugerencias de conciliación (mismo formato de resultado).
+ * Body: { query, limit? (default 10, máx. 50), locationFilterIds?, brand?, model? (texto o lista, sin distinguir
+ * mayúsculas), includeReconciled? (default false), cursor? (nextCursor de la página anterior) }
+ */
 export async function postSearchAssets(req, res) {
   try {
-    const { query, limit } = req.body;
+    const { query, limit, locationFilterIds, brand, model, includeReconciled, cursor } = req.body;
 
     if (!query || typeof query !== 'string' || query.trim() === '') {
       return res.status(400).json({
@@ -46,48 +109,72 @@ export async function postSearchAssets(req, res) {
         message: 'El campo "query" es requerido y no puede estar vacío',
       });
     }
+    for (const [name, value] of [['brand', brand], ['model', model]]) {
+      const valid = value == null
+        || typeof value === 'string'
+        || (Array.isArray(value) && value.every((v) => typeof v === 'string'));
+      if (!valid) {
+        return res.status(400).json({
+          status: 'error',
+          message: `El campo "${name}" debe ser un texto o un arreglo de textos`,
+        });
+      }
+    }
 
-    const { embedding } = await getTextEmbedding(query.trim());
+    const normalizedQuery = normalizeText(query);
+    const locationIds = Array.isArray(locationFilterIds)
+      ? locationFilterIds.map((id) => String(id)).filter(Boolean).sort()
+      : [];
+    const filters = { brand: brand ?? null, model: model ?? null };
+    const withReconciled = includeReconciled === true;
+    const fingerprint = buildSearchFingerprint({
+      query: normalizedQuery,
+      locationIds,
+      filters,
+      includeReconciled: withReconciled,
+    });
+
+    let offset = 0;
+    if (cursor != null) {
+      const decoded = decodeSearchCursor(cursor);
+      if (!decoded || decoded.fingerprint !== fingerprint) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Cursor no válido para esta búsqueda (la query y los filtros deben ser los mismos)',
+        });
+      }
+      offset = decoded.offset;
+    }
+
+    const pageLimit = Math.min(Math.max(1, Math.min(50, Number(limit) || 10)), MAX_SEARCH_DEPTH - offset);
+    if (pageLimit <= 0) return res.json({ query: normalizedQuery, results: [], nextCursor: null });
 
     const db = getDb();
     if (!db) throw new Error('MongoDB no conectado');
+    const locationMatch = locationIds.length > 0 ? await getLocationMatchFromIds(db, locationIds) : null;
+
+    // Un resultado de más para saber si hay otra página
+    const found = await hybridSearchAssets({
+      query: normalizedQuery,
+      locationMatch,
+      limit: pageLimit + 1,
+      offset,
+      filters,
+      includeReconciled: withReconciled,
+      attribution: buildUsageAttribution('search', getRequestActor(req)),
+    });
+    const results = found.slice(0, pageLimit);
+    const nextOffset = offset + pageLimit;
+    const nextCursor = found.length > pageLimit && nextOffset < MAX_SEARCH_DEPTH
+      ? encodeSearchCursor({ offset: nextOffset, fingerprint })
+      : null;
 
-    const results = await db.collection('assets').aggregate([
-      {
-        $vectorSearch: {
-          index: 'assets_text_embedding_index',
-          path: 'textEmbedding',
-          queryVector: embedding,
-          numCandidates: 200,
-          limit: limit || 5,
-        },
-      },
-      {
-        $match: {
-          isReconciled: { $ne: true },
-        },
-      },
-      {
-        $project: {
-          _id: 1,
-          name: 1,
-          brand: 1,
-          model: 1,
-          locationPath: 1,
-          serial: 1,
-          EPC: 1,
-          fileExt: 1,
-          score: { $meta: 'vectorSearchScore' },
-        },
-      },
-    ]).toArray();
-
-    res.json({ results });
+    res.json({ query: normalizedQuery, results, nextCursor });
   } catch (err) {
     console.error('[postSearchAssets]', err.message);
     res.status(500).json({
       status: 'error',
-      message: err.message || 'Error en búsqueda semántica',
+      message: err.message || 'Error en búsqueda de activos',
     });
   }
 }
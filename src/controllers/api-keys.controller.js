@@ -0,0 +1,93 @@
+/**
+ * Controlador de API keys (solo admin).
+ * Las keys permiten a automatizaciones llamar a /ai sin credenciales de una persona.
+ */
+
+import {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  validateApiKeyPermissions,
+} from '../services/api-key.service.js';
+
+/**
+ * POST /auth/api-keys
+ *
+ * Crea una API key. La key en claro solo se devuelve en esta respuesta.
+ * Body: { name, permissions: string[] }
+ */
+export async function postApiKey(req, res) {
+  try {
+    const { name, permissions } = req.body || {};
+
+    if (!name || typeof name !== 'string' || name.trim() === '') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'El campo "name" es requerido y no puede estar vacío',
+      });
+    }
+
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'El campo "permissions" es requerido y debe ser un arreglo no vacío',
+      });
+    }
+
+    const validated = validateApiKeyPermissions(permissions);
+    if (validated.invalid.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Permisos no válidos para una API key: ${validated.invalid.join(', ')}`,
+      });
+    }
+
+    const { key, apiKey } = await createApiKey({
+      name: name.trim(),
+      permissions: validated.permissions,
+      createdBy: req.user?.id ?? null,
+    });
+    res.json({ status: 'ok', key, apiKey });
+  } catch (err) {
+    console.error('[api-keys:create]', err.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error al crear la API key',
+    });
+  }
+}
+
+/**
+ * GET /auth/api-keys
+ */
+export async function getApiKeys(req, res) {
+  try {
+    const apiKeys = await listApiKeys();
+    res.json({ apiKeys });
+  } catch (err) {
+    console.error('[api-keys:list]', err.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error al listar API keys',
+    });
+  }
+}
+
+/**
+ * DELETE /auth/api-keys/:id
+ *
+ * Revoca la API key (queda registrada con revokedAt).
+ */
+export async function deleteApiKey(req, res) {
+  try {
+    await revokeApiKey(req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('[api-keys:revoke]', err.message);
+    const status = err.message.includes('no encontrada') ? 404 : 500;
+    res.status(status).json({
+      status: 'error',
+      message: err.message || 'Error al revocar la API key',
+    });
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Controlador de administración de activos (estado de conciliación).
+ */
+
+import { getAssetWithReconciliation, unreconcileAssets } from '../services/asset-admin.service.js';
+import { getRequestActor } from '../utils/request-actor.js';
+
+/**
+ * GET /ai/assets/:id
+ *
+ * Devuelve el activo (sin el vector de embedding) y su estado de conciliación:
+ * reconciledJobId / reconciledRowNumber, la fila del job y enlaces a ella.
+ */
+export async function getAsset(req, res) {
+  try {
+    const result = await getAssetWithReconciliation(req.params.id);
+    res.json(result);
+  } catch (err) {
+    console.error('[assets:get]', err.message);
+    const status = err.message.includes('no encontrado') ? 404 : 500;
+    res.status(status).json({
+      status: 'error',
+      message: err.message || 'Error al obtener el activo',
+    });
+  }
+}
+
+/**
+ * POST /ai/assets/unreconcile
+ *
+ * Revierte la conciliación de activos por ids, por job o por ubicación (+ hijas y subhijas).
+ * Los criterios se combinan con AND. Por defecto es dry-run: solo devuelve cuántos activos coinciden.
+ * Body: { assetIds?, jobId?, locationFilterIds?, dryRun? (default true) }
+ */
+export async function postUnreconcileAssets(req, res) {
+  try {
+    const { assetIds, jobId, locationFilterIds, dryRun } = req.body || {};
+
+    if (assetIds != null && !Array.isArray(assetIds)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'El campo "assetIds" debe ser un arreglo',
+      });
+    }
+    if (locationFilterIds != null && !Array.isArray(locationFilterIds)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'El campo "locationFilterIds" debe ser un arreglo',
+      });
+    }
+    if (!assetIds?.length && !jobId && !locationFilterIds?.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Se requiere al menos un criterio: assetIds, jobId o locationFilterIds',
+      });
+    }
+
+    const result = await unreconcileAssets(
+      { assetIds, jobId, locationFilterIds, dryRun: dryRun !== false },
+      getRequestActor(req)
+    );
+    res.json({ status: 'ok', ...result });
+  } catch (err) {
+    console.error('[assets:unreconcile]', err.message);
+    const status = err.message.includes('no encontrado') ? 404 : 500;
+    res.status(status).json({
+      status: 'error',
+      message: err.message || 'Error al revertir la conciliación',
+    });
+  }
+}
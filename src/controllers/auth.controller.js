@@ -1,12 +1,20 @@
 import bcrypt from 'bcryptjs';
 import { getDb } from '../config/mongo.js';
-import { signJwt } from '../config/jwt.js';
+import {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeUserSessions,
+} from '../services/auth-session.service.js';
 
 /**
  * POST /auth/login
  *
  * Login sencillo con email + password contra la colección "users"
  * reutilizando los usuarios de tu proyecto Baas (mismo Mongo/DB_NAME).
+ * El rol de IA (admin | reviewer | viewer) se toma de user.aiRole o user.role y se incluye en el token.
+ * Devuelve un access token corto (token) y un refresh token para POST /auth/refresh.
  */
 export async function postLogin(req, res) {
   try {
@@ -39,20 +47,14 @@ export async function postLogin(req, res) {
       });
     }
 
-    const token = signJwt({
-      id: user._id,
-      email: user.email,
-      name: user.name,
+    const session = await createSession(user, {
+      userAgent: req.headers['user-agent'],
+      ip: req.ip,
     });
 
     return res.json({
       status: 'ok',
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-      },
+      ...session,
     });
   } catch (err) {
     console.error('[auth/login]', err.message);
@@ -63,3 +65,102 @@ export async function postLogin(req, res) {
   }
 }
 
+/**
+ * POST /auth/refresh
+ *
+ * Canjea un refresh token por un nuevo access token y un nuevo refresh token (rotación).
+ * Body: { refreshToken }
+ */
+export async function postRefresh(req, res) {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'El campo "refreshToken" es requerido',
+      });
+    }
+
+    const session = await refreshSession(refreshToken);
+    if (!session) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Refresh token inválido, revocado o expirado',
+      });
+    }
+
+    return res.json({
+      status: 'ok',
+      ...session,
+    });
+  } catch (err) {
+    console.error('[auth/refresh]', err.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error al renovar la sesión',
+    });
+  }
+}
+
+/**
+ * POST /auth/logout
+ *
+ * Revoca la sesión actual (por refresh token en el body o por el access token del header).
+ * Body: { refreshToken?, all? } — con all: true (y access token) revoca todas las sesiones del usuario.
+ */
+export async function postLogout(req, res) {
+  try {
+    const { refreshToken, all } = req.body || {};
+
+    let revoked = 0;
+    if (all === true && req.user?.id) {
+      ({ revoked } = await revokeUserSessions(req.user.id, 'logout_all'));
+    } else if (req.user?.sid) {
+      ({ revoked } = await revokeSession(req.user.sid));
+    } else if (refreshToken) {
+      ({ revoked } = await revokeSessionByRefreshToken(refreshToken));
+    } else {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Se requiere un access token válido o el campo "refreshToken"',
+      });
+    }
+
+    return res.json({ status: 'ok', revoked });
+  } catch (err) {
+    console.error('[auth/logout]', err.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error al cerrar sesión',
+    });
+  }
+}
+
+/**
+ * POST /auth/sessions/revoke
+ *
+ * (admin) Revoca todas las sesiones de un usuario, p. ej. cuando deja el equipo.
+ * Body: { userId }
+ */
+export async function postRevokeUserSessions(req, res) {
+  try {
+    const { userId } = req.body || {};
+
+    if (!userId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'El campo "userId" es requerido',
+      });
+    }
+
+    const { revoked } = await revokeUserSessions(userId);
+    return res.json({ status: 'ok', revoked });
+  } catch (err) {
+    console.error('[auth/sessions:revoke]', err.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error al revocar sesiones',
+    });
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * Controlador del modelo de calibración (score híbrido -> probabilidad de match).
+ */
+
+import { getCalibrationStatus, trainCalibration } from '../services/calibration.service.js';
+import { getRequestActor } from '../utils/request-actor.js';
+
+/**
+ * GET /ai/calibration
+ *
+ * Modelo activo: método, parámetros, datos de entrenamiento y métricas de fiabilidad. 404 si no hay modelo.
+ */
+export async function getCalibration(req, res) {
+  try {
+    const model = await getCalibrationStatus();
+    res.json({ status: 'ok', model });
+  } catch (err) {
+    console.error('[calibration:get]', err.message);
+    res.status(err.status || 500).json({
+      status: 'error',
+      message: err.message || 'Error al obtener el modelo de calibración',
+    });
+  }
+}
+
+/**
+ * POST /ai/calibration/train
+ *
+ * Reentrena el modelo con las decisiones de los jobs completados y lo activa (salvo dryRun).
+ * Body: { method?: "logistic"|"isotonic", holdout?: 0.2, topK?: 10, dryRun?: false }
+ */
+export async function postTrainCalibration(req, res) {
+  try {
+    const { method, holdout, topK, dryRun } = req.body || {};
+    const model = await trainCalibration(
+      { method, holdout, topK, dryRun: dryRun === true },
+      getRequestActor(req)
+    );
+    res.status(dryRun === true ? 200 : 201).json({ status: 'ok', model });
+  } catch (err) {
+    console.error('[calibration:train]', err.message);
+    res.status(err.status || 500).json({
+      status: 'error',
+      message: err.message || 'Error al entrenar el modelo de calibración',
+    });
+  }
+}
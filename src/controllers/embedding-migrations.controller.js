@@ -0,0 +1,167 @@
+/**
+ * Controlador de la configuración activa de embeddings y de las migraciones de modelo.
+ */
+
+import { getActiveEmbeddingConfig } from '../services/embedding-config.service.js';
+import {
+  createEmbeddingMigration,
+  runEmbeddingMigration,
+  getEmbeddingMigration,
+  listEmbeddingMigrations,
+  cancelEmbeddingMigration,
+  switchEmbeddingMigration,
+  isEmbeddingMigrationRunning,
+} from '../services/embedding-migration.service.js';
+import { getRequestActor } from '../utils/request-actor.js';
+
+function startInBackground(migrationId) {
+  runEmbeddingMigration(String(migrationId)).catch((err) => {
+    console.error('[embedding-migrations:run]', err.message);
+  });
+}
+
+/**
+ * GET /ai/embedding/active
+ *
+ * Proveedor, modelo, dimensiones, versión de plantilla, campo e índice vectorial con los que se busca.
+ */
+export async function getActiveEmbedding(req, res) {
+  try {
+    const config = await getActiveEmbeddingConfig();
+    res.json({ status: 'ok', config });
+  } catch (err) {
+    console.error('[embedding-migrations:active]', err.message);
+    res.status(err.status || 500).json({
+      status: 'error',
+      message: err.message || 'Error al obtener la configuración de embeddings',
+    });
+  }
+}
+
+/**
+ * POST /ai/embedding/migrations
+ *
+ * Crea una migración y empieza a re-embeber los activos en segundo plano.
+ * Body: { provider?, model?, dimensions?, field?, index? } (por defecto, el modelo de .env y la plantilla actual)
+ */
+export async function postEmbeddingMigration(req, res) {
+  try {
+    const { provider, model, dimensions, field, index } = req.body || {};
+    const migration = await createEmbeddingMigration(
+      { provider, model, dimensions, field, index },
+      getRequestActor(req)
+    );
+    startInBackground(migration.id);
+    res.status(202).json({
+      status: 'ok',
+      migration,
+      message: 'Migración iniciada. Consulta el progreso con GET /ai/embedding/migrations/:id',
+    });
+  } catch (err) {
+    console.error('[embedding-migrations:create]', err.message);
+    res.status(err.status || 500).json({
+      status: 'error',
+      message: err.message || 'Error al crear la migración',
+    });
+  }
+}
+
+/**
+ * GET /ai/embedding/migrations
+ */
+export async function getEmbeddingMigrations(req, res) {
+  try {
+    const migrations = await listEmbeddingMigrations();
+    res.json({ status: 'ok', migrations });
+  } catch (err) {
+    console.error('[embedding-migrations:list]', err.message);
+    res.status(err.status || 500).json({
+      status: 'error',
+      message: err.message || 'Error al listar las migraciones',
+    });
+  }
+}
+
+/**
+ * GET /ai/embedding/migrations/:id
+ *
+ * Progreso (procesados / omitidos / errores) y cobertura del campo sombra respecto al activo.
+ */
+export async function getEmbeddingMigrationById(req, res) {
+  try {
+    const migration = await getEmbeddingMigration(req.params.id);
+    res.json({ status: 'ok', migration });
+  } catch (err) {
+    console.error('[embedding-migrations:get]', err.message);
+    res.status(err.status || 500).json({
+      status: 'error',
+      message: err.message || 'Error al obtener la migración',
+    });
+  }
+}
+
+/**
+ * POST /ai/embedding/migrations/:id/resume
+ *
+ * Vuelve a recorrer los activos sin vector en el campo sombra (tras un fallo, un reinicio
+ * o si se crearon activos nuevos antes de aplicar).
+ */
+export async function postResumeEmbeddingMigration(req, res) {
+  try {
+    const migration = await getEmbeddingMigration(req.params.id);
+    if (migration.status === 'switched' || migration.status === 'cancelled') {
+      return res.status(409).json({
+        status: 'error',
+        message: `La migración no se puede reanudar (${migration.status})`,
+      });
+    }
+    if (isEmbeddingMigrationRunning(migration.id)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'La migración ya se está ejecutando',
+      });
+    }
+    startInBackground(migration.id);
+    res.status(202).json({ status: 'ok', migration });
+  } catch (err) {
+    console.error('[embedding-migrations:resume]', err.message);
+    res.status(err.status || 500).json({
+      status: 'error',
+      message: err.message || 'Error al reanudar la migración',
+    });
+  }
+}
+
+/**
+ * POST /ai/embedding/migrations/:id/cancel
+ */
+export async function postCancelEmbeddingMigration(req, res) {
+  try {
+    const migration = await cancelEmbeddingMigration(req.params.id);
+    res.json({ status: 'ok', migration });
+  } catch (err) {
+    console.error('[embedding-migrations:cancel]', err.message);
+    res.status(err.status || 500).json({
+      status: 'error',
+      message: err.message || 'Error al cancelar la migración',
+    });
+  }
+}
+
+/**
+ * POST /ai/embedding/migrations/:id/switch
+ *
+ * Cambia las búsquedas al campo e índice nuevos. 409 si la cobertura no es completa o el índice no está listo.
+ */
+export async function postSwitchEmbeddingMigration(req, res) {
+  try {
+    const migration = await switchEmbeddingMigration(req.params.id, getRequestActor(req));
+    res.json({ status: 'ok', migration });
+  } catch (err) {
+    console.error('[embedding-migrations:switch]', err.message);
+    res.status(err.status || 500).json({
+      status: 'error',
+      message: err.message || 'Error al aplicar la migración',
+    });
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Controlador de la memoria de decisiones de los revisores (pares SAP -> activo confirmados o rechazados).
+ */
+
+import { listFeedback, deleteFeedback, purgeFeedback } from '../services/feedback.service.js';
+
+function pickFilters(source = {}) {
+  const { text, assetId, jobId, polarity, before } = source;
+  return { text, assetId, jobId, polarity, before };
+}
+
+/**
+ * GET /ai/feedback
+ *
+ * Lista entradas de feedback, de la más reciente a la más antigua.
+ * Query params: text (contiene, sin acentos ni mayúsculas), assetId, jobId, polarity (positive | negative),
+ * before (ISO date, por updatedAt), limit (default 50, máx. 500), offset.
+ */
+export async function getFeedback(req, res) {
+  try {
+    const result = await listFeedback(pickFilters(req.query), {
+      limit: req.query.limit,
+      offset: req.query.offset,
+    });
+    res.json({ status: 'ok', ...result });
+  } catch (err) {
+    console.error('[feedback:list]', err.message);
+    res.status(err.status || 500).json({
+      status: 'error',
+      message: err.message || 'Error al listar el feedback',
+    });
+  }
+}
+
+/**
+ * DELETE /ai/feedback/:id
+ */
+export async function deleteFeedbackController(req, res) {
+  try {
+    const result = await deleteFeedback(req.params.id);
+    res.json({ status: 'ok', ...result });
+  } catch (err) {
+    console.error('[feedback:delete]', err.message);
+    res.status(err.status || 500).json({
+      status: 'error',
+      message: err.message || 'Error al eliminar la entrada de feedback',
+    });
+  }
+}
+
+/**
+ * DELETE /ai/feedback
+ *
+ * Purga entradas por filtros (los mismos query params que el listado). Sin filtros requiere all=true.
+ */
+export async function deleteFeedbackBulk(req, res) {
+  try {
+    const result = await purgeFeedback({ ...pickFilters(req.query), all: req.query.all === 'true' });
+    res.json({ status: 'ok', ...result });
+  } catch (err) {
+    console.error('[feedback:purge]', err.message);
+    res.status(err.status || 500).json({
+      status: 'error',
+      message: err.message || 'Error al purgar el feedback',
+    });
+  }
+}
@@ -1,4 +1,3 @@
-import { normalizeText } from '../utils/embedding-text.js';
 import { getLocationMatchFromIds } from '../utils/location-filter.js';
 import { getDb } from '../config/mongo.js';
 import { hybridSearchAssets } from '../services/hybrid-search.service.js';
@@ -12,7 +11,12 @@ import {
   deleteJob,
   autoReconcileJob,
 } from '../services/reconciliation-job.service.js';
+import { getRowDecisionHistory } from '../services/decision-history.service.js';
 import { buildJobReportExcel } from '../services/report-export.service.js';
+import { getRequestActor } from '../utils/request-actor.js';
+import { normalizeSapText } from '../services/abbreviation.service.js';
+import { buildUsageAttribution, assertWithinUsageBudget } from '../services/usage.service.js';
+import { extractSapAttributes } from '../services/attribute-extraction.service.js';
 
 /**
  * POST /ai/reconciliation/suggestions
@@ -20,7 +24,9 @@ import { buildJobReportExcel } from '../services/report-export.service.js';
  * MVP de conciliación con IA:
  * Compara la descripción SAP (texto libre) contra los activos de Tagventory
  * usando únicamente (name + brand + model) mediante embeddings y vector search.
+ * Las abreviaturas SAP se expanden antes de buscar ("IMP" -> "IMPRESORA"); `query` muestra el texto expandido.
  * Acepta filtro opcional por ubicación (locationFilterIds): ubicación + hijas y subhijas.
+ * Los atributos extraídos de la descripción (`attributes`) filtran por marca y premian tipo, capacidad y color.
  */
 export async function postReconciliationSuggestions(req, res) {
   try {
@@ -33,7 +39,7 @@ export async function postReconciliationSuggestions(req, res) {
       });
     }
 
-    const normalizedQuery = normalizeText(sapDescription);
+    const normalizedQuery = await normalizeSapText(sapDescription);
     const db = getDb();
     if (!db) throw new Error('MongoDB no conectado');
 
@@ -43,14 +49,19 @@ export async function postReconciliationSuggestions(req, res) {
         ? await getLocationMatchFromIds(db, locationFilterIds)
         : null;
 
+    const attribution = buildUsageAttribution('suggestions', getRequestActor(req));
+    const [attributes] = await extractSapAttributes([normalizedQuery], { attribution });
     const results = await hybridSearchAssets({
       query: normalizedQuery,
       locationMatch,
       limit: searchLimit,
+      attribution,
+      attributes,
     });
 
     res.json({
       query: normalizedQuery,
+      attributes,
       results,
     });
   } catch (err) {
@@ -72,10 +83,11 @@ export async function postReconciliationSuggestions(req, res) {
  * Crea un job de conciliación por lote.
  * Recibe las filas SAP, las persiste con status "pending".
  * No genera embeddings en este paso.
+ * `reranker` (off | llm | cross-encoder, default RERANKER de .env) elige el re-ranking de sugerencias del job.
  */
 export async function postCreateJob(req, res) {
   try {
-    const { rows, locationFilterIds } = req.body;
+    const { rows, locationFilterIds, reranker } = req.body;
 
     if (!Array.isArray(rows) || rows.length === 0) {
       return res.status(400).json({
@@ -88,10 +100,16 @@ export async function postCreateJob(req, res) {
       Array.isArray(locationFilterIds) && locationFilterIds.length > 0
         ? locationFilterIds.map((id) => String(id)).filter(Boolean)
         : null;
-    const { jobId, totalRows } = await createJob(rows, ids);
+    const { jobId, totalRows } = await createJob(rows, ids, getRequestActor(req), { reranker });
     res.json({ jobId, totalRows });
   } catch (err) {
     console.error('[reconciliation/job:create]', err.message);
+    if (err.code === 'BUDGET_EXCEEDED') {
+      return res.status(err.status).json({ status: 'error', code: err.code, message: err.message });
+    }
+    if (err.status === 400) {
+      return res.status(400).json({ status: 'error', message: err.message });
+    }
     res.status(500).json({
       status: 'error',
       message: 'Error al crear el job de conciliación',
@@ -104,19 +122,23 @@ export async function postCreateJob(req, res) {
  *
  * Inicia el procesamiento del job en segundo plano y retorna de inmediato.
  * El frontend debe hacer polling a GET /job/:jobId para ver progreso (processedRows/totalRows).
+ * Con el presupuesto mensual de IA agotado responde 402 (code BUDGET_EXCEEDED) sin iniciarlo.
  */
 export async function postProcessJob(req, res) {
   try {
     const { jobId } = req.params;
-    processJob(jobId).catch((err) => {
+    const actor = getRequestActor(req);
+    await assertWithinUsageBudget(actor);
+    processJob(jobId, actor).catch((err) => {
       console.error('[reconciliation/job:process]', err.message);
     });
     res.json({ status: 'processing', jobId, message: 'Análisis iniciado. Consulta el estado con GET /job/:jobId' });
   } catch (err) {
     console.error('[reconciliation/job:process]', err.message);
-    const status = err.message.includes('no encontrado') ? 404 : 500;
+    const status = err.status || (err.message.includes('no encontrado') ? 404 : 500);
     res.status(status).json({
       status: 'error',
+      ...(err.code === 'BUDGET_EXCEEDED' ? { code: err.code } : {}),
       message: err.message || 'Error al iniciar el procesamiento del job',
     });
   }
@@ -151,6 +173,7 @@ export async function getJob(req, res) {
  *
  * Guarda la decisión del usuario para una fila del job.
  * Body: { rowNumber, decision: "match"|"no_match", selectedAssetId? }
+ * Cambiar o deshacer un match libera el activo anterior; 409 si el activo ya está conciliado en otra fila.
  */
 export async function postDecision(req, res) {
   try {
@@ -179,11 +202,11 @@ export async function postDecision(req, res) {
       });
     }
 
-    await saveDecision(jobId, rowNumber, decision, selectedAssetId || null);
+    await saveDecision(jobId, rowNumber, decision, selectedAssetId || null, getRequestActor(req));
     res.json({ success: true });
   } catch (err) {
     console.error('[reconciliation/job:decision]', err.message);
-    const status = err.message.includes('no encontrado') ? 404 : 500;
+    const status = err.status || (err.message.includes('no encontrado') ? 404 : 500);
     res.status(status).json({
       status: 'error',
       message: err.message || 'Error al guardar decisión',
@@ -196,6 +219,7 @@ export async function postDecision(req, res) {
  *
  * Conciliación automática de un job:
  * - Para filas pendientes, toma la mejor sugerencia con score >= minScore (default 0.8)
+ * - Con "minProbability" (0..1) usa la probabilidad calibrada en lugar del score (GET /ai/calibration)
  * - No reutiliza el mismo asset en varias filas del mismo job
  * - Respeta filas ya marcadas como match / no_match
  */
@@ -206,10 +230,21 @@ export async function postAutoReconcileJob(req, res) {
     let minScore = Number.isFinite(raw) ? raw : 0.8;
     if (minScore <= 0 || minScore > 1) minScore = 0.8;
 
-    const result = await autoReconcileJob(jobId, minScore);
+    let minProbability = null;
+    if (req.body?.minProbability != null) {
+      minProbability = Number(req.body.minProbability);
+      if (!Number.isFinite(minProbability) || minProbability <= 0 || minProbability > 1) {
+        return res.status(400).json({
+          status: 'error',
+          message: '"minProbability" debe ser un número mayor que 0 y menor o igual que 1',
+        });
+      }
+    }
+
+    const result = await autoReconcileJob(jobId, minScore, getRequestActor(req), { minProbability });
     res.json({
       status: 'ok',
-      minScore,
+      ...(minProbability != null ? { minProbability } : { minScore }),
       ...result,
     });
   } catch (err) {
@@ -222,6 +257,36 @@ export async function postAutoReconcileJob(req, res) {
   }
 }
 
+/**
+ * GET /ai/reconciliation/job/:jobId/row/:rowNumber/history
+ *
+ * Historial de decisiones de una fila (append-only): quién decidió, si fue manual o auto,
+ * valor anterior, minScore o minProbability usado y fecha.
+ */
+export async function getRowHistory(req, res) {
+  try {
+    const { jobId } = req.params;
+    const rowNumber = Number(req.params.rowNumber);
+
+    if (!Number.isFinite(rowNumber)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'El parámetro "rowNumber" debe ser numérico',
+      });
+    }
+
+    const history = await getRowDecisionHistory(jobId, rowNumber);
+    res.json({ jobId, rowNumber, history });
+  } catch (err) {
+    console.error('[reconciliation/job:history]', err.message);
+    const status = err.message.includes('no encontrado') ? 404 : 500;
+    res.status(status).json({
+      status: 'error',
+      message: err.message || 'Error al obtener historial de la fila',
+    });
+  }
+}
+
 // ──────────────────────────────────────────────
 // Reportes (listado y export Excel)
 // ──────────────────────────────────────────────
@@ -257,7 +322,8 @@ export async function getJobsList(req, res) {
  * GET /ai/reconciliation/job/:jobId/export
  *
  * Descarga el reporte del job en Excel.
- * Columnas: Fila, Descripción SAP, Ubicación SAP, Estado (Match/Not found), Nombre, Marca, Modelo, EPC, Ubicación Tagventory.
+ * Columnas: Fila, Descripción SAP, Ubicación SAP, atributos extraídos (Tipo, Marca, Modelo, Capacidad, Dimensiones, Color),
+ * Estado (Match/Not found), Nombre, Marca, Modelo, EPC, Ubicación Tagventory, Score % (score híbrido) y Probabilidad % (calibrada).
  */
 export async function getJobExport(req, res) {
   try {
@@ -282,12 +348,14 @@ export async function getJobExport(req, res) {
  * DELETE /ai/reconciliation/job/:jobId
  *
  * Elimina un job de conciliación completo.
+ * Query: cascade=true para liberar también los activos conciliados por el job.
  */
 export async function deleteJobController(req, res) {
   try {
     const { jobId } = req.params;
-    await deleteJob(jobId);
-    res.json({ success: true });
+    const cascade = req.query.cascade === 'true' || req.query.cascade === '1';
+    const { releasedAssets } = await deleteJob(jobId, { cascade });
+    res.json({ success: true, cascade, releasedAssets });
   } catch (err) {
     console.error('[reconciliation/job:delete]', err.message);
     const status = err.message.includes('no encontrado') ? 404 : 500;
@@ -0,0 +1,39 @@
+/**
+ * Controlador de consumo de tokens y costo estimado de IA.
+ */
+
+import { getUsageReport, getMonthlyBudgetStatus } from '../services/usage.service.js';
+import { getRequestActor } from '../utils/request-actor.js';
+
+/**
+ * GET /ai/usage
+ *
+ * Tokens y costo estimado (USD) entre dos fechas, agrupados.
+ * Query: from (ISO date, default: inicio del mes), to (ISO date, default: hoy),
+ * groupBy (job | user | day | source | model, default day).
+ * Incluye el estado del presupuesto mensual (AI_MONTHLY_BUDGET_USD / AI_MONTHLY_USER_BUDGET_USD).
+ */
+export async function getUsage(req, res) {
+  try {
+    const now = new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const to = req.query.to ? new Date(req.query.to) : now;
+    if (isNaN(from.getTime())) {
+      return res.status(400).json({ status: 'error', message: 'Parámetro "from" debe ser una fecha válida' });
+    }
+    if (isNaN(to.getTime())) {
+      return res.status(400).json({ status: 'error', message: 'Parámetro "to" debe ser una fecha válida' });
+    }
+
+    const groupBy = req.query.groupBy || 'day';
+    const report = await getUsageReport({ from, to, groupBy });
+    const budget = await getMonthlyBudgetStatus(getRequestActor(req));
+    res.json({ status: 'ok', ...report, budget });
+  } catch (err) {
+    console.error('[usage]', err.message);
+    res.status(err.status || 500).json({
+      status: 'error',
+      message: err.status ? err.message : 'Error al calcular el consumo',
+    });
+  }
+}
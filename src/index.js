@@ -5,6 +5,7 @@ import { env } from './config/env.js';
 import healthRoutes from './routes/health.routes.js';
 import aiRoutes from './routes/ai.routes.js';
 import authRoutes from './routes/auth.routes.js';
+import { startAssetEmbeddingWatcher } from './services/asset-embedding-watcher.service.js';
 
 const app = express();
 
@@ -34,6 +35,8 @@ async function start() {
     await connectMongo();
     console.log('[MongoDB] Conectado correctamente');
 
+    if (env.EMBEDDING_WATCHER !== 'off') startAssetEmbeddingWatcher();
+
     app.listen(env.PORT, () => {
       console.log(`[Server] Escuchando en http://localhost:${env.PORT}`);
     });
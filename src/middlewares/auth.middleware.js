@@ -1,6 +1,44 @@
 import { verifyJwt } from '../config/jwt.js';
+import { isSessionActive } from '../services/auth-session.service.js';
+import { verifyApiKey } from '../services/api-key.service.js';
 
-export function authMiddleware(req, res, next) {
+/**
+ * Autentica con API key (header X-API-Key) y deja en req.user una cuenta de servicio
+ * con los permisos de la key.
+ */
+async function authenticateApiKey(key, req, res, next) {
+  try {
+    const apiKey = await verifyApiKey(key);
+    if (!apiKey) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'API key inválida o revocada',
+      });
+    }
+
+    req.user = {
+      id: apiKey._id,
+      name: apiKey.name,
+      authType: 'api_key',
+      apiKeyId: apiKey._id,
+      permissions: apiKey.permissions || [],
+    };
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Acepta un JWT (Authorization: Bearer <token>) o una API key (X-API-Key: <key>).
+ */
+export async function authMiddleware(req, res, next) {
+  const apiKeyHeader = req.headers['x-api-key'];
+  if (apiKeyHeader) {
+    return authenticateApiKey(String(apiKeyHeader), req, res, next);
+  }
+
+  let payload;
   try {
     const authHeader = req.headers.authorization || '';
     const token = authHeader.startsWith('Bearer ')
@@ -14,14 +52,45 @@ export function authMiddleware(req, res, next) {
       });
     }
 
-    const payload = verifyJwt(token);
-    req.user = payload;
-    next();
+    payload = verifyJwt(token);
   } catch (err) {
     return res.status(401).json({
       status: 'error',
       message: 'Token inválido o expirado',
     });
   }
+
+  try {
+    // Tokens sin sesión (emitidos antes de los refresh tokens) o con sesión revocada se rechazan
+    const active = await isSessionActive(payload.sid);
+    if (!active) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Sesión revocada o expirada',
+      });
+    }
+  } catch (err) {
+    return next(err);
+  }
+
+  req.user = payload;
+  next();
 }
 
+/**
+ * Como authMiddleware, pero sin rechazar: si el token es válido y su sesión sigue activa
+ * asigna req.user; en cualquier otro caso continúa sin usuario.
+ */
+export async function optionalAuthMiddleware(req, res, next) {
+  try {
+    const authHeader = req.headers.authorization || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+    if (token) {
+      const payload = verifyJwt(token);
+      if (await isSessionActive(payload.sid)) req.user = payload;
+    }
+  } catch (err) {
+    // token inválido o expirado: se ignora
+  }
+  next();
+}
@@ -0,0 +1,23 @@
+import { normalizeRole, subjectHasPermission } from '../config/permissions.js';
+
+/**
+ * Middleware de autorización por permiso. Debe ir después de authMiddleware (usa req.user).
+ * Responde 403 con code "FORBIDDEN" si el rol del usuario (o los scopes de la API key) no tiene el permiso.
+ * @param {string} permission - Uno de PERMISSIONS (config/permissions.js)
+ */
+export function requirePermission(permission) {
+  return function permissionMiddleware(req, res, next) {
+    if (!subjectHasPermission(req.user, permission)) {
+      const subject = req.user?.authType === 'api_key'
+        ? `La API key "${req.user.name}"`
+        : `El rol "${normalizeRole(req.user?.role)}"`;
+      return res.status(403).json({
+        status: 'error',
+        code: 'FORBIDDEN',
+        message: `${subject} no tiene permiso para esta acción (${permission})`,
+      });
+    }
+
+    next();
+  };
+}
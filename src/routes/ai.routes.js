@@ -1,6 +1,13 @@
 import { Router } from 'express';
 import multer from 'multer';
-import { postEmbedding, postBackfillSample, postSearchAssets } from '../controllers/ai.controller.js';
+import {
+  postEmbedding,
+  getEmbeddingCache,
+  getEmbeddingTemplate,
+  getEmbeddingWatcher,
+  postBackfillSample,
+  postSearchAssets,
+} from '../controllers/ai.controller.js';
 import {
   postReconciliationSuggestions,
   postCreateJob,
@@ -11,10 +18,34 @@ import {
   getJobExport,
   deleteJobController,
   postAutoReconcileJob,
+  getRowHistory,
 } from '../controllers/reconciliation.controller.js';
+import {
+  getActiveEmbedding,
+  postEmbeddingMigration,
+  getEmbeddingMigrations,
+  getEmbeddingMigrationById,
+  postResumeEmbeddingMigration,
+  postCancelEmbeddingMigration,
+  postSwitchEmbeddingMigration,
+} from '../controllers/embedding-migrations.controller.js';
+import {
+  getAbbreviations,
+  postAbbreviation,
+  putAbbreviation,
+  deleteAbbreviationController,
+  postSeedAbbreviations,
+  getAbbreviationSuggestions,
+} from '../controllers/abbreviations.controller.js';
+import { getUsage } from '../controllers/usage.controller.js';
+import { getFeedback, deleteFeedbackController, deleteFeedbackBulk } from '../controllers/feedback.controller.js';
+import { getCalibration, postTrainCalibration } from '../controllers/calibration.controller.js';
 import { getLocationsTree } from '../controllers/locations.controller.js';
+import { getAsset, postUnreconcileAssets } from '../controllers/assets.controller.js';
 import { postUploadExcel } from '../controllers/uploadFile.controller.js';
 import { authMiddleware } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const router = Router();
 const upload = multer({ storage: multer.memoryStorage() });
@@ -22,23 +53,57 @@ const upload = multer({ storage: multer.memoryStorage() });
 // Todas las rutas de /ai requieren JWT
 router.use(authMiddleware);
 
-router.post('/embedding', postEmbedding);
-router.post('/assets/backfill-sample', postBackfillSample);
-router.post('/search/assets', postSearchAssets);
-router.get('/locations/tree', getLocationsTree);
+// Cada ruta exige además un permiso según el rol del usuario (config/permissions.js)
+router.post('/embedding', requirePermission(PERMISSIONS.EMBEDDINGS_CREATE), postEmbedding);
+router.get('/embedding/cache/stats', requirePermission(PERMISSIONS.EMBEDDINGS_CREATE), getEmbeddingCache);
+router.get('/embedding/template', requirePermission(PERMISSIONS.ASSETS_BACKFILL), getEmbeddingTemplate);
+router.get('/embedding/watcher', requirePermission(PERMISSIONS.EMBEDDINGS_ADMIN), getEmbeddingWatcher);
+router.get('/embedding/active', requirePermission(PERMISSIONS.EMBEDDINGS_ADMIN), getActiveEmbedding);
+router.post('/embedding/migrations', requirePermission(PERMISSIONS.EMBEDDINGS_ADMIN), postEmbeddingMigration);
+router.get('/embedding/migrations', requirePermission(PERMISSIONS.EMBEDDINGS_ADMIN), getEmbeddingMigrations);
+router.get('/embedding/migrations/:id', requirePermission(PERMISSIONS.EMBEDDINGS_ADMIN), getEmbeddingMigrationById);
+router.post('/embedding/migrations/:id/resume', requirePermission(PERMISSIONS.EMBEDDINGS_ADMIN), postResumeEmbeddingMigration);
+router.post('/embedding/migrations/:id/cancel', requirePermission(PERMISSIONS.EMBEDDINGS_ADMIN), postCancelEmbeddingMigration);
+router.post('/embedding/migrations/:id/switch', requirePermission(PERMISSIONS.EMBEDDINGS_ADMIN), postSwitchEmbeddingMigration);
+router.post('/assets/backfill-sample', requirePermission(PERMISSIONS.ASSETS_BACKFILL), postBackfillSample);
+router.post('/search/assets', requirePermission(PERMISSIONS.ASSETS_SEARCH), postSearchAssets);
+router.post('/assets/unreconcile', requirePermission(PERMISSIONS.ASSETS_ADMIN), postUnreconcileAssets);
+router.get('/assets/:id', requirePermission(PERMISSIONS.ASSETS_ADMIN), getAsset);
+router.get('/locations/tree', requirePermission(PERMISSIONS.ASSETS_SEARCH), getLocationsTree);
 
 // Conciliación
-router.post('/reconciliation/suggestions', postReconciliationSuggestions);
-router.post('/reconciliation/job', postCreateJob);
-router.post('/reconciliation/job/:jobId/process', postProcessJob);
-router.get('/reconciliation/job/:jobId', getJob);
-router.post('/reconciliation/job/:jobId/decision', postDecision);
-router.post('/reconciliation/job/:jobId/auto-reconcile', postAutoReconcileJob);
-router.get('/reconciliation/jobs', getJobsList);
-router.get('/reconciliation/job/:jobId/export', getJobExport);
-router.delete('/reconciliation/job/:jobId', deleteJobController);
+router.post('/reconciliation/suggestions', requirePermission(PERMISSIONS.ASSETS_SEARCH), postReconciliationSuggestions);
+router.post('/reconciliation/job', requirePermission(PERMISSIONS.JOBS_CREATE), postCreateJob);
+router.post('/reconciliation/job/:jobId/process', requirePermission(PERMISSIONS.JOBS_CREATE), postProcessJob);
+router.get('/reconciliation/job/:jobId', requirePermission(PERMISSIONS.JOBS_READ), getJob);
+router.post('/reconciliation/job/:jobId/decision', requirePermission(PERMISSIONS.JOBS_DECIDE), postDecision);
+router.get('/reconciliation/job/:jobId/row/:rowNumber/history', requirePermission(PERMISSIONS.JOBS_READ), getRowHistory);
+router.post('/reconciliation/job/:jobId/auto-reconcile', requirePermission(PERMISSIONS.JOBS_DECIDE), postAutoReconcileJob);
+router.get('/reconciliation/jobs', requirePermission(PERMISSIONS.JOBS_READ), getJobsList);
+router.get('/reconciliation/job/:jobId/export', requirePermission(PERMISSIONS.JOBS_EXPORT), getJobExport);
+router.delete('/reconciliation/job/:jobId', requirePermission(PERMISSIONS.JOBS_DELETE), deleteJobController);
+
+// Consumo de tokens y costo estimado
+router.get('/usage', requirePermission(PERMISSIONS.USAGE_READ), getUsage);
+
+// Memoria de decisiones de los revisores (feedback de la búsqueda)
+router.get('/feedback', requirePermission(PERMISSIONS.JOBS_READ), getFeedback);
+router.delete('/feedback', requirePermission(PERMISSIONS.FEEDBACK_MANAGE), deleteFeedbackBulk);
+router.delete('/feedback/:id', requirePermission(PERMISSIONS.FEEDBACK_MANAGE), deleteFeedbackController);
+
+// Calibración del score a probabilidad de match
+router.get('/calibration', requirePermission(PERMISSIONS.JOBS_READ), getCalibration);
+router.post('/calibration/train', requirePermission(PERMISSIONS.CALIBRATION_MANAGE), postTrainCalibration);
+
+// Diccionario de abreviaturas SAP (/suggestions y /seed antes de /:abbreviation)
+router.get('/abbreviations', requirePermission(PERMISSIONS.ASSETS_SEARCH), getAbbreviations);
+router.get('/abbreviations/suggestions', requirePermission(PERMISSIONS.ABBREVIATIONS_MANAGE), getAbbreviationSuggestions);
+router.post('/abbreviations/seed', requirePermission(PERMISSIONS.ABBREVIATIONS_MANAGE), postSeedAbbreviations);
+router.post('/abbreviations', requirePermission(PERMISSIONS.ABBREVIATIONS_MANAGE), postAbbreviation);
+router.put('/abbreviations/:abbreviation', requirePermission(PERMISSIONS.ABBREVIATIONS_MANAGE), putAbbreviation);
+router.delete('/abbreviations/:abbreviation', requirePermission(PERMISSIONS.ABBREVIATIONS_MANAGE), deleteAbbreviationController);
 
 // files
-router.post('/files/upload/excel', upload.single('file'), postUploadExcel);
+router.post('/files/upload/excel', requirePermission(PERMISSIONS.FILES_UPLOAD), upload.single('file'), postUploadExcel);
 
 export default router;
@@ -1,9 +1,26 @@
 import { Router } from 'express';
-import { postLogin } from '../controllers/auth.controller.js';
+import {
+  postLogin,
+  postRefresh,
+  postLogout,
+  postRevokeUserSessions,
+} from '../controllers/auth.controller.js';
+import { postApiKey, getApiKeys, deleteApiKey } from '../controllers/api-keys.controller.js';
+import { authMiddleware, optionalAuthMiddleware } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/permission.middleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const router = Router();
 
 router.post('/login', postLogin);
+router.post('/refresh', postRefresh);
+// Logout funciona aunque el access token ya haya expirado (basta el refreshToken en el body)
+router.post('/logout', optionalAuthMiddleware, postLogout);
+router.post('/sessions/revoke', authMiddleware, requirePermission(PERMISSIONS.SESSIONS_REVOKE), postRevokeUserSessions);
 
-export default router;
+// API keys para cuentas de servicio (solo admin)
+router.post('/api-keys', authMiddleware, requirePermission(PERMISSIONS.API_KEYS_MANAGE), postApiKey);
+router.get('/api-keys', authMiddleware, requirePermission(PERMISSIONS.API_KEYS_MANAGE), getApiKeys);
+router.delete('/api-keys/:id', authMiddleware, requirePermission(PERMISSIONS.API_KEYS_MANAGE), deleteApiKey);
 
+export default router;
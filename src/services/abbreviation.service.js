@@ -0,0 +1,316 @@
+/**
+ * Diccionario de abreviaturas SAP (colección sap_abbreviations).
+ * Las descripciones SAP vienen truncadas ("IMP LASER HP LJ4000N", "ESC MET 3 CAJ"); antes de embeber y de
+ * la búsqueda de texto cada token se expande con este diccionario (normalizeText en utils/embedding-text.js).
+ * También propone abreviaturas nuevas a partir de filas ya conciliadas (decision "match").
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb } from '../config/mongo.js';
+import { normalizeText, normalizeAbbreviationKey } from '../utils/embedding-text.js';
+import { httpError } from '../utils/http-error.js';
+
+const ABBREVIATIONS_COLLECTION = 'sap_abbreviations';
+const JOBS_COLLECTION = 'reconciliation_jobs';
+const ASSETS_COLLECTION = 'assets';
+// Otras instancias del servidor ven los cambios del diccionario como mucho tras este tiempo
+const DICTIONARY_CACHE_TTL_MS = 60 * 1000;
+const MINING_MAX_ROWS = 5000;
+const MINING_EXAMPLES = 3;
+
+export const ABBREVIATION_SOURCES = {
+  SEED: 'seed',
+  MANUAL: 'manual',
+  MINED: 'mined',
+};
+
+// Diccionario inicial (POST /ai/abbreviations/seed); no sobrescribe entradas existentes
+export const DEFAULT_SAP_ABBREVIATIONS = {
+  IMP: 'IMPRESORA',
+  ESC: 'ESCRITORIO',
+  ESCR: 'ESCRITORIO',
+  MET: 'METALICO',
+  CAJ: 'CAJONES',
+  ARCH: 'ARCHIVERO',
+  GAV: 'GAVETAS',
+  SILL: 'SILLA',
+  SECRET: 'SECRETARIAL',
+  EJEC: 'EJECUTIVA',
+  GIRAT: 'GIRATORIA',
+  MUE: 'MUEBLE',
+  LIBR: 'LIBRERO',
+  ANAQ: 'ANAQUEL',
+  ENTREP: 'ENTREPAÑOS',
+  COMP: 'COMPUTADORA',
+  CPU: 'COMPUTADORA',
+  LAP: 'LAPTOP',
+  MON: 'MONITOR',
+  TEC: 'TECLADO',
+  TEL: 'TELEFONO',
+  PROY: 'PROYECTOR',
+  REFRIG: 'REFRIGERADOR',
+  AA: 'AIRE ACONDICIONADO',
+  VENT: 'VENTILADOR',
+  PZA: 'PIEZA',
+  PZAS: 'PIEZAS',
+};
+
+let dictionaryCache = null;
+
+function toPublicAbbreviation(doc) {
+  return {
+    abbreviation: doc.abbreviation,
+    expansion: doc.expansion,
+    enabled: doc.enabled !== false,
+    source: doc.source,
+    createdBy: doc.createdBy ?? null,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt ?? null,
+  };
+}
+
+function getCollection() {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+  return db.collection(ABBREVIATIONS_COLLECTION);
+}
+
+/**
+ * Diccionario activo como Map ABREVIATURA -> expansión (en caché durante DICTIONARY_CACHE_TTL_MS).
+ * Sin conexión a Mongo devuelve un diccionario vacío (no se expande nada).
+ * @returns {Promise<Map<string, string>>}
+ */
+export async function getAbbreviationMap() {
+  if (dictionaryCache && Date.now() - dictionaryCache.loadedAt < DICTIONARY_CACHE_TTL_MS) {
+    return dictionaryCache.map;
+  }
+  const db = getDb();
+  if (!db) return new Map();
+
+  const docs = await db
+    .collection(ABBREVIATIONS_COLLECTION)
+    .find({ enabled: { $ne: false } }, { projection: { abbreviation: 1, expansion: 1 } })
+    .toArray();
+  const map = new Map(docs.map((d) => [d.abbreviation, d.expansion]));
+  dictionaryCache = { map, loadedAt: Date.now() };
+  return map;
+}
+
+/**
+ * normalizeText con el diccionario de abreviaturas activo (descripciones SAP antes de embeber y buscar).
+ * @param {string} text
+ */
+export async function normalizeSapText(text) {
+  return normalizeText(text, { abbreviations: await getAbbreviationMap() });
+}
+
+export async function listAbbreviations() {
+  const docs = await getCollection().find({}).sort({ abbreviation: 1 }).toArray();
+  return docs.map(toPublicAbbreviation);
+}
+
+/**
+ * Valida y normaliza una entrada del diccionario.
+ * @returns {{ abbreviation: string, expansion: string }}
+ */
+export function parseAbbreviationInput(abbreviation, expansion) {
+  const key = normalizeAbbreviationKey(abbreviation);
+  if (!key || /\s/.test(key)) throw httpError('La abreviatura debe ser un único token no vacío', 400);
+  const value = normalizeText(String(expansion || ''));
+  if (!value) throw httpError('La expansión no puede estar vacía', 400);
+  if (normalizeAbbreviationKey(value) === key) throw httpError('La expansión debe ser distinta de la abreviatura', 400);
+  return { abbreviation: key, expansion: value };
+}
+
+/**
+ * @param {{ abbreviation: string, expansion: string, enabled?: boolean, source?: string }} entry
+ * @param {object} [actor] - { userId, userName }
+ */
+export async function createAbbreviation({ abbreviation, expansion, enabled = true, source }, actor = {}) {
+  const parsed = parseAbbreviationInput(abbreviation, expansion);
+  const collection = getCollection();
+  if (await collection.findOne({ abbreviation: parsed.abbreviation }, { projection: { _id: 1 } })) {
+    throw httpError(`La abreviatura "${parsed.abbreviation}" ya existe`, 409);
+  }
+
+  const doc = {
+    ...parsed,
+    enabled: enabled !== false,
+    source: source === ABBREVIATION_SOURCES.MINED ? ABBREVIATION_SOURCES.MINED : ABBREVIATION_SOURCES.MANUAL,
+    createdBy: actor.userName ?? actor.userId ?? null,
+    createdAt: new Date(),
+    updatedAt: null,
+  };
+  try {
+    await collection.insertOne(doc);
+  } catch (err) {
+    if (err.code === 11000) throw httpError(`La abreviatura "${parsed.abbreviation}" ya existe`, 409);
+    throw err;
+  }
+  dictionaryCache = null;
+  return toPublicAbbreviation(doc);
+}
+
+/**
+ * Cambia la expansión o activa/desactiva una abreviatura.
+ * @param {string} abbreviation
+ * @param {{ expansion?: string, enabled?: boolean }} changes
+ */
+export async function updateAbbreviation(abbreviation, { expansion, enabled }) {
+  const key = normalizeAbbreviationKey(abbreviation);
+  const $set = { updatedAt: new Date() };
+  if (expansion !== undefined) $set.expansion = parseAbbreviationInput(key, expansion).expansion;
+  if (enabled !== undefined) $set.enabled = enabled !== false;
+
+  const doc = await getCollection().findOneAndUpdate(
+    { abbreviation: key },
+    { $set },
+    { returnDocument: 'after' }
+  );
+  if (!doc) throw httpError('Abreviatura no encontrada', 404);
+  dictionaryCache = null;
+  return toPublicAbbreviation(doc);
+}
+
+export async function deleteAbbreviation(abbreviation) {
+  const result = await getCollection().deleteOne({ abbreviation: normalizeAbbreviationKey(abbreviation) });
+  if (result.deletedCount === 0) throw httpError('Abreviatura no encontrada', 404);
+  dictionaryCache = null;
+  return { success: true };
+}
+
+/**
+ * Carga DEFAULT_SAP_ABBREVIATIONS sin tocar las abreviaturas que ya existan (aunque estén desactivadas).
+ */
+export async function seedAbbreviations() {
+  const collection = getCollection();
+  await collection.createIndex({ abbreviation: 1 }, { unique: true });
+
+  const now = new Date();
+  const result = await collection.bulkWrite(
+    Object.entries(DEFAULT_SAP_ABBREVIATIONS).map(([abbreviation, expansion]) => ({
+      updateOne: {
+        filter: { abbreviation },
+        update: {
+          $setOnInsert: {
+            abbreviation,
+            expansion,
+            enabled: true,
+            source: ABBREVIATION_SOURCES.SEED,
+            createdBy: null,
+            createdAt: now,
+            updatedAt: null,
+          },
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+  dictionaryCache = null;
+  return { inserted: result.upsertedCount ?? 0, total: Object.keys(DEFAULT_SAP_ABBREVIATIONS).length };
+}
+
+function tokenizeUpper(text) {
+  return normalizeAbbreviationKey(` ${text} `)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// "GAV" -> "GAVETAS", "LJ" -> "LASERJET": letras en orden y misma inicial
+function isAbbreviationOf(short, word) {
+  if (word.length <= short.length || short[0] !== word[0]) return false;
+  let i = 0;
+  for (const ch of word) {
+    if (ch === short[i]) i++;
+    if (i === short.length) return true;
+  }
+  return false;
+}
+
+/**
+ * Propone abreviaturas a partir de filas conciliadas: tokens cortos de la descripción SAP que no aparecen
+ * en el activo elegido pero son abreviatura (prefijo o subsecuencia con la misma inicial) de una palabra
+ * de su name/brand/model. Excluye las que ya están en el diccionario.
+ * @param {{ minSupport?: number, minConfidence?: number, limit?: number }} [options]
+ */
+export async function mineAbbreviationSuggestions({ minSupport = 3, minConfidence = 0.5, limit = 50 } = {}) {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+
+  const rows = await db
+    .collection(JOBS_COLLECTION)
+    .aggregate([
+      { $unwind: '$rows' },
+      { $match: { 'rows.decision': 'match', 'rows.selectedAssetId': { $ne: null } } },
+      { $project: { _id: 0, sapDescription: '$rows.sapDescription', assetId: '$rows.selectedAssetId' } },
+      { $limit: MINING_MAX_ROWS },
+    ])
+    .toArray();
+  if (rows.length === 0) return { rowsAnalyzed: 0, suggestions: [] };
+
+  const assetIds = [...new Set(rows.map((r) => String(r.assetId)))].map((id) => new ObjectId(id));
+  const assets = await db
+    .collection(ASSETS_COLLECTION)
+    .find({ _id: { $in: assetIds } }, { projection: { name: 1, brand: 1, model: 1 } })
+    .toArray();
+  const assetById = new Map(assets.map((a) => [String(a._id), a]));
+
+  const existing = new Set(
+    (await getCollection().find({}, { projection: { abbreviation: 1 } }).toArray()).map((d) => d.abbreviation)
+  );
+
+  const occurrences = new Map(); // token -> filas en que aparece como posible abreviatura
+  const pairs = new Map(); // "TOKEN|PALABRA" -> { support, examples }
+  let rowsAnalyzed = 0;
+
+  for (const row of rows) {
+    const asset = assetById.get(String(row.assetId));
+    if (!asset || !row.sapDescription) continue;
+    rowsAnalyzed++;
+
+    const assetText = [asset.name, asset.brand, asset.model].filter(Boolean).join(' ');
+    const assetWords = new Set(tokenizeUpper(assetText).filter((w) => /^\p{L}{3,}$/u.test(w)));
+    const sapTokens = new Set(
+      tokenizeUpper(row.sapDescription).filter((t) => /^\p{L}{2,6}$/u.test(t) && !existing.has(t) && !assetWords.has(t))
+    );
+
+    for (const token of sapTokens) {
+      occurrences.set(token, (occurrences.get(token) || 0) + 1);
+      for (const word of assetWords) {
+        if (!isAbbreviationOf(token, word)) continue;
+        const key = `${token}|${word}`;
+        const pair = pairs.get(key) || { support: 0, examples: [] };
+        pair.support++;
+        if (pair.examples.length < MINING_EXAMPLES) {
+          pair.examples.push({ sapDescription: row.sapDescription, assetName: asset.name });
+        }
+        pairs.set(key, pair);
+      }
+    }
+  }
+
+  // Mejor expansión por token
+  const best = new Map();
+  for (const [key, pair] of pairs) {
+    const [abbreviation, expansion] = key.split('|');
+    const confidence = pair.support / occurrences.get(abbreviation);
+    if (pair.support < minSupport || confidence < minConfidence) continue;
+    const current = best.get(abbreviation);
+    if (!current || pair.support > current.support) {
+      best.set(abbreviation, {
+        abbreviation,
+        expansion,
+        support: pair.support,
+        occurrences: occurrences.get(abbreviation),
+        confidence,
+        examples: pair.examples,
+      });
+    }
+  }
+
+  const suggestions = [...best.values()]
+    .sort((a, b) => b.support - a.support || b.confidence - a.confidence)
+    .slice(0, limit);
+  return { rowsAnalyzed, suggestions };
+}
@@ -0,0 +1,127 @@
+/**
+ * API keys para cuentas de servicio (automatizaciones y scripts).
+ * La key completa solo se devuelve al crearla; en Mongo se guarda su hash SHA-256
+ * junto con los permisos (scopes), último uso y fecha de revocación.
+ */
+
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+import { getDb } from '../config/mongo.js';
+import { PERMISSIONS } from '../config/permissions.js';
+
+const API_KEYS_COLLECTION = 'api_keys';
+const KEY_PREFIX = 'tgv_';
+
+// Permisos que una API key nunca puede tener (gestión de credenciales)
+const NON_DELEGABLE_PERMISSIONS = new Set([
+  PERMISSIONS.API_KEYS_MANAGE,
+  PERMISSIONS.SESSIONS_REVOKE,
+]);
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+export function isApiKeyFormat(value) {
+  return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+}
+
+function toPublicApiKey(doc) {
+  return {
+    id: doc._id,
+    name: doc.name,
+    keyPreview: doc.keyPreview,
+    permissions: doc.permissions || [],
+    createdBy: doc.createdBy ?? null,
+    createdAt: doc.createdAt,
+    lastUsedAt: doc.lastUsedAt ?? null,
+    revokedAt: doc.revokedAt ?? null,
+  };
+}
+
+/**
+ * Valida la lista de permisos solicitada para una key.
+ * @returns {{ permissions: string[], invalid: string[] }}
+ */
+export function validateApiKeyPermissions(permissions) {
+  const known = new Set(Object.values(PERMISSIONS));
+  const unique = [...new Set((permissions || []).map((p) => String(p)))];
+  const invalid = unique.filter((p) => !known.has(p) || NON_DELEGABLE_PERMISSIONS.has(p));
+  return { permissions: unique.filter((p) => !invalid.includes(p)), invalid };
+}
+
+/**
+ * Crea una API key. Devuelve la key en claro una única vez.
+ * @param {{ name: string, permissions: string[], createdBy?: any }} params
+ */
+export async function createApiKey({ name, permissions, createdBy = null }) {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const doc = {
+    name,
+    keyHash: hashKey(key),
+    keyPreview: `${key.slice(0, KEY_PREFIX.length + 4)}…${key.slice(-4)}`,
+    permissions,
+    createdBy,
+    createdAt: new Date(),
+    lastUsedAt: null,
+    revokedAt: null,
+  };
+
+  const result = await db.collection(API_KEYS_COLLECTION).insertOne(doc);
+  return { key, apiKey: toPublicApiKey({ ...doc, _id: result.insertedId }) };
+}
+
+/**
+ * Lista las API keys (sin hash).
+ */
+export async function listApiKeys() {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+
+  const docs = await db
+    .collection(API_KEYS_COLLECTION)
+    .find({}, { projection: { keyHash: 0 } })
+    .sort({ createdAt: -1 })
+    .toArray();
+  return docs.map(toPublicApiKey);
+}
+
+/**
+ * Revoca una API key.
+ */
+export async function revokeApiKey(apiKeyId) {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+  if (!ObjectId.isValid(apiKeyId)) throw new Error('API key no encontrada');
+
+  const result = await db.collection(API_KEYS_COLLECTION).updateOne(
+    { _id: new ObjectId(apiKeyId) },
+    { $set: { revokedAt: new Date() } }
+  );
+  if (result.matchedCount === 0) throw new Error('API key no encontrada');
+
+  return { success: true };
+}
+
+/**
+ * Verifica una API key en claro. Si es válida actualiza lastUsedAt (sin esperar)
+ * y devuelve el documento; si no existe o está revocada devuelve null.
+ */
+export async function verifyApiKey(key) {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+  if (!isApiKeyFormat(key)) return null;
+
+  const collection = db.collection(API_KEYS_COLLECTION);
+  const doc = await collection.findOne({ keyHash: hashKey(key), revokedAt: null });
+  if (!doc) return null;
+
+  collection
+    .updateOne({ _id: doc._id }, { $set: { lastUsedAt: new Date() } })
+    .catch((err) => console.warn('[api-keys] No se pudo actualizar lastUsedAt:', err.message));
+
+  return doc;
+}
@@ -0,0 +1,178 @@
+/**
+ * Administración del estado de conciliación de activos.
+ * Permite ver por qué un activo no aparece en búsquedas (isReconciled + job/fila que lo concilió)
+ * y revertir conciliaciones por ids, por job o por subárbol de ubicación.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, runInTransaction } from '../config/mongo.js';
+import { getLocationMatchFromIds } from '../utils/location-filter.js';
+import { recordDecision, DECISION_SOURCES } from './decision-history.service.js';
+import { clearRowFeedback } from './feedback.service.js';
+import { getActiveEmbeddingConfig, DEFAULT_VECTOR_FIELD } from './embedding-config.service.js';
+
+const ASSETS_COLLECTION = 'assets';
+const JOBS_COLLECTION = 'reconciliation_jobs';
+
+function toObjectIds(ids) {
+  return (ids || []).map((id) => String(id)).filter((id) => ObjectId.isValid(id)).map((id) => new ObjectId(id));
+}
+
+/**
+ * Obtiene un activo con su estado de conciliación y la fila del job que lo concilió.
+ * @param {string} assetId
+ */
+export async function getAssetWithReconciliation(assetId) {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+  if (!ObjectId.isValid(assetId)) throw new Error('Activo no encontrado');
+
+  const { field } = await getActiveEmbeddingConfig();
+  const asset = await db.collection(ASSETS_COLLECTION).findOne(
+    { _id: new ObjectId(assetId) },
+    { projection: { [DEFAULT_VECTOR_FIELD]: 0, [field]: 0 } }
+  );
+  if (!asset) throw new Error('Activo no encontrado');
+
+  const jobId = asset.reconciledJobId ?? null;
+  const rowNumber = asset.reconciledRowNumber ?? null;
+  let row = null;
+  let jobExists = false;
+
+  if (jobId) {
+    const job = await db.collection(JOBS_COLLECTION).findOne(
+      { _id: jobId },
+      { projection: { _id: 1, rows: { $elemMatch: { rowNumber } } } }
+    );
+    jobExists = Boolean(job);
+    const r = job?.rows?.[0];
+    if (r) {
+      row = {
+        rowNumber: r.rowNumber,
+        sapDescription: r.sapDescription,
+        sapLocation: r.sapLocation,
+        decision: r.decision,
+        selectedAssetId: r.selectedAssetId,
+      };
+    }
+  }
+
+  return {
+    asset,
+    reconciliation: {
+      isReconciled: Boolean(asset.isReconciled),
+      reconciledAt: asset.reconciledAt ?? null,
+      reconciledJobId: jobId,
+      reconciledRowNumber: rowNumber,
+      jobExists,
+      row,
+      links: jobId
+        ? {
+            job: `/ai/reconciliation/job/${jobId}`,
+            rowHistory: rowNumber != null ? `/ai/reconciliation/job/${jobId}/row/${rowNumber}/history` : null,
+          }
+        : null,
+    },
+  };
+}
+
+/**
+ * Construye el filtro de activos conciliados a partir de los criterios (se combinan con AND).
+ * @returns {Promise<object|null>} null si no hay criterios
+ */
+async function buildUnreconcileFilter(db, { assetIds, jobId, locationFilterIds }) {
+  const clauses = [];
+
+  if (Array.isArray(assetIds) && assetIds.length > 0) {
+    clauses.push({ _id: { $in: toObjectIds(assetIds) } });
+  }
+  if (jobId) {
+    if (!ObjectId.isValid(jobId)) throw new Error('Job no encontrado');
+    clauses.push({ reconciledJobId: new ObjectId(jobId) });
+  }
+  if (Array.isArray(locationFilterIds) && locationFilterIds.length > 0) {
+    const locationMatch = await getLocationMatchFromIds(db, locationFilterIds);
+    if (locationMatch) clauses.push(locationMatch);
+  }
+
+  if (clauses.length === 0) return null;
+  return { $and: [{ isReconciled: true }, ...clauses] };
+}
+
+/**
+ * Revierte la conciliación de activos. Las filas de job que los tenían en "match"
+ * vuelven a "pending" y el cambio queda en el historial de decisiones.
+ * @param {object} criteria
+ * @param {string[]} [criteria.assetIds]
+ * @param {string} [criteria.jobId]
+ * @param {string[]} [criteria.locationFilterIds] - ubicación + hijas y subhijas
+ * @param {boolean} [criteria.dryRun=true] - solo cuenta, no modifica
+ * @param {object} [actor] - { userId, userName, authType }
+ */
+export async function unreconcileAssets({ assetIds, jobId, locationFilterIds, dryRun = true }, actor = {}) {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+
+  const filter = await buildUnreconcileFilter(db, { assetIds, jobId, locationFilterIds });
+  if (!filter) throw new Error('Se requiere al menos un criterio: assetIds, jobId o locationFilterIds');
+
+  const assets = db.collection(ASSETS_COLLECTION);
+  const matched = await assets.countDocuments(filter);
+  if (dryRun || matched === 0) {
+    return { dryRun: Boolean(dryRun), matched, released: 0, rowsReset: 0 };
+  }
+
+  const targets = await assets
+    .find(filter, { projection: { _id: 1, reconciledJobId: 1, reconciledRowNumber: 1 } })
+    .toArray();
+
+  return runInTransaction(async (session) => {
+    const released = await assets.updateMany(
+      { _id: { $in: targets.map((a) => a._id) } },
+      {
+        $set: { isReconciled: false },
+        $unset: { reconciledAt: '', reconciledJobId: '', reconciledRowNumber: '' },
+      },
+      { session }
+    );
+
+    let rowsReset = 0;
+    for (const asset of targets) {
+      if (!asset.reconciledJobId || asset.reconciledRowNumber == null) continue;
+
+      const result = await db.collection(JOBS_COLLECTION).updateOne(
+        {
+          _id: asset.reconciledJobId,
+          rows: { $elemMatch: { rowNumber: asset.reconciledRowNumber, selectedAssetId: asset._id } },
+        },
+        {
+          $set: {
+            'rows.$.decision': 'pending',
+            'rows.$.selectedAssetId': null,
+            updatedAt: new Date(),
+          },
+        },
+        { session }
+      );
+      if (result.modifiedCount === 0) continue;
+
+      rowsReset++;
+      await recordDecision(
+        {
+          jobId: asset.reconciledJobId,
+          rowNumber: asset.reconciledRowNumber,
+          decision: 'pending',
+          selectedAssetId: null,
+          previousDecision: 'match',
+          previousSelectedAssetId: asset._id,
+        },
+        { ...actor, source: DECISION_SOURCES.UNRECONCILE },
+        { session }
+      );
+      // El par confirmado deja de valer para la memoria de feedback
+      await clearRowFeedback(asset.reconciledJobId, asset.reconciledRowNumber, { assetId: asset._id, session });
+    }
+
+    return { dryRun: false, matched, released: released.modifiedCount, rowsReset };
+  });
+}
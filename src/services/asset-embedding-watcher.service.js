@@ -0,0 +1,428 @@
+/**
+ * Re-embebido automático de activos editados o creados en la app principal de Tagventory.
+ * Escucha la colección assets con un change stream (requiere replica set / Atlas) o, si no está
+ * disponible, consulta periódicamente los activos con updatedAt (o _id) posterior al último visto.
+ * Recalcula embeddingText con la plantilla compartida y solo vuelve a embeber si el texto cambió.
+ * El resume token y la marca de agua del polling se guardan en embedding_watcher_state, así que el
+ * watcher continúa donde se quedó tras un reinicio. Un lease evita que varias instancias trabajen a la vez.
+ * También mantiene al día assets.modelKey (utils/model-key.js) cuando cambia el modelo y assets.identifierKeys
+ * (identifier-search.service.js) cuando cambian los identificadores.
+ */
+
+import os from 'os';
+import { randomUUID } from 'crypto';
+import { getDb } from '../config/mongo.js';
+import { env } from '../config/env.js';
+import {
+  buildAssetEmbeddingTextWithReason,
+  getEmbeddingTemplateProjection,
+  EMBEDDING_TEMPLATE_VERSION,
+} from '../utils/embedding-text.js';
+import { getTextEmbeddings } from './embedding.service.js';
+import { getActiveEmbeddingConfig } from './embedding-config.service.js';
+import { getUnappliedMigrationField } from './embedding-migration.service.js';
+import { buildEmbeddedUpdate, buildSkipUpdate } from './backfill.service.js';
+import { buildUsageAttribution } from './usage.service.js';
+import { canonicalModelKey } from '../utils/model-key.js';
+import { assetIdentifierKeys } from './identifier-search.service.js';
+
+const ASSETS_COLLECTION = 'assets';
+const STATE_COLLECTION = 'embedding_watcher_state';
+const STATE_ID = 'assets';
+const POLL_BATCH = 200;
+const LEASE_MS = 60 * 1000;
+const UPDATED_AT_FIELD = 'updatedAt';
+
+export const WATCHER_MODES = ['off', 'auto', 'change-stream', 'poll'];
+
+// Códigos de Mongo: change streams no soportados (mongod standalone) y resume token fuera del oplog
+const CHANGE_STREAM_UNSUPPORTED_CODES = new Set([40573]);
+const CHANGE_STREAM_HISTORY_LOST_CODES = new Set([280, 286]);
+const DUPLICATE_KEY_CODE = 11000;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+
+let watcher = null;
+
+function createWatcherState(mode, pollMs) {
+  return {
+    requestedMode: mode,
+    mode: null,
+    pollMs,
+    // El lease dura al menos dos intervalos de polling para no perderlo entre pasadas
+    leaseMs: Math.max(LEASE_MS, pollMs * 2),
+    stopped: false,
+    hasLease: false,
+    stream: null,
+    wake: null,
+    loop: null,
+    startedAt: new Date(),
+    stats: { events: 0, reembedded: 0, unchanged: 0, skipped: 0, errors: 0 },
+    lastEventAt: null,
+    lastError: null,
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    watcher.wake = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+}
+
+function recordError(err, label) {
+  watcher.stats.errors++;
+  watcher.lastError = { message: err.message, at: new Date() };
+  console.error(`[embedding-watcher] ${label}: ${err.message}`);
+}
+
+/**
+ * Campos de la plantilla de texto (un update que no toca ninguno no cambia embeddingText) más brand y
+ * model, de los que sale modelKey, y los de ASSET_IDENTIFIER_FIELDS, de los que sale identifierKeys.
+ */
+function getTemplateFields() {
+  const fields = new Set(Object.keys(getEmbeddingTemplateProjection()).filter((f) => f !== '_id'));
+  fields.add('brand');
+  fields.add('model');
+  for (const field of env.ASSET_IDENTIFIER_FIELDS) fields.add(field);
+  return [...fields];
+}
+
+/**
+ * Añade al update modelKey e identifierKeys recalculados si cambiaron respecto a los guardados.
+ */
+function withDerivedKeys(update, doc) {
+  const modelKey = canonicalModelKey(doc.model, doc.brand);
+  if ((doc.modelKey ?? null) !== modelKey) {
+    if (modelKey) update.$set = { ...update.$set, modelKey };
+    else update.$unset = { ...update.$unset, modelKey: '' };
+  }
+  const identifierKeys = assetIdentifierKeys(doc);
+  if ((doc.identifierKeys || []).join('|') !== identifierKeys.join('|')) {
+    if (identifierKeys.length > 0) update.$set = { ...update.$set, identifierKeys };
+    else update.$unset = { ...update.$unset, identifierKeys: '' };
+  }
+  return update;
+}
+
+function touchesTemplateFields(change, templateFields) {
+  const desc = change.updateDescription;
+  if (!desc) return true;
+  const keys = [...Object.keys(desc.updatedFields || {}), ...(desc.removedFields || [])];
+  return keys.some((key) => templateFields.some(
+    (field) => key === field || key.startsWith(`${field}.`) || field.startsWith(`${key}.`)
+  ));
+}
+
+/**
+ * Toma o renueva el lease del watcher. false si otra instancia lo tiene vigente.
+ */
+async function acquireLease(state) {
+  const now = new Date();
+  try {
+    await state.updateOne(
+      {
+        _id: STATE_ID,
+        $or: [{ owner: INSTANCE_ID }, { leaseUntil: { $lt: now } }, { leaseUntil: { $exists: false } }],
+      },
+      { $set: { owner: INSTANCE_ID, leaseUntil: new Date(now.getTime() + watcher.leaseMs) } },
+      { upsert: true }
+    );
+    watcher.hasLease = true;
+  } catch (err) {
+    if (err.code !== DUPLICATE_KEY_CODE) throw err;
+    watcher.hasLease = false;
+  }
+  return watcher.hasLease;
+}
+
+async function releaseLease(state) {
+  await state.updateOne({ _id: STATE_ID, owner: INSTANCE_ID }, { $set: { leaseUntil: new Date(0) } });
+}
+
+function pushDerivedKeysOnly(ops, doc) {
+  const update = withDerivedKeys({}, doc);
+  if (update.$set || update.$unset) ops.push({ updateOne: { filter: { _id: doc._id }, update } });
+}
+
+/**
+ * Recalcula el texto de los activos y re-embebe (en lote) solo los que cambiaron.
+ * Los activos que ya no se pueden embeber (p. ej. sin nombre) pierden el vector y quedan marcados.
+ * Si el proveedor falla, guarda el resto de cambios y relanza el error (el lote se reintenta).
+ * @param {import('mongodb').Collection} assets
+ * @param {object[]} docs - activos con los campos de la plantilla, brand, model, modelKey, los identificadores,
+ *   identifierKeys, embeddingText y el campo vectorial
+ */
+async function reembedAssets(assets, docs) {
+  const config = await getActiveEmbeddingConfig();
+  // Un vector sombra calculado con el texto anterior ya no vale: la migración lo recalcula al reanudarla
+  const shadowField = await getUnappliedMigrationField();
+  const shadowUnset = shadowField && shadowField !== config.field ? { [shadowField]: '', embeddingNext: '' } : {};
+
+  const ops = [];
+  const toEmbed = [];
+  for (const doc of docs) {
+    const { text, skipReason } = buildAssetEmbeddingTextWithReason(doc);
+    const current = doc.embeddingTemplateVersion === EMBEDDING_TEMPLATE_VERSION;
+
+    if (!text) {
+      if (current && doc.embeddingSkipReason === skipReason && doc[config.field] == null) {
+        watcher.stats.unchanged++;
+        pushDerivedKeysOnly(ops, doc);
+        continue;
+      }
+      const update = buildSkipUpdate(skipReason);
+      update.$unset = { [config.field]: '', embeddingText: '', ...shadowUnset };
+      ops.push({ updateOne: { filter: { _id: doc._id }, update: withDerivedKeys(update, doc) } });
+      watcher.stats.skipped++;
+      continue;
+    }
+
+    if (current && text === doc.embeddingText && doc[config.field] != null) {
+      watcher.stats.unchanged++;
+      pushDerivedKeysOnly(ops, doc);
+      continue;
+    }
+    toEmbed.push({ doc, text });
+  }
+
+  let embedError = null;
+  if (toEmbed.length > 0) {
+    try {
+      const { embeddings } = await getTextEmbeddings(toEmbed.map((x) => x.text), {
+        config,
+        attribution: buildUsageAttribution('watcher'),
+      });
+      toEmbed.forEach((item, i) => {
+        const update = buildEmbeddedUpdate(item.text, embeddings[i], config);
+        update.$unset = { ...update.$unset, ...shadowUnset };
+        ops.push({ updateOne: { filter: { _id: item.doc._id }, update: withDerivedKeys(update, item.doc) } });
+      });
+      watcher.stats.reembedded += toEmbed.length;
+    } catch (err) {
+      embedError = err;
+    }
+  }
+
+  if (ops.length > 0) await assets.bulkWrite(ops, { ordered: false });
+  // Quien llama no debe avanzar el resume token ni la marca de agua: los activos se reintentan
+  if (embedError) throw embedError;
+}
+
+/**
+ * Escucha inserts, updates y replaces de assets. Guarda el resume token tras procesar cada evento.
+ * Termina al parar el watcher, al perder el lease o con error (p. ej. change streams no soportados).
+ */
+async function runChangeStream(db) {
+  const assets = db.collection(ASSETS_COLLECTION);
+  const state = db.collection(STATE_COLLECTION);
+  const templateFields = getTemplateFields();
+
+  const saved = await state.findOne({ _id: STATE_ID }, { projection: { resumeToken: 1 } });
+  const stream = assets.watch(
+    [{ $match: { operationType: { $in: ['insert', 'update', 'replace'] } } }],
+    { fullDocument: 'updateLookup', ...(saved?.resumeToken ? { resumeAfter: saved.resumeToken } : {}) }
+  );
+  watcher.stream = stream;
+
+  const renew = setInterval(() => {
+    acquireLease(state)
+      .then((ok) => { if (!ok) stream.close().catch(() => {}); })
+      .catch((err) => recordError(err, 'No se pudo renovar el lease'));
+  }, watcher.leaseMs / 3);
+
+  try {
+    for await (const change of stream) {
+      if (watcher.stopped) break;
+      watcher.stats.events++;
+      watcher.lastEventAt = new Date();
+
+      const doc = change.fullDocument;
+      // El propio re-embebido genera eventos que no tocan los campos de la plantilla
+      // Si falla (proveedor caído, 429) el resume token no avanza: runLoop reabre el stream desde el último
+      // guardado y el evento se reintenta
+      if (doc && (change.operationType !== 'update' || touchesTemplateFields(change, templateFields))) {
+        await reembedAssets(assets, [doc]);
+      }
+      await state.updateOne({ _id: STATE_ID }, { $set: { resumeToken: change._id, updatedAt: new Date() } });
+    }
+  } catch (err) {
+    if (CHANGE_STREAM_HISTORY_LOST_CODES.has(err.code)) {
+      // El oplog ya no contiene el punto de reanudación: se reinicia desde ahora
+      console.warn('[embedding-watcher] Resume token caducado; se escucha desde ahora. Los cambios intermedios no se re-embeben.');
+      await state.updateOne({ _id: STATE_ID }, { $unset: { resumeToken: '' } });
+      return;
+    }
+    if (!watcher.stopped) throw err;
+  } finally {
+    clearInterval(renew);
+    watcher.stream = null;
+    await stream.close().catch(() => {});
+  }
+}
+
+/**
+ * Una pasada de polling: activos nuevos (_id posterior al último visto) y editados (updatedAt posterior).
+ * Sin estado previo empieza desde el activo más reciente: lo anterior lo cubren los scripts de backfill.
+ */
+async function pollOnce(db) {
+  const assets = db.collection(ASSETS_COLLECTION);
+  const state = db.collection(STATE_COLLECTION);
+  const config = await getActiveEmbeddingConfig();
+  const projection = {
+    ...getEmbeddingTemplateProjection(),
+    [UPDATED_AT_FIELD]: 1,
+    brand: 1,
+    model: 1,
+    modelKey: 1,
+    ...Object.fromEntries(env.ASSET_IDENTIFIER_FIELDS.map((field) => [field, 1])),
+    identifierKeys: 1,
+    embeddingText: 1,
+    embeddingSkipReason: 1,
+    embeddingTemplateVersion: 1,
+    [config.field]: 1,
+  };
+
+  const saved = await state.findOne({ _id: STATE_ID });
+  let poll = saved?.poll;
+  if (!poll) {
+    const [lastInserted] = await assets.find({}, { projection: { _id: 1 } }).sort({ _id: -1 }).limit(1).toArray();
+    const [lastUpdated] = await assets
+      .find({ [UPDATED_AT_FIELD]: { $exists: true } }, { projection: { _id: 1, [UPDATED_AT_FIELD]: 1 } })
+      .sort({ [UPDATED_AT_FIELD]: -1, _id: -1 })
+      .limit(1)
+      .toArray();
+    poll = {
+      lastId: lastInserted?._id ?? null,
+      updatedAt: lastUpdated?.[UPDATED_AT_FIELD] ?? null,
+      updatedId: lastUpdated?._id ?? null,
+    };
+    await state.updateOne({ _id: STATE_ID }, { $set: { poll, updatedAt: new Date() } });
+    return;
+  }
+
+  // Activos creados
+  const inserted = await assets
+    .find(poll.lastId ? { _id: { $gt: poll.lastId } } : {}, { projection })
+    .sort({ _id: 1 })
+    .limit(POLL_BATCH)
+    .toArray();
+
+  // Activos editados (desempate por _id para no repetir ni saltar activos con el mismo updatedAt)
+  const updatedFilter = poll.updatedAt
+    ? {
+      $or: [
+        { [UPDATED_AT_FIELD]: { $gt: poll.updatedAt } },
+        { [UPDATED_AT_FIELD]: poll.updatedAt, _id: { $gt: poll.updatedId } },
+      ],
+    }
+    : { [UPDATED_AT_FIELD]: { $exists: true } };
+  const updated = await assets
+    .find(updatedFilter, { projection })
+    .sort({ [UPDATED_AT_FIELD]: 1, _id: 1 })
+    .limit(POLL_BATCH)
+    .toArray();
+
+  const byId = new Map([...inserted, ...updated].map((doc) => [String(doc._id), doc]));
+  if (byId.size === 0) return;
+  watcher.stats.events += byId.size;
+  watcher.lastEventAt = new Date();
+
+  await reembedAssets(assets, [...byId.values()]);
+
+  const next = { ...poll };
+  if (inserted.length > 0) next.lastId = inserted[inserted.length - 1]._id;
+  if (updated.length > 0) {
+    const last = updated[updated.length - 1];
+    next.updatedAt = last[UPDATED_AT_FIELD];
+    next.updatedId = last._id;
+  }
+  await state.updateOne({ _id: STATE_ID }, { $set: { poll: next, updatedAt: new Date() } });
+}
+
+async function runLoop() {
+  const db = getDb();
+  const state = db.collection(STATE_COLLECTION);
+  let useChangeStream = watcher.requestedMode !== 'poll';
+
+  while (!watcher.stopped) {
+    try {
+      if (!(await acquireLease(state))) {
+        await sleep(watcher.leaseMs / 2);
+        continue;
+      }
+
+      if (useChangeStream) {
+        watcher.mode = 'change-stream';
+        try {
+          await runChangeStream(db);
+        } catch (err) {
+          if (watcher.requestedMode !== 'auto' || !CHANGE_STREAM_UNSUPPORTED_CODES.has(err.code)) throw err;
+          console.warn('[embedding-watcher] Change streams no disponibles (¿mongod sin replica set?); se usa polling');
+          useChangeStream = false;
+        }
+        continue;
+      }
+
+      watcher.mode = 'poll';
+      await pollOnce(db);
+      await sleep(watcher.pollMs);
+    } catch (err) {
+      recordError(err, 'Error en el watcher');
+      await sleep(watcher.pollMs);
+    }
+  }
+
+  await releaseLease(state).catch(() => {});
+}
+
+/**
+ * Arranca el watcher en segundo plano (una vez por proceso). Requiere MongoDB conectado.
+ * @param {{ mode?: 'auto'|'change-stream'|'poll', pollMs?: number }} [options] - por defecto, los de .env
+ */
+export function startAssetEmbeddingWatcher({ mode = env.EMBEDDING_WATCHER, pollMs = env.EMBEDDING_WATCHER_POLL_MS } = {}) {
+  if (!getDb()) throw new Error('MongoDB no conectado');
+  if (!WATCHER_MODES.includes(mode) || mode === 'off') {
+    throw new Error(`Modo de watcher no válido: "${mode}". Opciones: ${WATCHER_MODES.filter((m) => m !== 'off').join(', ')}`);
+  }
+  if (watcher && !watcher.stopped) return getAssetEmbeddingWatcherStatus();
+
+  watcher = createWatcherState(mode, pollMs);
+  watcher.loop = runLoop();
+  console.log(`[embedding-watcher] Iniciado (modo ${mode}, instancia ${INSTANCE_ID})`);
+  return getAssetEmbeddingWatcherStatus();
+}
+
+/**
+ * Detiene el watcher y libera el lease. Espera a que termine el lote en curso.
+ */
+export async function stopAssetEmbeddingWatcher() {
+  if (!watcher || watcher.stopped) return;
+  watcher.stopped = true;
+  watcher.wake?.();
+  await watcher.stream?.close().catch(() => {});
+  await watcher.loop;
+}
+
+/**
+ * Estado del watcher en este proceso (GET /ai/embedding/watcher).
+ */
+export function getAssetEmbeddingWatcherStatus() {
+  if (!watcher) return { enabled: false, instance: INSTANCE_ID };
+  return {
+    enabled: !watcher.stopped,
+    instance: INSTANCE_ID,
+    requestedMode: watcher.requestedMode,
+    mode: watcher.mode,
+    // false: otra instancia tiene el lease y este proceso espera
+    active: watcher.hasLease,
+    pollMs: watcher.pollMs,
+    startedAt: watcher.startedAt,
+    lastEventAt: watcher.lastEventAt,
+    stats: { ...watcher.stats },
+    lastError: watcher.lastError,
+  };
+}
@@ -0,0 +1,319 @@
+/**
+ * Extracción de atributos estructurados de las descripciones SAP: tipo de objeto, marca, modelo,
+ * capacidad ("2000 litros"), dimensiones y color.
+ * ATTRIBUTE_EXTRACTOR=llm usa un modelo de chat con JSON schema (en lotes) y, si falla, las reglas;
+ * ATTRIBUTE_EXTRACTOR=rules solo usa las reglas (sin red). La marca se resuelve contra las marcas
+ * del catálogo de activos: solo una marca conocida (brandInCatalog) premia (y, con ATTRIBUTE_BRAND_FILTER,
+ * filtra) la búsqueda híbrida.
+ */
+
+import { getDb } from '../config/mongo.js';
+import { env } from '../config/env.js';
+import { createJsonCompletion } from './llm.service.js';
+import { extractModelKeys, canonicalModelKey, splitModelKey } from '../utils/model-key.js';
+import { isPlaceholderValue } from '../utils/embedding-text.js';
+
+const ASSETS_COLLECTION = 'assets';
+const BRAND_CACHE_TTL_MS = 10 * 60 * 1000;
+// Descripciones por llamada al LLM
+const LLM_BATCH_SIZE = 20;
+// Letras de serie antes del número de modelo ("LJ", "HL", "DCP"); más largo suele ser otra palabra
+const MAX_SERIES_PREFIX = 4;
+
+export const ATTRIBUTE_EXTRACTORS = ['off', 'rules', 'llm'];
+
+// Unidad normalizada de capacidad por sufijo (volumen, peso, potencia, almacenamiento)
+const CAPACITY_UNITS = {
+  L: 'L', LT: 'L', LTS: 'L', LITRO: 'L', LITROS: 'L',
+  ML: 'mL',
+  GAL: 'gal', GALON: 'gal', GALONES: 'gal',
+  KG: 'kg', KGS: 'kg', KILO: 'kg', KILOS: 'kg',
+  TON: 't', TONS: 't', TONELADA: 't', TONELADAS: 't',
+  W: 'W', WATT: 'W', WATTS: 'W',
+  KW: 'kW', KVA: 'kVA', HP: 'HP', BTU: 'BTU',
+  GB: 'GB', TB: 'TB',
+};
+const CAPACITY_REGEX = new RegExp(
+  `(?:^|\\s)(\\d+(?:[.,]\\d+)?)\\s*(${Object.keys(CAPACITY_UNITS).sort((a, b) => b.length - a.length).join('|')})\\.?(?=\\s|$|[,;/])`,
+  'i'
+);
+const DIMENSIONS_REGEX = /(\d+(?:[.,]\d+)?)\s*[X×*]\s*(\d+(?:[.,]\d+)?)(?:\s*[X×*]\s*(\d+(?:[.,]\d+)?))?\s*(CM|MM|MTS?|M)?\b/i;
+const INCHES_REGEX = /(\d+(?:[.,]\d+)?)\s*(?:PULGADAS?|PULG\.?|IN|")/i;
+
+// Colores (forma base): también se aceptan femenino y plural ("NEGRA", "BLANCOS")
+const COLORS = {
+  negro: ['NEGRO', 'NEGRA'],
+  blanco: ['BLANCO', 'BLANCA'],
+  gris: ['GRIS'],
+  azul: ['AZUL', 'MARINO'],
+  rojo: ['ROJO', 'ROJA'],
+  verde: ['VERDE'],
+  amarillo: ['AMARILLO', 'AMARILLA'],
+  naranja: ['NARANJA'],
+  cafe: ['CAFE', 'MARRON', 'CHOCOLATE'],
+  beige: ['BEIGE', 'ARENA', 'HUESO'],
+  plata: ['PLATA', 'PLATEADO', 'PLATEADA'],
+  morado: ['MORADO', 'MORADA'],
+  rosa: ['ROSA'],
+  vino: ['VINO'],
+};
+const COLOR_BY_WORD = new Map(
+  Object.entries(COLORS).flatMap(([base, words]) => words.flatMap((w) => [[w, base], [`${w}S`, base], [`${w}ES`, base]]))
+);
+
+// Palabras que no son el tipo de objeto al inicio de la descripción
+const TYPE_STOPWORDS = new Set(['DE', 'DEL', 'LA', 'EL', 'LOS', 'LAS', 'CON', 'PARA', 'SIN', 'Y', 'EN', 'TIPO', 'MARCA', 'MODELO']);
+
+const LLM_SYSTEM_PROMPT = [
+  'Extraes atributos de descripciones de activos fijos escritas en SAP (español, abreviadas, en mayúsculas).',
+  'Para cada descripción devuelve: objectType (sustantivo del tipo de objeto en minúsculas y singular, ej. "silla", "impresora"),',
+  'brand, model, capacityValue y capacityUnit (ej. 2000 y "L"; unidades: L, mL, gal, kg, t, W, kW, kVA, HP, BTU, GB, TB),',
+  'dimensions (ej. "120x60x75 cm") y color (en minúsculas, forma masculina singular).',
+  'Usa null cuando el dato no aparece; no inventes marcas ni modelos. Devuelve un item por descripción con su "index".',
+].join(' ');
+
+const nullable = (type) => ({ type: [type, 'null'] });
+const LLM_SCHEMA = {
+  type: 'object',
+  properties: {
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer' },
+          objectType: nullable('string'),
+          brand: nullable('string'),
+          model: nullable('string'),
+          capacityValue: nullable('number'),
+          capacityUnit: nullable('string'),
+          dimensions: nullable('string'),
+          color: nullable('string'),
+        },
+        required: ['index', 'objectType', 'brand', 'model', 'capacityValue', 'capacityUnit', 'dimensions', 'color'],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ['items'],
+  additionalProperties: false,
+};
+
+let brandCache = null;
+
+function foldText(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const MEASURE_UNITS = new Set([...Object.keys(CAPACITY_UNITS), 'IN', 'CM', 'MM', 'M', 'MT', 'MTS']);
+
+function isMeasureKey(key) {
+  const unit = key.match(/^\d+([A-Z]+)$/)?.[1];
+  return (unit && MEASURE_UNITS.has(unit)) || /^\d+X\d+/.test(key);
+}
+
+function parseNumber(text) {
+  const n = Number(String(text).replace(',', '.'));
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Marcas del catálogo de activos (distinct de assets.brand, sin placeholders), por forma normalizada.
+ * @returns {Promise<Map<string, string>>} marca normalizada -> marca tal como está en los activos
+ */
+async function getCatalogBrands() {
+  if (brandCache && Date.now() - brandCache.loadedAt < BRAND_CACHE_TTL_MS) return brandCache.brands;
+  const db = getDb();
+  const brands = new Map();
+  if (db) {
+    for (const brand of await db.collection(ASSETS_COLLECTION).distinct('brand')) {
+      if (brand == null || typeof brand === 'object' || isPlaceholderValue(brand, ['common', 'brand'])) continue;
+      const key = foldText(brand);
+      if (key.length >= 2 && !brands.has(key)) brands.set(key, String(brand).trim());
+    }
+  }
+  brandCache = { brands, loadedAt: Date.now() };
+  return brands;
+}
+
+/**
+ * Marca del catálogo que aparece en el texto (palabras completas; gana la más larga: "HEWLETT PACKARD" antes que "HP").
+ */
+function findCatalogBrand(text, brands) {
+  const folded = ` ${foldText(text).replace(/[^A-Z0-9&]+/g, ' ')} `;
+  let best = null;
+  for (const [key, brand] of brands) {
+    if (folded.includes(` ${key} `) && (!best || key.length > best.key.length)) best = { key, brand };
+  }
+  return best?.brand ?? null;
+}
+
+/**
+ * Completa y normaliza los atributos (de reglas o del LLM) con el mismo formato.
+ */
+function finalizeAttributes(raw, brands, source) {
+  const brandFromCatalog = raw.brand ? brands.get(foldText(raw.brand)) ?? findCatalogBrand(raw.brand, brands) : null;
+  const capacity = raw.capacityValue != null && raw.capacityUnit
+    ? { value: raw.capacityValue, unit: CAPACITY_UNITS[foldText(raw.capacityUnit)] ?? raw.capacityUnit }
+    : null;
+  return {
+    objectType: raw.objectType ? String(raw.objectType).trim().toLowerCase() : null,
+    brand: brandFromCatalog ?? (raw.brand ? String(raw.brand).trim() : null),
+    brandInCatalog: Boolean(brandFromCatalog),
+    model: raw.model ? String(raw.model).trim() : null,
+    modelKey: raw.model ? canonicalModelKey(raw.model, brandFromCatalog ?? raw.brand) : null,
+    capacity,
+    dimensions: raw.dimensions ? String(raw.dimensions).trim() : null,
+    color: raw.color ? String(raw.color).trim().toLowerCase() : null,
+    source,
+  };
+}
+
+/**
+ * Extracción por reglas (sin red): marcas del catálogo, claves de modelo, regex de capacidad/dimensiones
+ * y diccionario de colores.
+ * @param {string} description - descripción SAP (con abreviaturas ya expandidas)
+ * @param {Map<string, string>} brands - getCatalogBrands()
+ */
+export function extractAttributesWithRules(description, brands = new Map()) {
+  const text = foldText(description);
+  const words = text.split(/[^A-Z0-9]+/).filter(Boolean);
+
+  const capacityMatch = text.match(CAPACITY_REGEX);
+  const capacity = capacityMatch ? { value: parseNumber(capacityMatch[1]), unit: capacityMatch[2] } : null;
+
+  // La marca se busca sin la capacidad: en "COMPRESOR 5 HP" HP es potencia, no la marca
+  const brand = findCatalogBrand(capacityMatch ? text.replace(capacityMatch[0], ' ') : text, brands);
+  const brandKey = brand ? foldText(brand) : null;
+
+  const dimMatch = text.match(DIMENSIONS_REGEX);
+  const inchMatch = text.match(INCHES_REGEX);
+  let dimensions = null;
+  if (dimMatch) {
+    dimensions = [dimMatch[1], dimMatch[2], dimMatch[3]].filter(Boolean).join('x').replace(/,/g, '.');
+    if (dimMatch[4]) dimensions += ` ${dimMatch[4].toLowerCase().replace(/^mts?$/, 'm')}`;
+  } else if (inchMatch) {
+    dimensions = `${inchMatch[1].replace(',', '.')} in`;
+  }
+
+  const color = words.map((w) => COLOR_BY_WORD.get(w)).find(Boolean) ?? null;
+
+  // Modelo: la clave más larga que no sea una medida ("2000L", "24IN", "120X60") ni una palabra
+  // unida a un número ("DIESEL 2000"); un prefijo de serie corto sí ("LJ 4000 N")
+  let rest = brandKey ? ` ${text} `.split(` ${brandKey} `).join(' ') : text;
+  for (const regex of [CAPACITY_REGEX, DIMENSIONS_REGEX, INCHES_REGEX]) {
+    rest = rest.replace(new RegExp(regex.source, 'gi'), ' ');
+  }
+  const tokens = new Set(rest.split(/\s+/).map((t) => t.replace(/[^A-Z0-9]/g, '')));
+  const modelKeys = extractModelKeys(rest).filter((key) => {
+    if (isMeasureKey(key)) return false;
+    const [first] = splitModelKey(key);
+    return tokens.has(key) || /\d/.test(first) || first.length <= MAX_SERIES_PREFIX;
+  });
+  const model = modelKeys.sort((a, b) => b.length - a.length)[0] ?? null;
+
+  const objectType = words.find(
+    (w) => w.length >= 3 && /^[A-Z]+$/.test(w) && !TYPE_STOPWORDS.has(w) && w !== brandKey && !COLOR_BY_WORD.has(w)
+  ) ?? null;
+
+  return finalizeAttributes(
+    {
+      objectType,
+      brand,
+      model,
+      capacityValue: capacity?.value ?? null,
+      capacityUnit: capacity?.unit ?? null,
+      dimensions,
+      color,
+    },
+    brands,
+    'rules'
+  );
+}
+
+async function extractBatchWithLlm(descriptions, brands, attribution) {
+  const result = await createJsonCompletion({
+    model: env.ATTRIBUTE_LLM_MODEL,
+    system: LLM_SYSTEM_PROMPT,
+    user: JSON.stringify(descriptions.map((text, index) => ({ index, descripcion: text }))),
+    schemaName: 'sap_attributes',
+    schema: LLM_SCHEMA,
+    maxTokens: 100 + descriptions.length * 80,
+    attribution,
+  });
+  const byIndex = new Map((result.items || []).map((item) => [item.index, item]));
+  return descriptions.map((text, i) => {
+    const item = byIndex.get(i);
+    // Descripción que el LLM omitió: reglas
+    return item ? finalizeAttributes(item, brands, 'llm') : extractAttributesWithRules(text, brands);
+  });
+}
+
+/**
+ * Atributos de varias descripciones SAP (mismo orden). Las descripciones repetidas se extraen una vez.
+ * @param {string[]} descriptions - con abreviaturas ya expandidas (normalizeSapText / normalizeText)
+ * @param {object} [opts]
+ * @param {'off'|'rules'|'llm'} [opts.extractor=env.ATTRIBUTE_EXTRACTOR]
+ * @param {object} [opts.attribution] - consumo del LLM (usage.service.js)
+ * @returns {Promise<Array<object|null>>} null por descripción con extractor "off"
+ */
+export async function extractSapAttributes(descriptions, { extractor = env.ATTRIBUTE_EXTRACTOR, attribution = null } = {}) {
+  if (extractor === 'off') return descriptions.map(() => null);
+  const brands = await getCatalogBrands();
+  const unique = [...new Set(descriptions)];
+  const byText = new Map();
+
+  if (extractor === 'llm') {
+    for (let start = 0; start < unique.length; start += LLM_BATCH_SIZE) {
+      const batch = unique.slice(start, start + LLM_BATCH_SIZE);
+      try {
+        const attributes = await extractBatchWithLlm(batch, brands, attribution);
+        batch.forEach((text, i) => byText.set(text, attributes[i]));
+      } catch (err) {
+        console.warn(`[attribute-extraction] LLM falló; se usan reglas para ${batch.length} descripciones: ${err.message}`);
+      }
+    }
+  }
+
+  for (const text of unique) {
+    if (!byText.has(text)) byText.set(text, extractAttributesWithRules(text, brands));
+  }
+  return descriptions.map((text) => byText.get(text));
+}
+
+/**
+ * Qué atributos de la fila SAP aparecen en el activo: tipo de objeto, color y cifra de capacidad (name/model)
+ * y marca del catálogo (brand). Solo compara atributos presentes en ambos lados (un activo sin color no
+ * cuenta como diferencia).
+ * @param {object|null} attributes - extractSapAttributes()
+ * @param {{ name?: string, model?: string, brand?: string }} asset
+ * @returns {{ objectType: boolean, color: boolean, capacity: boolean, brand: boolean }}
+ */
+export function matchAssetAttributes(attributes, asset) {
+  const out = { objectType: false, color: false, capacity: false, brand: false };
+  if (!attributes) return out;
+  if (attributes.brandInCatalog && attributes.brand) {
+    out.brand = foldText(asset.brand) === foldText(attributes.brand);
+  }
+  const words = foldText(`${asset.name ?? ''} ${asset.model ?? ''}`).split(/[^A-Z0-9.]+/).filter(Boolean);
+
+  if (attributes.objectType) {
+    const type = foldText(attributes.objectType);
+    // Singular y plural ("SILLA" / "SILLAS")
+    out.objectType = words.some((w) => w === type || w === `${type}S` || w === `${type}ES` || `${w}S` === type);
+  }
+  if (attributes.color) {
+    const base = foldText(attributes.color).toLowerCase();
+    out.color = words.some((w) => COLOR_BY_WORD.get(w) === base);
+  }
+  if (attributes.capacity?.value != null) {
+    const value = String(attributes.capacity.value);
+    out.capacity = words.some((w) => w.replace(/[A-Z]+$/, '').replace(',', '.') === value);
+  }
+  return out;
+}
@@ -0,0 +1,204 @@
+/**
+ * Sesiones de autenticación (refresh tokens + revocación).
+ * Cada login crea una sesión en auth_sessions; el access token lleva su id (sid)
+ * y authMiddleware rechaza tokens cuya sesión fue revocada o expiró.
+ * Los refresh tokens rotan en cada uso: reutilizar uno ya rotado revoca la sesión completa.
+ */
+
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+import { getDb } from '../config/mongo.js';
+import { signJwt, getAccessTokenExpiresIn, getRefreshTokenTtlMs } from '../config/jwt.js';
+import { resolveUserRole } from '../config/permissions.js';
+
+const SESSIONS_COLLECTION = 'auth_sessions';
+const USERS_COLLECTION = 'user';
+
+function hashToken(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/** Compara dos hashes en tiempo constante */
+function sameHash(a, b) {
+  const bufA = Buffer.from(String(a ?? ''));
+  const bufB = Buffer.from(String(b ?? ''));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function newRefreshSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Refresh token = "<sessionId>.<secreto>". Solo se guarda el hash del secreto.
+ * @returns {{ sessionId: ObjectId, secret: string }|null}
+ */
+function parseRefreshToken(refreshToken) {
+  const [sid, secret] = String(refreshToken || '').split('.');
+  if (!sid || !secret || !ObjectId.isValid(sid)) return null;
+  return { sessionId: new ObjectId(sid), secret };
+}
+
+function buildTokens(user, sessionId, secret) {
+  const role = resolveUserRole(user);
+  const token = signJwt({
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    role,
+    sid: sessionId.toString(),
+  });
+
+  return {
+    token,
+    refreshToken: `${sessionId.toString()}.${secret}`,
+    expiresIn: getAccessTokenExpiresIn(),
+    user: {
+      id: user._id,
+      email: user.email,
+      name: user.name,
+      role,
+    },
+  };
+}
+
+/**
+ * Crea una sesión para el usuario y devuelve access + refresh token.
+ * @param {object} user - Documento de la colección "user"
+ * @param {{ userAgent?: string, ip?: string }} [meta]
+ */
+export async function createSession(user, meta = {}) {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+
+  const secret = newRefreshSecret();
+  const now = new Date();
+  const doc = {
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: meta.userAgent || null,
+    ip: meta.ip || null,
+    createdAt: now,
+    lastRefreshedAt: null,
+    expiresAt: new Date(now.getTime() + getRefreshTokenTtlMs()),
+    revokedAt: null,
+  };
+
+  const result = await db.collection(SESSIONS_COLLECTION).insertOne(doc);
+  return buildTokens(user, result.insertedId, secret);
+}
+
+/**
+ * Canjea un refresh token por un nuevo par access/refresh (rotación).
+ * Relee el usuario para reflejar cambios de rol o bajas.
+ * @returns {Promise<object|null>} tokens o null si el refresh token no es válido
+ */
+export async function refreshSession(refreshToken) {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const sessions = db.collection(SESSIONS_COLLECTION);
+  const session = await sessions.findOne({ _id: parsed.sessionId });
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) return null;
+
+  const presentedHash = hashToken(parsed.secret);
+  if (!sameHash(presentedHash, session.refreshTokenHash)) {
+    // Token ya rotado reutilizado: posible robo, se revoca la sesión completa
+    await revokeSession(parsed.sessionId, 'refresh_token_reuse');
+    return null;
+  }
+
+  const user = await db.collection(USERS_COLLECTION).findOne({ _id: session.userId });
+  if (!user) {
+    await revokeSession(parsed.sessionId, 'user_not_found');
+    return null;
+  }
+
+  const secret = newRefreshSecret();
+  // Filtro por hash actual: dos refresh concurrentes con el mismo token no pueden rotar ambos
+  const result = await sessions.updateOne(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    { $set: { refreshTokenHash: hashToken(secret), lastRefreshedAt: new Date() } }
+  );
+  if (result.modifiedCount === 0) return null;
+
+  return buildTokens(user, session._id, secret);
+}
+
+/**
+ * Revoca una sesión (logout). Los access tokens emitidos para ella dejan de aceptarse.
+ * @param {ObjectId|string} sessionId
+ * @param {string} [reason]
+ */
+export async function revokeSession(sessionId, reason = 'logout') {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+  if (!ObjectId.isValid(sessionId)) return { revoked: 0 };
+
+  const result = await db.collection(SESSIONS_COLLECTION).updateOne(
+    { _id: new ObjectId(sessionId), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return { revoked: result.modifiedCount };
+}
+
+/**
+ * Revoca una sesión a partir de su refresh token. Exige el secreto vigente: el id de sesión solo
+ * no basta (aparece en el `sid` de cada access token).
+ */
+export async function revokeSessionByRefreshToken(refreshToken, reason = 'logout') {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { revoked: 0 };
+
+  const sessions = db.collection(SESSIONS_COLLECTION);
+  const session = await sessions.findOne({ _id: parsed.sessionId, revokedAt: null });
+  const presentedHash = hashToken(parsed.secret);
+  if (!session || !sameHash(presentedHash, session.refreshTokenHash)) return { revoked: 0 };
+
+  // El hash en el filtro evita revocar si el token rotó entre la lectura y la escritura
+  const result = await sessions.updateOne(
+    { _id: parsed.sessionId, revokedAt: null, refreshTokenHash: presentedHash },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return { revoked: result.modifiedCount };
+}
+
+/**
+ * Revoca todas las sesiones activas de un usuario (p. ej. cuando deja el equipo).
+ * @param {ObjectId|string} userId
+ */
+export async function revokeUserSessions(userId, reason = 'revoked_by_admin') {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+
+  const ids = [String(userId)];
+  if (ObjectId.isValid(userId)) ids.push(new ObjectId(userId));
+
+  const result = await db.collection(SESSIONS_COLLECTION).updateMany(
+    { userId: { $in: ids }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return { revoked: result.modifiedCount };
+}
+
+/**
+ * Indica si la sesión existe, no está revocada y no ha expirado.
+ * @param {string} sessionId - sid del access token
+ */
+export async function isSessionActive(sessionId) {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+  if (!sessionId || !ObjectId.isValid(sessionId)) return false;
+
+  const session = await db.collection(SESSIONS_COLLECTION).findOne(
+    { _id: new ObjectId(sessionId) },
+    { projection: { revokedAt: 1, expiresAt: 1 } }
+  );
+  return Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+}
@@ -1,46 +1,112 @@
 import { getDb } from '../config/mongo.js';
-import { getTextEmbedding } from './embedding.service.js';
-import { buildAssetEmbeddingText } from '../utils/embedding-text.js';
+import { getTextEmbedding, buildEmbeddingMetadata } from './embedding.service.js';
+import {
+  buildAssetEmbeddingTextWithReason,
+  getEmbeddingTemplateProjection,
+  EMBEDDING_TEMPLATE_VERSION,
+} from '../utils/embedding-text.js';
+import { getActiveEmbeddingConfig } from './embedding-config.service.js';
 
 const ASSETS_COLLECTION = 'assets';
 
-export async function backfillSampleAssets(limit = 20) {
+/**
+ * Filtro de activos pendientes de embedding en el campo vectorial `field`.
+ * Con refreshStale también incluye los embebidos (u omitidos) con otra versión de la plantilla de texto.
+ * Compartido con scripts/backfill-all.js y scripts/backfill-by-location.js.
+ * @param {string} field
+ * @param {{ refreshStale?: boolean }} [options]
+ */
+export function buildPendingEmbeddingFilter(field, { refreshStale = false } = {}) {
+  const missing = { [field]: { $exists: false }, embeddingSkipReason: { $exists: false } };
+  if (!refreshStale) return missing;
+  return { $or: [missing, { embeddingTemplateVersion: { $ne: EMBEDDING_TEMPLATE_VERSION } }] };
+}
+
+/**
+ * Marca un activo que no se puede embeber (p. ej. missing_name) para no volver a leerlo en cada pasada.
+ */
+export function buildSkipUpdate(skipReason) {
+  return {
+    $set: {
+      embeddingSkipReason: skipReason,
+      embeddingVersion: 1,
+      embeddingTemplateVersion: EMBEDDING_TEMPLATE_VERSION,
+      embeddingUpdatedAt: new Date(),
+    },
+  };
+}
+
+/**
+ * Cuántos activos tienen vector o marca de omisión generados con otra versión de la plantilla.
+ */
+/**
+ * Update de un activo recién embebido en el campo vectorial de `config` (quita la marca de omisión).
+ * @param {string} embeddingText
+ * @param {number[]} embedding
+ * @param {object} config - configuración activa (getActiveEmbeddingConfig)
+ */
+export function buildEmbeddedUpdate(embeddingText, embedding, config) {
+  return {
+    $set: {
+      embeddingText,
+      [config.field]: embedding,
+      embeddingVersion: 1,
+      ...buildEmbeddingMetadata(config, embedding.length),
+      embeddingUpdatedAt: new Date(),
+    },
+    $unset: { embeddingSkipReason: '' },
+  };
+}
+
+export async function countStaleTemplateAssets() {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+
+  const { field } = await getActiveEmbeddingConfig();
+  return db.collection(ASSETS_COLLECTION).countDocuments({
+    $or: [{ [field]: { $exists: true } }, { embeddingSkipReason: { $exists: true } }],
+    embeddingTemplateVersion: { $ne: EMBEDDING_TEMPLATE_VERSION },
+  });
+}
+
+/**
+ * Embebe hasta `limit` activos pendientes (POST /ai/assets/backfill-sample).
+ * @param {number} [limit]
+ * @param {{ refreshStale?: boolean, attribution?: object }} [options] - attribution: usuario al que se imputa el consumo
+ */
+export async function backfillSampleAssets(limit = 20, { refreshStale = false, attribution = null } = {}) {
   const db = getDb();
   if (!db) throw new Error('MongoDB no conectado');
 
   const collection = db.collection(ASSETS_COLLECTION);
+  // Escribe en el campo vectorial activo (textEmbedding salvo que una migración lo haya cambiado)
+  const config = await getActiveEmbeddingConfig();
+  const pendingFilter = buildPendingEmbeddingFilter(config.field, { refreshStale });
 
-  const cursor = collection.find(
-    { textEmbedding: { $exists: false } },
-    { limit }
-  );
+  const cursor = collection.find(pendingFilter, {
+    limit,
+    projection: getEmbeddingTemplateProjection(),
+  });
 
   const assets = await cursor.toArray();
   let updated = 0;
+  let skipped = 0;
 
   for (const asset of assets) {
-    const embeddingText = buildAssetEmbeddingText(asset);
+    const { text: embeddingText, skipReason } = buildAssetEmbeddingTextWithReason(asset);
 
     if (!embeddingText) {
+      await collection.updateOne({ _id: asset._id }, buildSkipUpdate(skipReason));
+      skipped++;
       continue;
     }
 
-    const { embedding } = await getTextEmbedding(embeddingText);
+    const { embedding } = await getTextEmbedding(embeddingText, { config, attribution });
 
-    await collection.updateOne(
-      { _id: asset._id },
-      {
-        $set: {
-          embeddingText,
-          textEmbedding: embedding,
-          embeddingVersion: 1,
-          embeddingUpdatedAt: new Date(),
-        },
-      }
-    );
+    await collection.updateOne({ _id: asset._id }, buildEmbeddedUpdate(embeddingText, embedding, config));
 
     updated++;
   }
 
-  return { updated };
+  return { updated, skipped };
 }
@@ -0,0 +1,441 @@
+/**
+ * Calibración del score híbrido a una probabilidad de match (colección calibration_models).
+ * El score combinado de hybridSearchAssets ordena bien, pero no es una probabilidad: 0.8 no significa
+ * "acierta 8 de cada 10". El modelo se entrena offline con las decisiones de los revisores en jobs
+ * completados (scripts/train-calibration.js o POST /ai/calibration/train):
+ *  - logistic: regresión logística sobre los componentes del score (explanation) y la posición en la lista;
+ *  - isotonic: regresión isotónica (PAV) sobre el score.
+ * El modelo activo añade `probability` a cada resultado de la búsqueda (null si no hay modelo).
+ */
+
+import crypto from 'crypto';
+import { getDb } from '../config/mongo.js';
+import { httpError } from '../utils/http-error.js';
+import { DECISION_SOURCES } from './decision-history.service.js';
+
+const MODELS_COLLECTION = 'calibration_models';
+const JOBS_COLLECTION = 'reconciliation_jobs';
+const SUGGESTIONS_COLLECTION = 'reconciliation_job_suggestions';
+const HISTORY_COLLECTION = 'reconciliation_decision_history';
+// Otras instancias del servidor ven un modelo nuevo como mucho tras este tiempo
+const MODEL_CACHE_TTL_MS = 60 * 1000;
+// Ejemplos mínimos de cada clase para entrenar
+const MIN_CLASS_SAMPLES = 10;
+const RELIABILITY_BINS = 10;
+// Umbrales de probabilidad para la tabla de auto-conciliación (mejor candidato de cada fila).
+// También los usa la evaluación offline de la búsqueda (search-evaluation.service.js)
+export const AUTO_RECONCILE_THRESHOLDS = [0.5, 0.6, 0.7, 0.8, 0.9, 0.95];
+// Regresión logística: descenso de gradiente sobre features estandarizadas con regularización L2
+const LOGISTIC_ITERATIONS = 500;
+const LOGISTIC_LEARNING_RATE = 0.5;
+const LOGISTIC_L2 = 0.001;
+
+export const CALIBRATION_METHODS = ['logistic', 'isotonic'];
+
+// Features de la regresión logística; salen del resultado (score, matchType, explanation) y de su posición
+export const CALIBRATION_FEATURES = [
+  'score',
+  'vector',
+  'text',
+  'rrf',
+  'crossModal',
+  'modelKey',
+  'attributes',
+  'feedback',
+  'identifier',
+  'inverseRank',
+  'margin',
+];
+
+let modelCache = null;
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, Number(value) || 0));
+}
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+function round4(value) {
+  return Math.round((Number(value) || 0) * 10000) / 10000;
+}
+
+/**
+ * Features de un resultado dentro de su lista ordenada (búsqueda o sugerencias guardadas de un job).
+ * margin: diferencia con el mejor score del resto de candidatos (positiva solo para el primero).
+ */
+function extractFeatures(result, index, list) {
+  const e = result.explanation || {};
+  const score = clamp01(result.score);
+  let bestOther = 0;
+  for (let i = 0; i < list.length; i++) {
+    if (i !== index) bestOther = Math.max(bestOther, clamp01(list[i].score));
+  }
+  const modelKey = e.modelKey?.match === 'exact' ? 1 : e.modelKey?.match === 'partial' ? 0.5 : 0;
+  return [
+    score,
+    Number(e.vector?.normalized) || 0,
+    Number(e.text?.normalized) || 0,
+    ((Number(e.rrf?.vector) || 0) + (Number(e.rrf?.text) || 0)) / 2,
+    e.crossModal?.applied ? 1 : 0,
+    modelKey,
+    Number(e.attributes?.contribution) || 0,
+    Number(e.feedback?.contribution) || 0,
+    result.matchType === 'identifier' ? 1 : 0,
+    1 / (index + 1),
+    score - bestOther,
+  ];
+}
+
+function predictOne(model, features) {
+  if (model.method === 'isotonic') return interpolateIsotonic(model.points, features[0]);
+  let z = model.bias;
+  for (let j = 0; j < model.weights.length; j++) {
+    z += model.weights[j] * ((features[j] - model.mean[j]) / model.std[j]);
+  }
+  return sigmoid(z);
+}
+
+function interpolateIsotonic(points, x) {
+  if (!points.length) return null;
+  if (x <= points[0].x) return points[0].y;
+  const last = points[points.length - 1];
+  if (x >= last.x) return last.y;
+  let lo = 0;
+  let hi = points.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].x <= x) lo = mid;
+    else hi = mid;
+  }
+  const a = points[lo];
+  const b = points[hi];
+  return b.x === a.x ? b.y : a.y + ((b.y - a.y) * (x - a.x)) / (b.x - a.x);
+}
+
+function fitLogistic(samples) {
+  const d = CALIBRATION_FEATURES.length;
+  const n = samples.length;
+  const mean = new Array(d).fill(0);
+  const std = new Array(d).fill(0);
+  for (const s of samples) for (let j = 0; j < d; j++) mean[j] += s.features[j] / n;
+  for (const s of samples) for (let j = 0; j < d; j++) std[j] += (s.features[j] - mean[j]) ** 2 / n;
+  // Una feature constante (p. ej. sin feedback en los datos) queda sin peso
+  for (let j = 0; j < d; j++) std[j] = Math.sqrt(std[j]) > 1e-6 ? Math.sqrt(std[j]) : 1;
+
+  const x = samples.map((s) => s.features.map((v, j) => (v - mean[j]) / std[j]));
+  const weights = new Array(d).fill(0);
+  const positives = samples.filter((s) => s.label === 1).length;
+  let bias = Math.log(positives / (n - positives));
+
+  for (let iter = 0; iter < LOGISTIC_ITERATIONS; iter++) {
+    const grad = new Array(d).fill(0);
+    let gradBias = 0;
+    for (let i = 0; i < n; i++) {
+      let z = bias;
+      for (let j = 0; j < d; j++) z += weights[j] * x[i][j];
+      const err = sigmoid(z) - samples[i].label;
+      gradBias += err / n;
+      for (let j = 0; j < d; j++) grad[j] += (err * x[i][j]) / n;
+    }
+    bias -= LOGISTIC_LEARNING_RATE * gradBias;
+    for (let j = 0; j < d; j++) weights[j] -= LOGISTIC_LEARNING_RATE * (grad[j] + LOGISTIC_L2 * weights[j]);
+  }
+
+  return {
+    method: 'logistic',
+    features: CALIBRATION_FEATURES,
+    mean,
+    std,
+    weights,
+    bias,
+  };
+}
+
+/**
+ * Pool Adjacent Violators sobre el score: bloques con tasa de acierto no decreciente.
+ * Cada bloque se guarda como un punto (score medio, tasa) y se interpola entre puntos.
+ */
+function fitIsotonic(samples) {
+  const sorted = [...samples].sort((a, b) => a.features[0] - b.features[0]);
+  const blocks = [];
+  for (const s of sorted) {
+    blocks.push({ sumX: s.features[0], sumY: s.label, count: 1 });
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const prev = blocks[blocks.length - 2];
+      if (prev.sumY / prev.count < last.sumY / last.count) break;
+      blocks.splice(-2, 2, { sumX: prev.sumX + last.sumX, sumY: prev.sumY + last.sumY, count: prev.count + last.count });
+    }
+  }
+  return {
+    method: 'isotonic',
+    features: ['score'],
+    points: blocks.map((b) => ({ x: round4(b.sumX / b.count), y: round4(b.sumY / b.count), count: b.count })),
+  };
+}
+
+function fitModel(method, samples) {
+  return method === 'isotonic' ? fitIsotonic(samples) : fitLogistic(samples);
+}
+
+/**
+ * Métricas de fiabilidad de unas probabilidades: Brier, log loss, ECE y tabla por tramos.
+ */
+function reliabilityMetrics(probabilities, labels) {
+  const n = probabilities.length;
+  if (n === 0) return null;
+  const bins = Array.from({ length: RELIABILITY_BINS }, (_, i) => ({
+    from: i / RELIABILITY_BINS,
+    to: (i + 1) / RELIABILITY_BINS,
+    count: 0,
+    sumP: 0,
+    positives: 0,
+  }));
+  let brier = 0;
+  let logLoss = 0;
+  for (let i = 0; i < n; i++) {
+    const p = Math.min(1 - 1e-7, Math.max(1e-7, probabilities[i]));
+    const y = labels[i];
+    brier += (p - y) ** 2;
+    logLoss -= y * Math.log(p) + (1 - y) * Math.log(1 - p);
+    const bin = bins[Math.min(RELIABILITY_BINS - 1, Math.floor(probabilities[i] * RELIABILITY_BINS))];
+    bin.count++;
+    bin.sumP += probabilities[i];
+    bin.positives += y;
+  }
+  const ece = bins.reduce((sum, b) => (b.count ? sum + (b.count / n) * Math.abs(b.sumP / b.count - b.positives / b.count) : sum), 0);
+  return {
+    samples: n,
+    brier: round4(brier / n),
+    logLoss: round4(logLoss / n),
+    ece: round4(ece),
+    bins: bins
+      .filter((b) => b.count > 0)
+      .map((b) => ({
+        from: b.from,
+        to: round4(b.to),
+        count: b.count,
+        meanPredicted: round4(b.sumP / b.count),
+        observed: round4(b.positives / b.count),
+      })),
+  };
+}
+
+/**
+ * Auto-conciliación simulada: por fila, el primer candidato y si era el elegido por el revisor.
+ * Para cada umbral: filas que se conciliarían (coverage) y cuántas bien (precision).
+ */
+function autoReconcileTable(rows, key) {
+  return AUTO_RECONCILE_THRESHOLDS.map((threshold) => {
+    const selected = rows.filter((r) => r[key] >= threshold);
+    const correct = selected.filter((r) => r.label === 1).length;
+    return {
+      threshold,
+      rows: selected.length,
+      coverage: rows.length ? round4(selected.length / rows.length) : 0,
+      precision: selected.length ? round4(correct / selected.length) : null,
+    };
+  });
+}
+
+function evaluate(model, samples) {
+  const probabilities = samples.map((s) => predictOne(model, s.features));
+  const labels = samples.map((s) => s.label);
+  const top = samples
+    .map((s, i) => ({ ...s, probability: probabilities[i] }))
+    .filter((s) => s.rank === 1)
+    .map((s) => ({ label: s.label, probability: s.probability, score: s.features[0] }));
+  return {
+    calibrated: reliabilityMetrics(probabilities, labels),
+    // Referencia: el score híbrido leído como si fuera una probabilidad
+    rawScore: reliabilityMetrics(samples.map((s) => s.features[0]), labels),
+    autoReconcile: {
+      rows: top.length,
+      byProbability: autoReconcileTable(top, 'probability'),
+      byScore: autoReconcileTable(top, 'score'),
+    },
+  };
+}
+
+function isHoldout(group, holdout) {
+  const hash = crypto.createHash('md5').update(group).digest();
+  return hash.readUInt32BE(0) / 0xffffffff < holdout;
+}
+
+/**
+ * Ejemplos de entrenamiento: filas con decision "match" de jobs completados, decididas por un revisor
+ * (la última decisión de la fila no es de auto-reconcile). En los primeros `topK` candidatos guardados,
+ * el elegido es positivo y el resto negativos. Las filas "no_match" no guardan sugerencias y no aportan.
+ * Sugerencias sin `explanation` (jobs anteriores al desglose del score) se ignoran.
+ * @returns {Promise<{ samples: object[], jobs: number, rows: number }>}
+ */
+async function buildDataset(db, { topK }) {
+  const jobs = await db
+    .collection(JOBS_COLLECTION)
+    .find({ status: 'completed' }, { projection: { _id: 1, 'rows.rowNumber': 1, 'rows.decision': 1, 'rows.selectedAssetId': 1 } })
+    .toArray();
+
+  const samples = [];
+  let usedJobs = 0;
+  let usedRows = 0;
+  for (const job of jobs) {
+    const matchRows = (job.rows || []).filter((r) => r.decision === 'match' && r.selectedAssetId);
+    if (matchRows.length === 0) continue;
+
+    // Última fuente por fila: las filas auto-conciliadas no son una opinión del revisor
+    const history = await db
+      .collection(HISTORY_COLLECTION)
+      .find({ jobId: job._id }, { projection: { rowNumber: 1, source: 1 } })
+      .sort({ createdAt: 1, _id: 1 })
+      .toArray();
+    const lastSource = new Map(history.map((h) => [h.rowNumber, h.source]));
+
+    const suggestionDocs = await db
+      .collection(SUGGESTIONS_COLLECTION)
+      .find({ jobId: job._id, rowNumber: { $in: matchRows.map((r) => r.rowNumber) } }, { projection: { rowNumber: 1, suggestions: 1 } })
+      .toArray();
+    const suggestionsByRow = new Map(suggestionDocs.map((d) => [d.rowNumber, d.suggestions || []]));
+
+    let jobUsed = false;
+    for (const row of matchRows) {
+      if ((lastSource.get(row.rowNumber) ?? DECISION_SOURCES.MANUAL) !== DECISION_SOURCES.MANUAL) continue;
+      const suggestions = suggestionsByRow.get(row.rowNumber) || [];
+      if (suggestions.length === 0 || !suggestions[0].explanation) continue;
+
+      const selected = row.selectedAssetId.toString();
+      const group = `${job._id}:${row.rowNumber}`;
+      suggestions.slice(0, topK).forEach((s, i, list) => {
+        samples.push({
+          group,
+          rank: i + 1,
+          label: String(s.assetId) === selected ? 1 : 0,
+          features: extractFeatures(s, i, list),
+        });
+      });
+      usedRows++;
+      jobUsed = true;
+    }
+    if (jobUsed) usedJobs++;
+  }
+  return { samples, jobs: usedJobs, rows: usedRows };
+}
+
+/**
+ * Entrena un modelo de calibración con las decisiones históricas y devuelve sus métricas de fiabilidad.
+ * Las métricas se calculan sobre una partición de validación (filas completas, `holdout`) con un modelo
+ * entrenado en el resto; el modelo que se guarda se vuelve a entrenar con todos los ejemplos.
+ * @param {object} [opts]
+ * @param {'logistic'|'isotonic'} [opts.method='logistic']
+ * @param {number} [opts.holdout=0.2] - fracción de filas para validación (0..0.5)
+ * @param {number} [opts.topK=10] - candidatos por fila que entran al entrenamiento
+ * @param {boolean} [opts.dryRun=false] - no guarda el modelo (solo métricas)
+ * @param {object} [actor] - { userId, userName }
+ */
+export async function trainCalibration({ method = 'logistic', holdout = 0.2, topK = 10, dryRun = false } = {}, actor = {}) {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+  if (!CALIBRATION_METHODS.includes(method)) {
+    throw httpError(`method no válido: "${method}". Opciones: ${CALIBRATION_METHODS.join(', ')}`, 400);
+  }
+  const holdoutFraction = Math.max(0, Math.min(0.5, Number(holdout) || 0));
+  const candidatesPerRow = Math.max(2, Number(topK) || 10);
+
+  const { samples, jobs, rows } = await buildDataset(db, { topK: candidatesPerRow });
+  const positives = samples.filter((s) => s.label === 1).length;
+  const negatives = samples.length - positives;
+  if (positives < MIN_CLASS_SAMPLES || negatives < MIN_CLASS_SAMPLES) {
+    throw httpError(
+      `Datos insuficientes para entrenar: ${positives} positivos y ${negatives} negativos (mínimo ${MIN_CLASS_SAMPLES} de cada uno)`,
+      409
+    );
+  }
+
+  const validation = samples.filter((s) => isHoldout(s.group, holdoutFraction));
+  const training = samples.filter((s) => !isHoldout(s.group, holdoutFraction));
+  const canValidate =
+    validation.some((s) => s.label === 1) &&
+    training.filter((s) => s.label === 1).length >= MIN_CLASS_SAMPLES &&
+    training.filter((s) => s.label === 0).length >= MIN_CLASS_SAMPLES;
+
+  const model = fitModel(method, samples);
+  const metrics = {
+    training: evaluate(model, samples),
+    validation: canValidate ? evaluate(fitModel(method, training), validation) : null,
+  };
+
+  const doc = {
+    ...model,
+    topK: candidatesPerRow,
+    holdout: holdoutFraction,
+    dataset: { jobs, rows, samples: samples.length, positives, negatives, validationSamples: canValidate ? validation.length : 0 },
+    metrics,
+    active: !dryRun,
+    trainedBy: actor.userName ?? null,
+    trainedByUserId: actor.userId ?? null,
+    trainedAt: new Date(),
+  };
+
+  if (!dryRun) {
+    const collection = db.collection(MODELS_COLLECTION);
+    const { insertedId } = await collection.insertOne(doc);
+    doc._id = insertedId;
+    await collection.updateMany({ _id: { $ne: insertedId }, active: true }, { $set: { active: false } });
+    modelCache = null;
+  }
+  return toPublicModel(doc, { dryRun });
+}
+
+function toPublicModel(doc, extra = {}) {
+  return {
+    id: doc._id ?? null,
+    method: doc.method,
+    features: doc.features,
+    ...(doc.method === 'isotonic' ? { points: doc.points } : { weights: doc.weights, bias: doc.bias }),
+    topK: doc.topK,
+    holdout: doc.holdout,
+    dataset: doc.dataset,
+    metrics: doc.metrics,
+    trainedBy: doc.trainedBy ?? null,
+    trainedAt: doc.trainedAt,
+    ...extra,
+  };
+}
+
+/**
+ * Modelo de calibración activo (en caché durante MODEL_CACHE_TTL_MS), o null si no hay ninguno.
+ */
+export async function getActiveCalibration() {
+  if (modelCache && Date.now() - modelCache.loadedAt < MODEL_CACHE_TTL_MS) return modelCache.model;
+  const db = getDb();
+  if (!db) return null;
+  const model = await db.collection(MODELS_COLLECTION).findOne({ active: true }, { sort: { trainedAt: -1 } });
+  modelCache = { model, loadedAt: Date.now() };
+  return model;
+}
+
+/**
+ * Modelo activo con sus métricas (GET /ai/calibration).
+ */
+export async function getCalibrationStatus() {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+  modelCache = null;
+  const model = await getActiveCalibration();
+  if (!model) throw httpError('Modelo de calibración no encontrado: entrénalo con POST /ai/calibration/train', 404);
+  return toPublicModel(model);
+}
+
+/**
+ * Añade `probability` (0..1, o null sin modelo) a cada resultado de una lista ya ordenada.
+ * @param {object[]} results - lista completa ordenada (antes de paginar)
+ * @param {object|null} model - getActiveCalibration()
+ * @returns {object[]}
+ */
+export function applyCalibration(results, model) {
+  return results.map((result, i) => {
+    const probability = model ? predictOne(model, extractFeatures(result, i, results)) : null;
+    return { ...result, probability: probability == null ? null : round4(probability) };
+  });
+}
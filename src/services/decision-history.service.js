@@ -0,0 +1,91 @@
+/**
+ * Historial de decisiones de conciliación (append-only).
+ * Cada cambio de decision/selectedAssetId en una fila de un job genera un registro
+ * con quién lo hizo, si fue manual o automático y el valor anterior.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb } from '../config/mongo.js';
+
+const HISTORY_COLLECTION = 'reconciliation_decision_history';
+const JOBS_COLLECTION = 'reconciliation_jobs';
+
+export const DECISION_SOURCES = {
+  MANUAL: 'manual',
+  AUTO: 'auto',
+  // Reversión administrativa (POST /ai/assets/unreconcile)
+  UNRECONCILE: 'unreconcile',
+};
+
+/**
+ * Registra una decisión en el historial. Nunca actualiza registros previos.
+ * @param {object} entry
+ * @param {ObjectId} entry.jobId
+ * @param {number} entry.rowNumber
+ * @param {string} entry.decision
+ * @param {ObjectId|null} entry.selectedAssetId
+ * @param {string|null} entry.previousDecision
+ * @param {ObjectId|null} entry.previousSelectedAssetId
+ * @param {{ userId?: any, userName?: string, authType?: string, source?: string, minScore?: number, minProbability?: number }} [context]
+ * @param {{ session?: import('mongodb').ClientSession }} [options] - sesión si se llama dentro de una transacción
+ */
+export async function recordDecision(entry, context = {}, options = {}) {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+
+  const doc = {
+    jobId: entry.jobId,
+    rowNumber: entry.rowNumber,
+    decision: entry.decision,
+    selectedAssetId: entry.selectedAssetId ?? null,
+    previousDecision: entry.previousDecision ?? null,
+    previousSelectedAssetId: entry.previousSelectedAssetId ?? null,
+    source: context.source || DECISION_SOURCES.MANUAL,
+    userId: context.userId ?? null,
+    userName: context.userName ?? null,
+    authType: context.authType ?? null,
+    minScore: Number.isFinite(context.minScore) ? context.minScore : null,
+    minProbability: Number.isFinite(context.minProbability) ? context.minProbability : null,
+    createdAt: new Date(),
+  };
+
+  await db.collection(HISTORY_COLLECTION).insertOne(doc, { session: options.session });
+  return doc;
+}
+
+/**
+ * Historial de una fila, del más antiguo al más reciente.
+ * @param {string} jobId
+ * @param {number} rowNumber
+ */
+export async function getRowDecisionHistory(jobId, rowNumber) {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+
+  const objectId = new ObjectId(jobId);
+  const job = await db.collection(JOBS_COLLECTION).findOne(
+    { _id: objectId, 'rows.rowNumber': rowNumber },
+    { projection: { _id: 1 } }
+  );
+  if (!job) throw new Error('Job o fila no encontrados');
+
+  const entries = await db
+    .collection(HISTORY_COLLECTION)
+    .find({ jobId: objectId, rowNumber })
+    .sort({ createdAt: 1, _id: 1 })
+    .toArray();
+
+  return entries.map((e) => ({
+    decision: e.decision,
+    selectedAssetId: e.selectedAssetId,
+    previousDecision: e.previousDecision,
+    previousSelectedAssetId: e.previousSelectedAssetId,
+    source: e.source,
+    userId: e.userId,
+    userName: e.userName,
+    authType: e.authType,
+    minScore: e.minScore,
+    minProbability: e.minProbability ?? null,
+    createdAt: e.createdAt,
+  }));
+}
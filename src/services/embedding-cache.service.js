@@ -0,0 +1,131 @@
+/**
+ * Caché persistente de embeddings (colección embedding_cache).
+ * Clave: SHA-256 de proveedor + modelo + dimensiones + texto normalizado, así un cambio de modelo
+ * nunca reutiliza vectores de otro. Evita recalcular descripciones repetidas ("SILLA SECRETARIAL")
+ * en jobs, backfills y re-ejecuciones.
+ */
+
+import crypto from 'crypto';
+import { getDb } from '../config/mongo.js';
+import { env } from '../config/env.js';
+
+const CACHE_COLLECTION = 'embedding_cache';
+
+// Contadores del proceso (se reinician al reiniciar el servidor)
+const stats = {
+  hits: 0,
+  misses: 0,
+  errors: 0,
+  since: new Date(),
+};
+
+/**
+ * Normalización para la clave de caché: Unicode NFC, trim y colapso de espacios.
+ * No cambia mayúsculas: el vector del texto original debe ser el mismo que se guardó.
+ */
+export function normalizeCacheText(text) {
+  return String(text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+export function buildCacheKey({ provider, model, dimensions }, text) {
+  return crypto
+    .createHash('sha256')
+    .update(`${provider}|${model}|${dimensions ?? 'native'}|${normalizeCacheText(text)}`)
+    .digest('hex');
+}
+
+function getCacheCollection() {
+  if (!env.EMBEDDING_CACHE_ENABLED) return null;
+  const db = getDb();
+  return db ? db.collection(CACHE_COLLECTION) : null;
+}
+
+/**
+ * Busca en caché los vectores de varios textos.
+ * @param {{ provider: string, model: string, dimensions?: number }} info
+ * @param {string[]} texts
+ * @returns {Promise<Map<string, number[]>>} clave -> embedding (solo los encontrados)
+ */
+export async function getCachedEmbeddings(info, texts) {
+  const collection = getCacheCollection();
+  const found = new Map();
+  if (!collection || texts.length === 0) return found;
+
+  const keys = [...new Set(texts.map((t) => buildCacheKey(info, t)))];
+  try {
+    const docs = await collection
+      .find({ _id: { $in: keys } }, { projection: { embedding: 1 } })
+      .toArray();
+    for (const d of docs) found.set(d._id, d.embedding);
+
+    if (docs.length > 0) {
+      collection
+        .updateMany({ _id: { $in: docs.map((d) => d._id) } }, { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } })
+        .catch(() => {});
+    }
+  } catch (err) {
+    stats.errors++;
+    console.warn('[embedding-cache] Lectura falló:', err.message);
+  }
+  return found;
+}
+
+/**
+ * Guarda vectores nuevos en caché (no sobrescribe entradas existentes).
+ * @param {{ provider: string, model: string, dimensions?: number }} info
+ * @param {Array<{ text: string, embedding: number[] }>} entries
+ */
+export async function storeEmbeddings(info, entries) {
+  const collection = getCacheCollection();
+  if (!collection || entries.length === 0) return;
+
+  const now = new Date();
+  const ops = entries.map(({ text, embedding }) => ({
+    updateOne: {
+      filter: { _id: buildCacheKey(info, text) },
+      update: {
+        $setOnInsert: {
+          provider: info.provider,
+          model: info.model,
+          dimensions: embedding.length,
+          text: normalizeCacheText(text),
+          embedding,
+          hits: 0,
+          createdAt: now,
+        },
+      },
+      upsert: true,
+    },
+  }));
+
+  try {
+    await collection.bulkWrite(ops, { ordered: false });
+  } catch (err) {
+    stats.errors++;
+    console.warn('[embedding-cache] Escritura falló:', err.message);
+  }
+}
+
+export function recordCacheLookup(hits, misses) {
+  stats.hits += hits;
+  stats.misses += misses;
+}
+
+/**
+ * Contadores del proceso + tamaño de la colección.
+ */
+export async function getEmbeddingCacheStats() {
+  const collection = getCacheCollection();
+  const total = stats.hits + stats.misses;
+  const entries = collection ? await collection.estimatedDocumentCount() : 0;
+
+  return {
+    enabled: Boolean(env.EMBEDDING_CACHE_ENABLED),
+    hits: stats.hits,
+    misses: stats.misses,
+    errors: stats.errors,
+    hitRate: total > 0 ? stats.hits / total : 0,
+    since: stats.since,
+    entries,
+  };
+}
@@ -0,0 +1,121 @@
+/**
+ * Configuración activa de embeddings (colección embedding_settings, documento "active").
+ * Indica con qué proveedor/modelo/dimensiones se embeben las consultas y en qué campo e índice
+ * vectorial de assets se busca. Sin documento se usa lo definido en .env con textEmbedding.
+ * Una migración de embeddings (embedding-migration.service.js) la cambia de forma atómica.
+ */
+
+import { getDb } from '../config/mongo.js';
+import { env } from '../config/env.js';
+import { EMBEDDING_TEMPLATE_VERSION } from '../utils/embedding-text.js';
+
+const SETTINGS_COLLECTION = 'embedding_settings';
+const ACTIVE_ID = 'active';
+export const DEFAULT_VECTOR_FIELD = 'textEmbedding';
+export const DEFAULT_VECTOR_INDEX = 'assets_text_embedding_index';
+// Otras instancias del servidor ven el cambio de campo/índice como mucho tras este tiempo
+const ACTIVE_CACHE_TTL_MS = 30 * 1000;
+
+let activeCache = null;
+let warnedEnvMismatch = false;
+
+/**
+ * Configuración derivada de .env (la que se usa mientras no haya ninguna migración aplicada).
+ */
+export function getDefaultEmbeddingConfig() {
+  return {
+    provider: env.EMBEDDING_PROVIDER,
+    model: env.EMBEDDING_MODEL,
+    dimensions: env.EMBEDDING_DIMENSIONS ?? null,
+    templateVersion: EMBEDDING_TEMPLATE_VERSION,
+    field: DEFAULT_VECTOR_FIELD,
+    index: DEFAULT_VECTOR_INDEX,
+  };
+}
+
+function toConfig(doc) {
+  return {
+    provider: doc.provider,
+    model: doc.model,
+    dimensions: doc.dimensions ?? null,
+    templateVersion: doc.templateVersion ?? EMBEDDING_TEMPLATE_VERSION,
+    field: doc.field,
+    index: doc.index,
+    migrationId: doc.migrationId ?? null,
+    switchedAt: doc.switchedAt ?? null,
+  };
+}
+
+function warnIfEnvDiffers(config) {
+  if (warnedEnvMismatch) return;
+  if (config.provider !== env.EMBEDDING_PROVIDER || config.model !== env.EMBEDDING_MODEL) {
+    warnedEnvMismatch = true;
+    console.warn(
+      `[embedding-config] La configuración activa (${config.provider}/${config.model}, campo ${config.field}) ` +
+      `difiere de .env (${env.EMBEDDING_PROVIDER}/${env.EMBEDDING_MODEL}); se usa la activa. ` +
+      'Para cambiar de modelo usa una migración de embeddings.'
+    );
+  }
+}
+
+/**
+ * Configuración activa (en caché durante ACTIVE_CACHE_TTL_MS).
+ * @returns {Promise<{ provider: string, model: string, dimensions: number|null, templateVersion: number, field: string, index: string }>}
+ */
+export async function getActiveEmbeddingConfig() {
+  if (activeCache && Date.now() - activeCache.loadedAt < ACTIVE_CACHE_TTL_MS) {
+    return activeCache.config;
+  }
+
+  const db = getDb();
+  if (!db) return getDefaultEmbeddingConfig();
+
+  const doc = await db.collection(SETTINGS_COLLECTION).findOne({ _id: ACTIVE_ID });
+  const config = doc ? toConfig(doc) : getDefaultEmbeddingConfig();
+  if (doc) warnIfEnvDiffers(config);
+
+  activeCache = { config, loadedAt: Date.now() };
+  return config;
+}
+
+/**
+ * Cambia la configuración activa solo si el campo activo sigue siendo `expectedField`
+ * (evita que dos migraciones se pisen). Es una única escritura: las búsquedas pasan al nuevo campo de golpe.
+ * @returns {Promise<boolean>} false si la configuración activa ya había cambiado
+ */
+export async function switchActiveEmbeddingConfig(next, expectedField) {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+
+  const settings = db.collection(SETTINGS_COLLECTION);
+  const current = await settings.findOne({ _id: ACTIVE_ID });
+  const currentField = current?.field ?? DEFAULT_VECTOR_FIELD;
+  if (currentField !== expectedField) return false;
+
+  const doc = {
+    provider: next.provider,
+    model: next.model,
+    dimensions: next.dimensions ?? null,
+    templateVersion: next.templateVersion,
+    field: next.field,
+    index: next.index,
+    migrationId: next.migrationId ?? null,
+    previous: current ? toConfig(current) : getDefaultEmbeddingConfig(),
+    switchedAt: new Date(),
+  };
+
+  try {
+    const result = current
+      ? await settings.updateOne({ _id: ACTIVE_ID, field: expectedField }, { $set: doc })
+      : await settings.insertOne({ _id: ACTIVE_ID, ...doc });
+    if (current && result.matchedCount === 0) return false;
+  } catch (err) {
+    // Otro proceso insertó el documento primero
+    if (err.code === 11000) return false;
+    throw err;
+  }
+
+  activeCache = null;
+  warnedEnvMismatch = false;
+  return true;
+}
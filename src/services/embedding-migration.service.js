@@ -0,0 +1,480 @@
+/**
+ * Migración de embeddings sin corte de servicio (colección embedding_migrations).
+ * Re-embebe todos los activos con un modelo / dimensiones / plantilla de texto nuevos en un campo sombra
+ * (p. ej. textEmbedding_v2) mientras las búsquedas siguen usando el campo activo. Cuando la cobertura
+ * es completa y el índice vectorial nuevo existe, se cambia la configuración activa en una sola escritura.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb } from '../config/mongo.js';
+import { env } from '../config/env.js';
+import {
+  buildAssetEmbeddingText,
+  getEmbeddingTemplateProjection,
+  EMBEDDING_TEMPLATE_VERSION,
+} from '../utils/embedding-text.js';
+import { httpError } from '../utils/http-error.js';
+import { getTextEmbeddings, getEmbeddingInfo } from './embedding.service.js';
+import { buildUsageAttribution } from './usage.service.js';
+import { EMBEDDING_PROVIDER_NAMES } from './embedding-providers/index.js';
+import {
+  getActiveEmbeddingConfig,
+  switchActiveEmbeddingConfig,
+  DEFAULT_VECTOR_FIELD,
+  DEFAULT_VECTOR_INDEX,
+} from './embedding-config.service.js';
+
+const MIGRATIONS_COLLECTION = 'embedding_migrations';
+const ASSETS_COLLECTION = 'assets';
+const MIGRATION_BATCH = 200;
+const FIELD_NAME_REGEX = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+export const MIGRATION_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  SWITCHED: 'switched',
+};
+
+// Migraciones que este proceso está ejecutando (evita dos bucles sobre la misma migración)
+const runningInProcess = new Set();
+
+function toObjectId(migrationId) {
+  if (!ObjectId.isValid(migrationId)) throw httpError('Migración no encontrada', 404);
+  return new ObjectId(migrationId);
+}
+
+/**
+ * Definición del índice vectorial de Atlas que hay que crear para el campo sombra antes del cambio.
+ */
+function buildVectorIndexDefinition(target) {
+  return {
+    name: target.index,
+    type: 'vectorSearch',
+    definition: {
+      fields: [
+        {
+          type: 'vector',
+          path: target.field,
+          numDimensions: target.dimensions ?? 'dimensiones del modelo',
+          similarity: 'cosine',
+        },
+      ],
+    },
+  };
+}
+
+/**
+ * Activos con vector en el campo activo que ya tienen (o no) vector en el campo sombra.
+ */
+async function computeCoverage(assets, source, target) {
+  const [total, migrated] = await Promise.all([
+    assets.countDocuments({ [source.field]: { $exists: true } }),
+    assets.countDocuments({ [source.field]: { $exists: true }, [target.field]: { $exists: true } }),
+  ]);
+  return {
+    total,
+    migrated,
+    missing: total - migrated,
+    ratio: total > 0 ? migrated / total : 1,
+  };
+}
+
+/**
+ * Comprueba que el índice vectorial del campo sombra existe y está listo en Atlas.
+ * Con SEARCH_ENGINE=local, o en un mongod sin Atlas (modo auto), la búsqueda vectorial es local y no hace falta.
+ */
+async function checkTargetIndex(assets, target) {
+  if (env.SEARCH_ENGINE === 'local') return { required: false, ready: true };
+
+  let indexes;
+  try {
+    indexes = await assets.listSearchIndexes().toArray();
+  } catch (err) {
+    if (env.SEARCH_ENGINE === 'atlas') {
+      return { required: true, ready: false, reason: `Atlas Search no disponible (${err.message})` };
+    }
+    return { required: false, ready: true };
+  }
+
+  const index = indexes.find((i) => i.name === target.index);
+  if (!index) return { required: true, ready: false, reason: `No existe el índice vectorial "${target.index}"` };
+  if (index.queryable === false || (index.status && index.status !== 'READY')) {
+    return { required: true, ready: false, reason: `El índice "${target.index}" no está listo (${index.status})` };
+  }
+  return { required: true, ready: true };
+}
+
+function formatMigration(doc, coverage) {
+  return {
+    id: doc._id,
+    status: doc.status,
+    source: doc.source,
+    target: doc.target,
+    progress: doc.progress,
+    coverage: coverage ?? doc.coverage ?? null,
+    atlasIndex: buildVectorIndexDefinition(doc.target),
+    lastError: doc.lastError ?? null,
+    createdBy: doc.createdBy ?? null,
+    createdAt: doc.createdAt,
+    startedAt: doc.startedAt ?? null,
+    finishedAt: doc.finishedAt ?? null,
+    switchedAt: doc.switchedAt ?? null,
+    promotedAssets: doc.promotedAssets ?? null,
+  };
+}
+
+/**
+ * Crea una migración hacia un modelo/dimensiones nuevos (por defecto, los de .env) y la plantilla de texto actual.
+ * Solo puede haber una migración sin aplicar a la vez.
+ * @param {object} options
+ * @param {string} [options.provider]
+ * @param {string} [options.model]
+ * @param {number|null} [options.dimensions]
+ * @param {string} [options.field] - campo sombra (default textEmbedding_v<n>)
+ * @param {string} [options.index] - índice vectorial de Atlas para el campo sombra
+ * @param {object} [actor] - { userId, userName, authType }
+ */
+export async function createEmbeddingMigration(options = {}, actor = {}) {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+
+  const migrations = db.collection(MIGRATIONS_COLLECTION);
+  const pending = await migrations.findOne({
+    status: { $in: [MIGRATION_STATUS.RUNNING, MIGRATION_STATUS.COMPLETED, MIGRATION_STATUS.FAILED] },
+  });
+  if (pending) {
+    throw httpError(`Ya hay una migración sin aplicar (${pending._id}, ${pending.status}); aplícala o cancélala`, 409);
+  }
+
+  const source = await getActiveEmbeddingConfig();
+  const provider = options.provider || env.EMBEDDING_PROVIDER;
+  if (!EMBEDDING_PROVIDER_NAMES.includes(provider)) {
+    throw httpError(`Proveedor de embeddings no válido: "${provider}"`, 400);
+  }
+  const model = options.model || (provider === env.EMBEDDING_PROVIDER ? env.EMBEDDING_MODEL : null);
+  if (!model) throw httpError('El campo "model" es requerido al cambiar de proveedor', 400);
+  const dimensions = options.dimensions === undefined ? env.EMBEDDING_DIMENSIONS ?? null : options.dimensions;
+  if (dimensions != null && (!Number.isInteger(dimensions) || dimensions < 1)) {
+    throw httpError('El campo "dimensions" debe ser un entero positivo', 400);
+  }
+
+  const version = (await migrations.countDocuments({})) + 2;
+  const field = options.field || `${DEFAULT_VECTOR_FIELD}_v${version}`;
+  const index = options.index || `${DEFAULT_VECTOR_INDEX}_v${version}`;
+  if (!FIELD_NAME_REGEX.test(field) || field === source.field) {
+    throw httpError(`Campo sombra no válido: "${field}"`, 400);
+  }
+
+  // Crea el proveedor destino: falla aquí (y no a mitad de migración) si faltan credenciales
+  const info = getEmbeddingInfo({ provider, model, dimensions });
+  const target = {
+    provider: info.provider,
+    model: info.model,
+    dimensions: info.dimensions ?? null,
+    templateVersion: EMBEDDING_TEMPLATE_VERSION,
+    field,
+    index,
+  };
+  if (
+    target.provider === source.provider
+    && target.model === source.model
+    && target.dimensions === source.dimensions
+    && target.templateVersion === source.templateVersion
+  ) {
+    throw httpError('El modelo, las dimensiones y la plantilla destino son iguales a los activos', 400);
+  }
+
+  const now = new Date();
+  const doc = {
+    status: MIGRATION_STATUS.RUNNING,
+    source: {
+      provider: source.provider,
+      model: source.model,
+      dimensions: source.dimensions,
+      templateVersion: source.templateVersion,
+      field: source.field,
+      index: source.index,
+    },
+    target,
+    progress: { processed: 0, skipped: 0, errors: 0, lastAssetId: null },
+    createdBy: actor.userName ?? actor.userId ?? null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  const { insertedId } = await migrations.insertOne(doc);
+  return formatMigration({ _id: insertedId, ...doc });
+}
+
+/**
+ * Campo sombra de la migración sin aplicar (running / completed / failed), o null si no hay ninguna.
+ * El watcher de activos lo limpia al re-embeber un activo editado, para que la migración lo vuelva a cubrir.
+ */
+export async function getUnappliedMigrationField() {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+
+  const pending = await db.collection(MIGRATIONS_COLLECTION).findOne(
+    { status: { $in: [MIGRATION_STATUS.RUNNING, MIGRATION_STATUS.COMPLETED, MIGRATION_STATUS.FAILED] } },
+    { projection: { 'target.field': 1 } }
+  );
+  return pending?.target?.field ?? null;
+}
+
+/**
+ * true si este proceso está ejecutando la migración (tras un reinicio queda en "running" sin ejecutarse).
+ */
+export function isEmbeddingMigrationRunning(migrationId) {
+  return runningInProcess.has(String(migrationId));
+}
+
+/**
+ * Recorre los activos sin vector en el campo sombra y los embebe con el modelo destino.
+ * Reanudable: continúa desde el último _id procesado. Se ejecuta en segundo plano (ver controlador).
+ * @param {string} migrationId
+ */
+export async function runEmbeddingMigration(migrationId) {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+
+  const objectId = toObjectId(migrationId);
+  const migrations = db.collection(MIGRATIONS_COLLECTION);
+  const assets = db.collection(ASSETS_COLLECTION);
+
+  const migration = await migrations.findOne({ _id: objectId });
+  if (!migration) throw httpError('Migración no encontrada', 404);
+  if (migration.status === MIGRATION_STATUS.SWITCHED || migration.status === MIGRATION_STATUS.CANCELLED) {
+    throw httpError(`La migración ya está ${migration.status === MIGRATION_STATUS.SWITCHED ? 'aplicada' : 'cancelada'}`, 409);
+  }
+  const key = objectId.toString();
+  if (runningInProcess.has(key)) throw httpError('La migración ya se está ejecutando', 409);
+  runningInProcess.add(key);
+
+  const { target } = migration;
+  const config = { ...target };
+  const attribution = buildUsageAttribution('migration', { userName: migration.createdBy }, objectId);
+
+  try {
+    await migrations.updateOne(
+      { _id: objectId },
+      {
+        $set: { status: MIGRATION_STATUS.RUNNING, startedAt: new Date(), updatedAt: new Date() },
+        $unset: { lastError: '', finishedAt: '' },
+      }
+    );
+
+    // Una pasada completa desde el principio: los activos creados durante la migración también se cubren
+    let lastId = null;
+    while (true) {
+      const current = await migrations.findOne({ _id: objectId }, { projection: { status: 1 } });
+      if (current?.status === MIGRATION_STATUS.CANCELLED) return;
+
+      const filter = { [target.field]: { $exists: false } };
+      if (lastId) filter._id = { $gt: lastId };
+      const batch = await assets
+        .find(filter, { projection: getEmbeddingTemplateProjection() })
+        .sort({ _id: 1 })
+        .limit(MIGRATION_BATCH)
+        .toArray();
+      if (batch.length === 0) break;
+      lastId = batch[batch.length - 1]._id;
+
+      const toEmbed = [];
+      let skipped = 0;
+      for (const asset of batch) {
+        const embeddingText = buildAssetEmbeddingText(asset);
+        if (embeddingText) toEmbed.push({ _id: asset._id, embeddingText });
+        else skipped++;
+      }
+
+      let processed = 0;
+      let errors = 0;
+      if (toEmbed.length > 0) {
+        try {
+          const { embeddings } = await getTextEmbeddings(toEmbed.map((x) => x.embeddingText), { config, attribution });
+          const now = new Date();
+          const ops = [];
+          toEmbed.forEach((item, i) => {
+            const embedding = embeddings[i];
+            if (!embedding) {
+              errors++;
+              return;
+            }
+            ops.push({
+              updateOne: {
+                filter: { _id: item._id },
+                update: {
+                  $set: {
+                    [target.field]: embedding,
+                    // Metadatos del vector sombra; pasan a embeddingProvider/embeddingModel/... al aplicar la migración
+                    embeddingNext: {
+                      migrationId: objectId,
+                      field: target.field,
+                      provider: target.provider,
+                      model: target.model,
+                      dimensions: embedding.length,
+                      templateVersion: target.templateVersion,
+                      embeddingText: item.embeddingText,
+                      updatedAt: now,
+                    },
+                  },
+                },
+              },
+            });
+          });
+          if (ops.length > 0) {
+            const res = await assets.bulkWrite(ops, { ordered: false });
+            processed = res?.modifiedCount ?? ops.length;
+          }
+        } catch (err) {
+          console.error(`[embedding-migration] Lote falló (${toEmbed.length} activos): ${err.message}`);
+          errors += toEmbed.length;
+        }
+      }
+
+      await migrations.updateOne(
+        { _id: objectId },
+        {
+          $inc: { 'progress.processed': processed, 'progress.skipped': skipped, 'progress.errors': errors },
+          $set: { 'progress.lastAssetId': lastId, updatedAt: new Date() },
+        }
+      );
+    }
+
+    const coverage = await computeCoverage(assets, migration.source, target);
+    await migrations.updateOne(
+      { _id: objectId, status: MIGRATION_STATUS.RUNNING },
+      { $set: { status: MIGRATION_STATUS.COMPLETED, coverage, finishedAt: new Date(), updatedAt: new Date() } }
+    );
+  } catch (err) {
+    await migrations.updateOne(
+      { _id: objectId },
+      { $set: { status: MIGRATION_STATUS.FAILED, lastError: err.message, finishedAt: new Date(), updatedAt: new Date() } }
+    );
+    throw err;
+  } finally {
+    runningInProcess.delete(key);
+  }
+}
+
+/**
+ * Estado de una migración con la cobertura calculada en el momento.
+ * @param {string} migrationId
+ */
+export async function getEmbeddingMigration(migrationId) {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+
+  const doc = await db.collection(MIGRATIONS_COLLECTION).findOne({ _id: toObjectId(migrationId) });
+  if (!doc) throw httpError('Migración no encontrada', 404);
+
+  const coverage = doc.status === MIGRATION_STATUS.SWITCHED
+    ? doc.coverage
+    : await computeCoverage(db.collection(ASSETS_COLLECTION), doc.source, doc.target);
+  return formatMigration(doc, coverage);
+}
+
+export async function listEmbeddingMigrations() {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+
+  const docs = await db.collection(MIGRATIONS_COLLECTION).find({}).sort({ createdAt: -1 }).limit(50).toArray();
+  return docs.map((doc) => formatMigration(doc));
+}
+
+/**
+ * Cancela una migración sin aplicar. Los vectores del campo sombra quedan en los activos.
+ * @param {string} migrationId
+ */
+export async function cancelEmbeddingMigration(migrationId) {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+
+  const objectId = toObjectId(migrationId);
+  const migrations = db.collection(MIGRATIONS_COLLECTION);
+  const result = await migrations.updateOne(
+    { _id: objectId, status: { $in: [MIGRATION_STATUS.RUNNING, MIGRATION_STATUS.COMPLETED, MIGRATION_STATUS.FAILED] } },
+    { $set: { status: MIGRATION_STATUS.CANCELLED, finishedAt: new Date(), updatedAt: new Date() } }
+  );
+  if (result.matchedCount === 0) {
+    const exists = await migrations.findOne({ _id: objectId }, { projection: { status: 1 } });
+    if (!exists) throw httpError('Migración no encontrada', 404);
+    throw httpError(`La migración no se puede cancelar (${exists.status})`, 409);
+  }
+  return getEmbeddingMigration(migrationId);
+}
+
+/**
+ * Aplica la migración: exige cobertura completa y el índice vectorial nuevo listo, cambia la configuración
+ * activa (campo + índice + modelo) en una sola escritura y después copia los metadatos del vector sombra
+ * (embeddingNext) a embeddingProvider / embeddingModel / embeddingDimensions / embeddingTemplateVersion.
+ * El campo anterior no se borra, para poder volver atrás.
+ * @param {string} migrationId
+ * @param {object} [actor]
+ */
+export async function switchEmbeddingMigration(migrationId, actor = {}) {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+
+  const objectId = toObjectId(migrationId);
+  const migrations = db.collection(MIGRATIONS_COLLECTION);
+  const assets = db.collection(ASSETS_COLLECTION);
+
+  const migration = await migrations.findOne({ _id: objectId });
+  if (!migration) throw httpError('Migración no encontrada', 404);
+  if (migration.status !== MIGRATION_STATUS.COMPLETED) {
+    throw httpError(`La migración debe estar completada para aplicarla (estado: ${migration.status})`, 409);
+  }
+
+  const { source, target } = migration;
+  const coverage = await computeCoverage(assets, source, target);
+  if (coverage.missing > 0) {
+    throw httpError(
+      `Cobertura incompleta: faltan ${coverage.missing} de ${coverage.total} activos en ${target.field}; reanuda la migración`,
+      409
+    );
+  }
+
+  const index = await checkTargetIndex(assets, target);
+  if (!index.ready) throw httpError(`${index.reason}; créalo antes de aplicar la migración`, 409);
+
+  const switched = await switchActiveEmbeddingConfig({ ...target, migrationId: objectId }, source.field);
+  if (!switched) {
+    throw httpError('La configuración de embeddings activa cambió desde que se creó la migración', 409);
+  }
+
+  const switchedAt = new Date();
+  await migrations.updateOne(
+    { _id: objectId },
+    {
+      $set: {
+        status: MIGRATION_STATUS.SWITCHED,
+        coverage,
+        switchedAt,
+        switchedBy: actor.userName ?? actor.userId ?? null,
+        updatedAt: switchedAt,
+      },
+    }
+  );
+
+  const promoted = await assets.updateMany(
+    { 'embeddingNext.migrationId': objectId },
+    [
+      {
+        $set: {
+          embeddingText: '$embeddingNext.embeddingText',
+          embeddingProvider: '$embeddingNext.provider',
+          embeddingModel: '$embeddingNext.model',
+          embeddingDimensions: '$embeddingNext.dimensions',
+          embeddingTemplateVersion: '$embeddingNext.templateVersion',
+          embeddingUpdatedAt: '$embeddingNext.updatedAt',
+        },
+      },
+      { $unset: 'embeddingNext' },
+    ]
+  );
+  await migrations.updateOne({ _id: objectId }, { $set: { promotedAssets: promoted.modifiedCount } });
+
+  return getEmbeddingMigration(migrationId);
+}
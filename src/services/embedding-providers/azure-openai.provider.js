@@ -0,0 +1,18 @@
+import { AzureOpenAI } from 'openai';
+import { embedWithOpenAIClient } from './openai.provider.js';
+
+/**
+ * Proveedor Azure OpenAI. El modelo lo determina el deployment; "model" solo se usa para etiquetar vectores.
+ * @param {{ model: string, dimensions?: number, endpoint: string, apiKey: string, deployment: string, apiVersion: string }} config
+ * @returns {import('./index.js').EmbeddingProvider}
+ */
+export function createAzureOpenAIProvider({ model, dimensions, endpoint, apiKey, deployment, apiVersion }) {
+  const client = new AzureOpenAI({ endpoint, apiKey, deployment, apiVersion, maxRetries: 0 });
+
+  return {
+    name: 'azure-openai',
+    model,
+    dimensions,
+    embed: (texts) => embedWithOpenAIClient(client, { model: deployment, dimensions }, texts),
+  };
+}
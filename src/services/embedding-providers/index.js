@@ -0,0 +1,68 @@
+/**
+ * Selección del proveedor de embeddings: por defecto EMBEDDING_PROVIDER (config/env.js); la configuración
+ * activa guardada en Mongo (embedding-config.service.js) puede indicar otro proveedor o modelo.
+ *
+ * @typedef {object} EmbeddingUsage
+ * @property {number} promptTokens
+ * @property {number} totalTokens
+ *
+ * @typedef {object} EmbeddingProvider
+ * @property {string} name - openai | azure-openai | openai-compatible | transformers | offline
+ * @property {string} model - modelo con el que se etiquetan los vectores
+ * @property {number|undefined} dimensions - dimensiones solicitadas (undefined = nativas del modelo)
+ * @property {{ query: string, passage: string }|null} [inputPrefixes] - prefijos que el modelo espera según el
+ *   tipo de texto (E5: "query: " / "passage: "); embedding.service.js los antepone
+ * @property {(texts: string[]) => Promise<{ embeddings: number[][], usage: EmbeddingUsage|null }>} embed
+ */
+
+import { env } from '../../config/env.js';
+import { createOpenAIProvider } from './openai.provider.js';
+import { createAzureOpenAIProvider } from './azure-openai.provider.js';
+import { createOpenAICompatibleProvider } from './openai-compatible.provider.js';
+import { createTransformersProvider } from './transformers.provider.js';
+import { createOfflineProvider } from './offline.provider.js';
+
+const FACTORIES = {
+  openai: ({ model, dimensions }) => createOpenAIProvider({ model, dimensions }),
+  'azure-openai': ({ model, dimensions }) =>
+    createAzureOpenAIProvider({
+      model,
+      dimensions,
+      endpoint: env.AZURE_OPENAI_ENDPOINT,
+      apiKey: env.AZURE_OPENAI_API_KEY,
+      deployment: env.AZURE_OPENAI_DEPLOYMENT,
+      apiVersion: env.AZURE_OPENAI_API_VERSION,
+    }),
+  'openai-compatible': ({ model, dimensions }) =>
+    createOpenAICompatibleProvider({
+      model,
+      dimensions,
+      baseURL: env.EMBEDDING_BASE_URL,
+      apiKey: env.EMBEDDING_API_KEY,
+    }),
+  transformers: ({ model }) => createTransformersProvider({ model }),
+  offline: ({ model, dimensions }) => createOfflineProvider({ model, dimensions }),
+};
+
+export const EMBEDDING_PROVIDER_NAMES = Object.keys(FACTORIES);
+
+// Un proveedor por combinación proveedor/modelo/dimensiones: durante una migración de embeddings
+// conviven el modelo activo (consultas) y el modelo destino (re-embedding)
+const providers = new Map();
+
+/**
+ * @param {{ provider?: string, model?: string, dimensions?: number|null }} [config] - por defecto, el de .env
+ * @returns {EmbeddingProvider}
+ */
+export function getEmbeddingProvider(config = {}) {
+  const name = config.provider || env.EMBEDDING_PROVIDER;
+  const model = config.model || env.EMBEDDING_MODEL;
+  const dimensions = config.provider ? config.dimensions ?? undefined : env.EMBEDDING_DIMENSIONS;
+  if (!FACTORIES[name]) throw new Error(`Proveedor de embeddings no válido: "${name}"`);
+
+  const key = `${name}|${model}|${dimensions ?? 'native'}`;
+  if (!providers.has(key)) {
+    providers.set(key, FACTORIES[name]({ model, dimensions }));
+  }
+  return providers.get(key);
+}
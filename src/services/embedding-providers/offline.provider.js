@@ -0,0 +1,82 @@
+/**
+ * Proveedor offline determinista: vectores por hashing de n-gramas de caracteres.
+ * No usa red ni modelos; el mismo texto produce siempre el mismo vector, por lo que sirve
+ * para desarrollo local y pruebas reproducibles. Captura similitud léxica, no semántica.
+ */
+
+const NGRAM_SIZES = [2, 3, 4];
+const WORD_WEIGHT = 2;
+
+/**
+ * FNV-1a de 32 bits.
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function normalizeForHashing(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Suma el feature en su posición con signo (+1/-1) derivado del hash: reduce el sesgo por colisiones.
+ */
+function addFeature(vector, feature, weight) {
+  const hash = fnv1a(feature);
+  const index = hash % vector.length;
+  const sign = (hash >>> 31) === 0 ? 1 : -1;
+  vector[index] += sign * weight;
+}
+
+/**
+ * Vector L2-normalizado de `dimensions` posiciones para un texto.
+ * @param {string} text
+ * @param {number} dimensions
+ * @returns {number[]}
+ */
+export function hashedNgramEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const normalized = normalizeForHashing(text);
+  if (!normalized) return vector;
+
+  for (const word of normalized.split(' ')) {
+    addFeature(vector, `w:${word}`, WORD_WEIGHT);
+    const padded = ` ${word} `;
+    for (const n of NGRAM_SIZES) {
+      for (let i = 0; i + n <= padded.length; i++) {
+        addFeature(vector, `${n}:${padded.slice(i, i + n)}`, 1);
+      }
+    }
+  }
+
+  const norm = Math.sqrt(vector.reduce((acc, v) => acc + v * v, 0));
+  return norm > 0 ? vector.map((v) => v / norm) : vector;
+}
+
+/**
+ * @param {{ model: string, dimensions: number }} config
+ * @returns {import('./index.js').EmbeddingProvider}
+ */
+export function createOfflineProvider({ model, dimensions }) {
+  return {
+    name: 'offline',
+    model,
+    dimensions,
+    async embed(texts) {
+      return {
+        embeddings: texts.map((text) => hashedNgramEmbedding(text, dimensions)),
+        usage: null,
+      };
+    },
+  };
+}
@@ -0,0 +1,20 @@
+import OpenAI from 'openai';
+import { embedWithOpenAIClient } from './openai.provider.js';
+
+/**
+ * Proveedor para servidores locales con API compatible con OpenAI (Ollama, vLLM, LM Studio, TEI...).
+ * Solo envía "dimensions" si EMBEDDING_DIMENSIONS está configurado (muchos servidores no lo soportan).
+ * @param {{ model: string, dimensions?: number, baseURL: string, apiKey?: string }} config
+ * @returns {import('./index.js').EmbeddingProvider}
+ */
+export function createOpenAICompatibleProvider({ model, dimensions, baseURL, apiKey }) {
+  // La SDK exige una apiKey aunque el servidor local no la valide
+  const client = new OpenAI({ baseURL, apiKey: apiKey || 'not-needed', maxRetries: 0 });
+
+  return {
+    name: 'openai-compatible',
+    model,
+    dimensions,
+    embed: (texts) => embedWithOpenAIClient(client, { model, dimensions }, texts),
+  };
+}
@@ -0,0 +1,44 @@
+import { getOpenAI } from '../../config/openai.js';
+
+/**
+ * Llama a /embeddings con un cliente de la SDK de OpenAI (sirve también para Azure y servidores compatibles).
+ * @param {import('openai').default} client
+ * @param {{ model: string, dimensions?: number }} opts
+ * @param {string[]} texts
+ */
+export async function embedWithOpenAIClient(client, { model, dimensions }, texts) {
+  const options = {
+    model,
+    input: texts,
+  };
+
+  if (dimensions && Number.isFinite(dimensions)) {
+    options.dimensions = dimensions;
+  }
+
+  const response = await client.embeddings.create(options);
+
+  // La API devuelve "index" por entrada; ordenamos para no depender del orden de la respuesta
+  const embeddings = [...response.data]
+    .sort((a, b) => a.index - b.index)
+    .map((d) => d.embedding);
+  const usage = response.usage
+    ? { promptTokens: response.usage.prompt_tokens ?? 0, totalTokens: response.usage.total_tokens ?? 0 }
+    : null;
+
+  return { embeddings, usage };
+}
+
+/**
+ * Proveedor OpenAI (api.openai.com).
+ * @param {{ model: string, dimensions?: number }} config
+ * @returns {import('./index.js').EmbeddingProvider}
+ */
+export function createOpenAIProvider({ model, dimensions }) {
+  return {
+    name: 'openai',
+    model,
+    dimensions,
+    embed: (texts) => embedWithOpenAIClient(getOpenAI(), { model, dimensions }, texts),
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * Proveedor local en CPU con transformers.js (ONNX). Los datos de los activos no salen del servidor.
+ * Requiere instalar el paquete aparte (no es dependencia obligatoria):
+ *   npm install @huggingface/transformers
+ * El modelo se descarga del Hub de Hugging Face la primera vez y queda en caché local.
+ */
+
+let extractorPromise = null;
+
+// Los modelos E5 (multilingual-e5-small, e5-base...) se entrenaron con estos prefijos; sin ellos recuperan peor
+const E5_PREFIXES = { query: 'query: ', passage: 'passage: ' };
+
+/**
+ * Carga transformers.js (@huggingface/transformers o el paquete anterior @xenova/transformers).
+ * También la usa el re-ranker cross-encoder (rerank.service.js).
+ */
+export async function loadTransformers() {
+  try {
+    return await import('@huggingface/transformers');
+  } catch (err) {
+    try {
+      return await import('@xenova/transformers');
+    } catch (legacyErr) {
+      throw new Error(
+        'EMBEDDING_PROVIDER=transformers requiere el paquete @huggingface/transformers (npm install @huggingface/transformers)'
+      );
+    }
+  }
+}
+
+function getExtractor(model) {
+  if (!extractorPromise) {
+    extractorPromise = loadTransformers()
+      .then(({ pipeline }) => pipeline('feature-extraction', model))
+      .catch((err) => {
+        extractorPromise = null;
+        throw err;
+      });
+  }
+  return extractorPromise;
+}
+
+/**
+ * @param {{ model: string }} config - id del modelo en Hugging Face (ej. Xenova/multilingual-e5-small)
+ * @returns {import('./index.js').EmbeddingProvider}
+ */
+export function createTransformersProvider({ model }) {
+  return {
+    name: 'transformers',
+    model,
+    // Dimensiones nativas del modelo: no se pueden reducir
+    dimensions: undefined,
+    inputPrefixes: /(^|[/_-])e5([_-]|$)/i.test(model) ? E5_PREFIXES : null,
+    async embed(texts) {
+      const extractor = await getExtractor(model);
+      const output = await extractor(texts, { pooling: 'mean', normalize: true });
+      return { embeddings: output.tolist(), usage: null };
+    },
+  };
+}
@@ -1,25 +1,175 @@
-import { openai } from '../config/openai.js';
 import { env } from '../config/env.js';
+import { getEmbeddingProvider } from './embedding-providers/index.js';
+import { withRetry } from '../utils/retry.js';
+import { createRateLimiter } from '../utils/rate-limiter.js';
+import { getActiveEmbeddingConfig } from './embedding-config.service.js';
+import { EMBEDDING_TEMPLATE_VERSION } from '../utils/embedding-text.js';
+import {
+  buildCacheKey,
+  getCachedEmbeddings,
+  storeEmbeddings,
+  recordCacheLookup,
+} from './embedding-cache.service.js';
+import { recordUsage } from './usage.service.js';
 
-const EMBEDDING_MODEL = env.EMBEDDING_MODEL;
-const EMBEDDING_DIMENSIONS = Number.isFinite(env.EMBEDDING_DIMENSIONS)
-  ? env.EMBEDDING_DIMENSIONS
-  : undefined;
+// Presupuesto de solicitudes por minuto al proveedor (EMBEDDING_RPM; 0 = sin límite)
+const rateLimiter = createRateLimiter(env.EMBEDDING_RPM);
 
-export async function getTextEmbedding(text) {
-  const options = {
-    model: EMBEDDING_MODEL,
-    input: text,
+/**
+ * Proveedor y modelo con los que se etiquetan los vectores guardados.
+ * @param {object} [config] - configuración de embeddings (por defecto, la de .env)
+ * @returns {{ provider: string, model: string, dimensions: number|undefined }}
+ */
+export function getEmbeddingInfo(config) {
+  const provider = getEmbeddingProvider(config);
+  return { provider: provider.name, model: provider.model, dimensions: provider.dimensions };
+}
+
+/**
+ * Campos con los que se etiqueta el vector guardado en el campo activo de un activo.
+ * El texto siempre se construye con la plantilla actual, de ahí embeddingTemplateVersion.
+ * @param {object} config - configuración activa (getActiveEmbeddingConfig) o destino de una migración
+ * @param {number} dims - dimensiones reales del vector
+ */
+export function buildEmbeddingMetadata(config, dims) {
+  const { provider, model } = getEmbeddingInfo(config);
+  return {
+    embeddingProvider: provider,
+    embeddingModel: model,
+    embeddingDimensions: dims,
+    embeddingTemplateVersion: EMBEDDING_TEMPLATE_VERSION,
+  };
+}
+
+/**
+ * Estimación conservadora de tokens (~3 caracteres por token en español) para armar lotes.
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text).length / 3) + 1;
+}
+
+/**
+ * Parte los textos en lotes limitados por tokens estimados y por número de entradas.
+ * @param {string[]} texts
+ * @returns {string[][]}
+ */
+export function buildEmbeddingBatches(texts, {
+  maxTokens = env.EMBEDDING_BATCH_MAX_TOKENS,
+  maxInputs = env.EMBEDDING_BATCH_MAX_INPUTS,
+} = {}) {
+  const batches = [];
+  let current = [];
+  let currentTokens = 0;
+
+  for (const text of texts) {
+    const tokens = estimateTokens(text);
+    if (current.length > 0 && (currentTokens + tokens > maxTokens || current.length >= maxInputs)) {
+      batches.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(text);
+    currentTokens += tokens;
+  }
+  if (current.length > 0) batches.push(current);
+
+  return batches;
+}
+
+function addUsage(total, usage) {
+  if (!usage) return total;
+  return {
+    promptTokens: (total?.promptTokens ?? 0) + (usage.promptTokens ?? 0),
+    totalTokens: (total?.totalTokens ?? 0) + (usage.totalTokens ?? 0),
   };
+}
+
+/**
+ * Embeddings de varios textos. Primero consulta la caché persistente (embedding-cache.service.js);
+ * solo los textos únicos que no están en caché se envían al proveedor, en lotes (buildEmbeddingBatches).
+ * @param {string[]} rawTexts
+ * El consumo (tokens del proveedor, o estimados si no los devuelve) se registra en usage.service.js.
+ * @param {{ config?: object, attribution?: object, inputType?: 'query'|'passage' }} [options] - config: modelo a usar
+ *   (por defecto, la configuración activa); attribution: job / script / usuario al que se imputa el consumo
+ *   (buildUsageAttribution); inputType: "query" para descripciones SAP y búsquedas, "passage" (default) para el
+ *   texto de los activos (solo cambia algo en modelos con prefijos, como E5)
+ * @returns {Promise<{ embeddings: number[][], dims: number, provider: string, model: string, usage: object|null, cacheHits: number, cacheMisses: number }>}
+ */
+export async function getTextEmbeddings(rawTexts, { config, attribution, inputType = 'passage' } = {}) {
+  const provider = getEmbeddingProvider(config || (await getActiveEmbeddingConfig()));
+  const info = { provider: provider.name, model: provider.model, dimensions: provider.dimensions };
+  // El prefijo forma parte del texto: también de la clave de caché (query y passage no comparten vector)
+  const prefix = provider.inputPrefixes?.[inputType] ?? '';
+  const texts = prefix ? rawTexts.map((text) => `${prefix}${text}`) : rawTexts;
+
+  const keys = texts.map((text) => buildCacheKey(info, text));
+  const byKey = await getCachedEmbeddings(info, texts);
+
+  // Textos únicos sin caché (los duplicados dentro del lote se calculan una vez)
+  const missing = new Map();
+  keys.forEach((key, i) => {
+    if (!byKey.has(key) && !missing.has(key)) missing.set(key, texts[i]);
+  });
+
+  // Lotes acotados por tokens; cada lote con presupuesto RPM y reintentos (429/5xx) con backoff + jitter.
+  // Se guarda en caché lote a lote para no perder lo ya calculado si uno falla.
+  let usage = null;
+  let calls = 0;
+  let estimatedTokens = 0;
+  for (const batch of buildEmbeddingBatches([...missing.values()])) {
+    // Cada intento (también los reintentos tras un 429) consume presupuesto RPM
+    const result = await withRetry(async () => {
+      await rateLimiter.acquire();
+      return provider.embed(batch);
+    }, {
+      maxRetries: env.EMBEDDING_MAX_RETRIES,
+      label: `embeddings ${provider.name} (${batch.length} textos)`,
+    });
+    usage = addUsage(usage, result.usage);
+    calls++;
+    if (!result.usage) estimatedTokens += batch.reduce((sum, text) => sum + estimateTokens(text), 0);
 
-  if (EMBEDDING_DIMENSIONS && Number.isFinite(EMBEDDING_DIMENSIONS)) {
-    options.dimensions = EMBEDDING_DIMENSIONS;
+    const entries = batch.map((text, i) => ({ text, embedding: result.embeddings[i] }));
+    for (const { text, embedding } of entries) byKey.set(buildCacheKey(info, text), embedding);
+    await storeEmbeddings(info, entries);
   }
 
-  const response = await openai.embeddings.create(options);
+  const cacheMisses = missing.size;
+  const cacheHits = texts.length - cacheMisses;
+  recordCacheLookup(cacheHits, cacheMisses);
+  await recordUsage(
+    {
+      kind: 'embedding',
+      provider: provider.name,
+      model: provider.model,
+      calls,
+      texts: texts.length,
+      cachedTexts: cacheHits,
+      promptTokens: (usage?.promptTokens ?? 0) + estimatedTokens,
+      totalTokens: (usage?.totalTokens ?? 0) + estimatedTokens,
+      estimatedTokens,
+    },
+    attribution
+  );
+
+  const embeddings = keys.map((key) => byKey.get(key));
+
+  return {
+    embeddings,
+    dims: embeddings[0]?.length ?? 0,
+    provider: provider.name,
+    model: provider.model,
+    usage,
+    cacheHits,
+    cacheMisses,
+  };
+}
+
+export async function getTextEmbedding(text, options) {
+  const { embeddings, provider, model, usage, cacheHits } = await getTextEmbeddings([text], options);
 
-  const embedding = response.data[0].embedding;
+  const embedding = embeddings[0];
   const dims = embedding.length;
 
-  return { embedding, dims };
+  return { embedding, dims, provider, model, usage, cached: cacheHits > 0 };
 }
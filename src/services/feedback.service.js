@@ -0,0 +1,298 @@
+/**
+ * Memoria de decisiones de los revisores (colección reconciliation_feedback).
+ * Cada decisión manual guarda pares (texto SAP normalizado -> activo): "positive" si el revisor confirmó el
+ * match y "negative" si lo rechazó (no_match, o cambió a otro activo). La búsqueda híbrida premia los pares
+ * positivos y castiga los negativos para descripciones iguales o muy parecidas (Jaccard de tokens).
+ * Hay una entrada por (job, fila, activo): cambiar la decisión de la fila reemplaza sus entradas.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb } from '../config/mongo.js';
+import { env } from '../config/env.js';
+import { normalizeAbbreviationKey } from '../utils/embedding-text.js';
+import { httpError } from '../utils/http-error.js';
+import { normalizeSapText } from './abbreviation.service.js';
+import { DECISION_SOURCES } from './decision-history.service.js';
+
+const FEEDBACK_COLLECTION = 'reconciliation_feedback';
+// Con no_match, sugerencias principales de la fila que se registran como rechazadas
+export const NO_MATCH_REJECTED_SUGGESTIONS = 3;
+// Entradas candidatas leídas por búsqueda antes de calcular la similitud
+const MAX_FEEDBACK_CANDIDATES = 500;
+const MAX_LIST_LIMIT = 500;
+
+export const FEEDBACK_POLARITIES = ['positive', 'negative'];
+
+let indexesEnsured = false;
+
+function getCollection() {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+  return db.collection(FEEDBACK_COLLECTION);
+}
+
+async function ensureIndexes(collection) {
+  if (indexesEnsured) return;
+  indexesEnsured = true;
+  await collection.createIndex({ jobId: 1, rowNumber: 1, assetId: 1 }, { unique: true }).catch(() => {});
+  await collection.createIndex({ text: 1 }).catch(() => {});
+  await collection.createIndex({ tokens: 1 }).catch(() => {});
+  await collection.createIndex({ assetId: 1 }).catch(() => {});
+}
+
+/**
+ * Texto de la clave: mayúsculas, sin acentos ni puntuación ("Silla secret. negra" -> "SILLA SECRET NEGRA").
+ * Se aplica sobre la descripción con las abreviaturas ya expandidas.
+ */
+function feedbackKey(text) {
+  const tokens = normalizeAbbreviationKey(` ${text ?? ''} `)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  return { text: tokens.join(' '), tokens: [...new Set(tokens)].sort() };
+}
+
+function jaccard(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const setB = new Set(b);
+  const shared = a.filter((t) => setB.has(t)).length;
+  return shared / (a.length + b.length - shared);
+}
+
+function toObjectId(value, field) {
+  if (value instanceof ObjectId) return value;
+  if (!ObjectId.isValid(String(value))) throw httpError(`"${field}" no es un id válido`, 400);
+  return new ObjectId(String(value));
+}
+
+function toPublicFeedback(doc) {
+  return {
+    id: doc._id,
+    text: doc.text,
+    sapDescription: doc.sapDescription ?? null,
+    assetId: doc.assetId,
+    polarity: doc.polarity,
+    jobId: doc.jobId,
+    rowNumber: doc.rowNumber,
+    source: doc.source ?? null,
+    userId: doc.userId ?? null,
+    userName: doc.userName ?? null,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt ?? null,
+  };
+}
+
+/**
+ * Actualiza el feedback de una fila tras una decisión (saveDecision):
+ *  - el activo confirmado queda como par positivo y cualquier otro positivo previo de la fila se elimina;
+ *  - los rechazados se añaden como negativos (los negativos anteriores de la fila se conservan);
+ *  - con decision "pending" (deshacer) se borran todas las entradas de la fila.
+ * Las decisiones automáticas (auto-reconcile) no se registran: solo aprende de los revisores.
+ * @param {object} entry
+ * @param {ObjectId} entry.jobId
+ * @param {number} entry.rowNumber
+ * @param {string} entry.decision - match | no_match | pending
+ * @param {string} entry.sapDescription - descripción SAP original de la fila
+ * @param {ObjectId|null} entry.positiveAssetId
+ * @param {ObjectId[]} [entry.negativeAssetIds]
+ * @param {{ userId?: any, userName?: string, source?: string }} [context]
+ * @param {{ session?: import('mongodb').ClientSession }} [options]
+ */
+export async function recordRowFeedback(entry, context = {}, options = {}) {
+  if (!env.FEEDBACK_ENABLED) return;
+  const source = context.source || DECISION_SOURCES.MANUAL;
+  if (source === DECISION_SOURCES.AUTO) return;
+
+  const collection = getCollection();
+  await ensureIndexes(collection);
+  const { session } = options;
+  const rowFilter = { jobId: entry.jobId, rowNumber: entry.rowNumber };
+  const positiveAssetId = entry.positiveAssetId ?? null;
+  const negativeAssetIds = (entry.negativeAssetIds || []).filter(
+    (id) => id && !(positiveAssetId && positiveAssetId.equals(id))
+  );
+
+  if (entry.decision === 'pending') {
+    await collection.deleteMany(rowFilter, { session });
+    return;
+  }
+
+  await collection.deleteMany(
+    {
+      ...rowFilter,
+      polarity: 'positive',
+      ...(positiveAssetId ? { assetId: { $ne: positiveAssetId } } : {}),
+    },
+    { session }
+  );
+
+  const { text, tokens } = feedbackKey(await normalizeSapText(entry.sapDescription));
+  if (!text || (!positiveAssetId && negativeAssetIds.length === 0)) return;
+
+  const now = new Date();
+  const pairs = [
+    ...(positiveAssetId ? [{ assetId: positiveAssetId, polarity: 'positive' }] : []),
+    ...negativeAssetIds.map((assetId) => ({ assetId, polarity: 'negative' })),
+  ];
+  await collection.bulkWrite(
+    pairs.map(({ assetId, polarity }) => ({
+      updateOne: {
+        filter: { ...rowFilter, assetId },
+        update: {
+          $set: {
+            polarity,
+            text,
+            tokens,
+            tokenCount: tokens.length,
+            sapDescription: entry.sapDescription ?? null,
+            source,
+            userId: context.userId ?? null,
+            userName: context.userName ?? null,
+            updatedAt: now,
+          },
+          $setOnInsert: { createdAt: now },
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: false, session }
+  );
+}
+
+/**
+ * Elimina el feedback de una fila (o solo el de un activo de la fila), p. ej. al revertir una conciliación.
+ * @param {ObjectId} jobId
+ * @param {number} rowNumber
+ * @param {{ assetId?: ObjectId, session?: import('mongodb').ClientSession }} [options]
+ */
+export async function clearRowFeedback(jobId, rowNumber, { assetId = null, session } = {}) {
+  if (!env.FEEDBACK_ENABLED) return;
+  await getCollection().deleteMany(
+    { jobId, rowNumber, ...(assetId ? { assetId } : {}) },
+    { session }
+  );
+}
+
+/**
+ * Feedback aplicable a una query (descripción SAP ya normalizada): entradas con el mismo texto o con
+ * similitud de tokens >= FEEDBACK_MIN_SIMILARITY, agrupadas por activo.
+ * @param {string} query
+ * @returns {Promise<Map<string, { positive: number, negative: number, positiveSimilarity: number, negativeSimilarity: number }>>}
+ */
+export async function getFeedbackForQuery(query) {
+  const byAsset = new Map();
+  const db = getDb();
+  if (!env.FEEDBACK_ENABLED || !db) return byAsset;
+
+  const { text, tokens } = feedbackKey(query);
+  if (!text) return byAsset;
+
+  // Jaccard >= t solo es posible si el otro texto tiene entre t·n y n/t tokens distintos
+  const minSimilarity = env.FEEDBACK_MIN_SIMILARITY;
+  const docs = await db
+    .collection(FEEDBACK_COLLECTION)
+    .find(
+      {
+        $or: [
+          { text },
+          {
+            tokens: { $in: tokens },
+            tokenCount: {
+              $gte: Math.ceil(tokens.length * minSimilarity),
+              $lte: Math.floor(tokens.length / minSimilarity),
+            },
+          },
+        ],
+      },
+      { projection: { assetId: 1, polarity: 1, text: 1, tokens: 1 } }
+    )
+    .sort({ updatedAt: -1 })
+    .limit(MAX_FEEDBACK_CANDIDATES)
+    .toArray();
+
+  for (const doc of docs) {
+    const similarity = doc.text === text ? 1 : jaccard(tokens, doc.tokens || []);
+    if (similarity < minSimilarity) continue;
+
+    const id = doc.assetId.toString();
+    const current = byAsset.get(id) || { positive: 0, negative: 0, positiveSimilarity: 0, negativeSimilarity: 0 };
+    if (doc.polarity === 'positive') {
+      current.positive++;
+      current.positiveSimilarity = Math.max(current.positiveSimilarity, similarity);
+    } else {
+      current.negative++;
+      current.negativeSimilarity = Math.max(current.negativeSimilarity, similarity);
+    }
+    byAsset.set(id, current);
+  }
+  return byAsset;
+}
+
+/**
+ * Filtro Mongo a partir de los parámetros de listado / purga.
+ * @param {{ text?: string, assetId?: string, jobId?: string, polarity?: string, before?: string }} params
+ */
+function buildFeedbackFilter({ text, assetId, jobId, polarity, before } = {}) {
+  const filter = {};
+  if (text) {
+    const key = feedbackKey(text).text;
+    if (key) filter.text = { $regex: key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+  }
+  if (assetId) filter.assetId = toObjectId(assetId, 'assetId');
+  if (jobId) filter.jobId = toObjectId(jobId, 'jobId');
+  if (polarity) {
+    if (!FEEDBACK_POLARITIES.includes(polarity)) {
+      throw httpError(`"polarity" debe ser uno de: ${FEEDBACK_POLARITIES.join(', ')}`, 400);
+    }
+    filter.polarity = polarity;
+  }
+  if (before) {
+    const date = new Date(before);
+    if (isNaN(date.getTime())) throw httpError('"before" debe ser una fecha válida', 400);
+    filter.updatedAt = { $lt: date };
+  }
+  return filter;
+}
+
+/**
+ * Lista entradas de feedback, de la más reciente a la más antigua.
+ * @param {{ text?: string, assetId?: string, jobId?: string, polarity?: string, before?: string }} params
+ * @param {{ limit?: number, offset?: number }} [page]
+ * @returns {Promise<{ total: number, limit: number, offset: number, entries: object[] }>}
+ */
+export async function listFeedback(params = {}, { limit = 50, offset = 0 } = {}) {
+  const collection = getCollection();
+  const filter = buildFeedbackFilter(params);
+  const pageLimit = Math.min(MAX_LIST_LIMIT, Math.max(1, Number(limit) || 50));
+  const pageOffset = Math.max(0, Number(offset) || 0);
+
+  const [total, docs] = await Promise.all([
+    collection.countDocuments(filter),
+    collection.find(filter).sort({ updatedAt: -1, _id: 1 }).skip(pageOffset).limit(pageLimit).toArray(),
+  ]);
+  return { total, limit: pageLimit, offset: pageOffset, entries: docs.map(toPublicFeedback) };
+}
+
+/**
+ * Elimina una entrada de feedback por id.
+ * @param {string} id
+ */
+export async function deleteFeedback(id) {
+  const result = await getCollection().deleteOne({ _id: toObjectId(id, 'id') });
+  if (result.deletedCount === 0) throw httpError('Entrada de feedback no encontrada', 404);
+  return { deleted: 1 };
+}
+
+/**
+ * Purga entradas de feedback por filtros (texto, activo, job, polaridad, anteriores a una fecha).
+ * Sin filtros exige `all: true` para no vaciar la memoria por error.
+ * @param {{ text?: string, assetId?: string, jobId?: string, polarity?: string, before?: string, all?: boolean }} params
+ * @returns {Promise<{ deleted: number }>}
+ */
+export async function purgeFeedback({ all = false, ...params } = {}) {
+  const filter = buildFeedbackFilter(params);
+  if (Object.keys(filter).length === 0 && !all) {
+    throw httpError('Indica al menos un filtro (text, assetId, jobId, polarity, before) o all=true', 400);
+  }
+  const result = await getCollection().deleteMany(filter);
+  return { deleted: result.deletedCount };
+}
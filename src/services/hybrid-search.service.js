@@ -1,23 +1,76 @@
+import { ObjectId } from 'mongodb';
 import { getDb } from '../config/mongo.js';
+import { env } from '../config/env.js';
 import { getTextEmbedding } from './embedding.service.js';
+import { localSearchAssets } from './local-search.service.js';
+import { getActiveEmbeddingConfig } from './embedding-config.service.js';
+import { findAssetsByIdentifier } from './identifier-search.service.js';
+import { extractModelKeys, canonicalModelKey, compareModelKeys } from '../utils/model-key.js';
+import { rerankResults } from './rerank.service.js';
+import { matchAssetAttributes } from './attribute-extraction.service.js';
+import { getFeedbackForQuery } from './feedback.service.js';
+import { getActiveCalibration, applyCalibration } from './calibration.service.js';
+import { embeddingTemplate } from '../config/embedding-template.js';
 
 const ASSETS_COLLECTION = 'assets';
-const VECTOR_INDEX = 'assets_text_embedding_index';
+// Campos de cada resultado (búsqueda por identificador, vectorial y de texto)
+const RESULT_PROJECTION = {
+  _id: 1,
+  name: 1,
+  brand: 1,
+  model: 1,
+  EPC: 1,
+  serial: 1,
+  modelKey: 1,
+  locationPath: 1,
+  fileExt: 1,
+  isReconciled: 1,
+};
 const TEXT_INDEX = 'assets_text_search_index';
+// Campos con highlights (qué tokens de la query coincidieron)
+const HIGHLIGHT_PATHS = ['name', 'brand', 'model'];
 
 // Configuración de fusión híbrida (score final en rango 0..1)
 const VECTOR_WEIGHT = 0.55;
 const TEXT_WEIGHT = 0.35;
 const RRF_WEIGHT = 0.1; // estabiliza ranking cuando los scores crudos difieren
 const CROSS_MODAL_BONUS = 0.05; // premio si aparece en ambos: vector + texto
+// Premio si el número de modelo del activo (modelKey) coincide con uno de la query ("LJ-4000 N" = "LJ4000N")
+const MODEL_KEY_BOOST = 0.15;
+const MODEL_KEY_PARTIAL_BOOST = 0.07; // "LJ4000" vs "LJ4000N"
+const MAX_MODEL_KEY_HITS = 50;
+// Premios por atributos de la fila SAP presentes en el activo (attribute-extraction.service.js)
+const ATTRIBUTE_BOOSTS = { objectType: 0.05, capacity: 0.05, color: 0.03, brand: 0.05 };
+// Memoria de los revisores (feedback.service.js): premio a pares confirmados y castigo a pares rechazados
+// para la misma descripción SAP o una muy parecida (se escalan por la similitud)
+const FEEDBACK_BOOST = 0.2;
+const FEEDBACK_PENALTY = 0.3;
 const RRF_K = 60;
 const FETCH_MULTIPLIER = 6;
 const MAX_ATLAS_QUERY_TOKENS = 10;
 const MAX_ATLAS_QUERY_CHARS = 120;
+// Cada cuánto se vuelve a comprobar si existen los índices de Atlas (modo auto)
+const ENGINE_CHECK_TTL_MS = 5 * 60 * 1000;
+// Candidatos de $vectorSearch antes de filtrar; más si hay filtros (el $match va después del límite)
+const NUM_CANDIDATES = 400;
+const NUM_CANDIDATES_FILTERED = 800;
+// Profundidad máxima (offset + limit) para paginar resultados combinados
+export const MAX_SEARCH_DEPTH = 200;
 
-function rrfFromRank(rank) {
+// Parámetros de fusión que se pueden sobrescribir por llamada (opción `tuning`, p. ej. search-evaluation.service.js)
+export const SEARCH_TUNING_DEFAULTS = Object.freeze({
+  vectorWeight: VECTOR_WEIGHT,
+  textWeight: TEXT_WEIGHT,
+  rrfK: RRF_K,
+  fetchMultiplier: FETCH_MULTIPLIER,
+});
+
+// Por índice vectorial: tras una migración de embeddings el índice activo cambia
+const engineCache = new Map();
+
+function rrfFromRank(rank, k = RRF_K) {
   if (!Number.isFinite(rank) || rank <= 0) return 0;
-  return 1 / (RRF_K + rank);
+  return 1 / (k + rank);
 }
 
 function normalizeByMax(value, max) {
@@ -33,6 +86,153 @@ function safeToArray(cursorPromise, label) {
   });
 }
 
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Condición de igualdad sin distinguir mayúsculas para brand/model: un valor o cualquiera de una lista.
+ */
+function buildFieldMatch(field, values) {
+  const list = (Array.isArray(values) ? values : [values])
+    .map((v) => String(v ?? '').trim())
+    .filter(Boolean);
+  if (list.length === 0) return null;
+  return { [field]: { $in: list.map((v) => new RegExp(`^${escapeRegex(v)}$`, 'i')) } };
+}
+
+/**
+ * Marca extraída de la fila SAP, solo con ATTRIBUTE_BRAND_FILTER (si no, solo premia): si está en el catálogo,
+ * el activo debe tener esa marca o no tener ninguna (vacía o placeholder como "Sin marca").
+ * Con filtro brand explícito manda el filtro.
+ */
+function usesAttributeBrandFilter(attributes, filters) {
+  return Boolean(env.ATTRIBUTE_BRAND_FILTER && attributes?.brandInCatalog && attributes.brand && !filters?.brand);
+}
+
+function buildAttributeBrandMatch(attributes, filters) {
+  if (!usesAttributeBrandFilter(attributes, filters)) return null;
+  const placeholders = ['common', 'brand'].flatMap((name) => embeddingTemplate.placeholders?.[name] || []);
+  return {
+    brand: {
+      $in: [
+        new RegExp(`^${escapeRegex(attributes.brand)}$`, 'i'),
+        null,
+        '',
+        ...placeholders.map((p) => new RegExp(`^\\s*${escapeRegex(p)}\\s*$`, 'i')),
+      ],
+    },
+  };
+}
+
+/**
+ * $match común a todas las modalidades: ubicación, brand/model, marca extraída de la fila SAP y,
+ * salvo includeReconciled, solo no conciliados.
+ */
+function buildMatchStage({ locationMatch, filters, includeReconciled, attributes }) {
+  const conditions = [
+    locationMatch,
+    includeReconciled ? null : { isReconciled: { $ne: true } },
+    buildFieldMatch('brand', filters?.brand),
+    buildFieldMatch('model', filters?.model),
+    buildAttributeBrandMatch(attributes, filters),
+  ].filter(Boolean);
+  if (conditions.length === 0) return { $match: {} };
+  return { $match: conditions.length === 1 ? conditions[0] : { $and: conditions } };
+}
+
+/**
+ * Activos cuyo modelKey coincide exactamente con alguna clave de modelo de la query; entran como candidatos
+ * aunque el vector y el texto no los encuentren.
+ */
+function findAssetsByModelKey(collection, { modelKeys, filter }) {
+  if (modelKeys.length === 0) return Promise.resolve([]);
+  const keyMatch = { modelKey: { $in: modelKeys } };
+  return collection
+    .find(filter && Object.keys(filter).length > 0 ? { $and: [filter, keyMatch] } : keyMatch, {
+      projection: RESULT_PROJECTION,
+    })
+    .limit(MAX_MODEL_KEY_HITS)
+    .toArray();
+}
+
+/**
+ * Feedback de los revisores para la query y los activos confirmados que aún no son candidatos
+ * (respetan los mismos filtros que el resto de modalidades).
+ * @returns {Promise<{ byAsset: Map<string, object>, docs: object[] }>}
+ */
+async function findFeedbackCandidates(collection, { query, filter, enabled }) {
+  if (!enabled) return { byAsset: new Map(), docs: [] };
+  const byAsset = await getFeedbackForQuery(query);
+  const positiveIds = [...byAsset.entries()]
+    .filter(([, f]) => f.positive > 0)
+    .map(([id]) => new ObjectId(id));
+  if (positiveIds.length === 0) return { byAsset, docs: [] };
+
+  const idMatch = { _id: { $in: positiveIds } };
+  const docs = await collection
+    .find(filter && Object.keys(filter).length > 0 ? { $and: [filter, idMatch] } : idMatch, {
+      projection: RESULT_PROJECTION,
+    })
+    .toArray();
+  return { byAsset, docs };
+}
+
+/**
+ * Highlights de Atlas o de la búsqueda local: { path, texts: [{ value, type: 'hit'|'text' }] } sin score.
+ */
+function formatHighlights(highlights) {
+  if (!Array.isArray(highlights)) return [];
+  return highlights.map((h) => ({
+    path: h.path,
+    texts: (h.texts || []).map((t) => ({ value: t.value, type: t.type })),
+  }));
+}
+
+function round4(value) {
+  return Math.round((Number(value) || 0) * 10000) / 10000;
+}
+
+/**
+ * Desglose del score combinado: cada componente con su valor, peso, rank y aporte al score,
+ * más los highlights de texto. Se devuelve en cada resultado y se guarda en las sugerencias de los jobs.
+ */
+function buildExplanation({ vRaw = 0, vNorm = 0, vRank = null, tRaw = 0, tNorm = 0, tRank = null, vRrf = 0, tRrf = 0,
+  crossBonus = 0, modelMatch = null, modelBonus = 0, attributeMatch = null, attributeBonus = 0, feedbackMatch = null,
+  feedbackBonus = 0, total = 0, highlights = [], tuning = SEARCH_TUNING_DEFAULTS }) {
+  const { vectorWeight, textWeight, rrfK } = tuning;
+  return {
+    vector: {
+      raw: round4(vRaw), normalized: round4(vNorm), rank: vRank ?? null,
+      weight: vectorWeight, contribution: round4(vectorWeight * vNorm),
+    },
+    text: {
+      raw: round4(tRaw), normalized: round4(tNorm), rank: tRank ?? null,
+      weight: textWeight, contribution: round4(textWeight * tNorm),
+    },
+    rrf: {
+      vector: round4(vRrf), text: round4(tRrf), k: rrfK,
+      weight: RRF_WEIGHT, contribution: round4(RRF_WEIGHT * ((vRrf + tRrf) / 2)),
+    },
+    crossModal: { applied: crossBonus > 0, contribution: crossBonus },
+    modelKey: { match: modelMatch, contribution: modelBonus },
+    // Solo con atributos de la fila SAP: qué atributos coinciden con el activo
+    attributes: attributeMatch ? { ...attributeMatch, contribution: round4(attributeBonus) } : null,
+    // Solo si hay decisiones de revisores para esta descripción (o una parecida) y este activo
+    feedback: feedbackMatch
+      ? {
+          positive: feedbackMatch.positive,
+          negative: feedbackMatch.negative,
+          similarity: round4(Math.max(feedbackMatch.positiveSimilarity, feedbackMatch.negativeSimilarity)),
+          contribution: round4(feedbackBonus),
+        }
+      : null,
+    // Suma de los aportes antes de limitar el score a 1
+    total: round4(total),
+    highlights,
+  };
+}
+
 function sanitizeAtlasQuery(raw) {
   const normalized = String(raw || '')
     .toLowerCase()
@@ -45,8 +245,62 @@ function sanitizeAtlasQuery(raw) {
   return tokens.join(' ').slice(0, MAX_ATLAS_QUERY_CHARS).trim();
 }
 
+/**
+ * Decide, por modalidad, si se usa Atlas ($vectorSearch / $search) o la búsqueda local en memoria.
+ * SEARCH_ENGINE=atlas|local fuerza el motor; en "auto" se consultan los índices de búsqueda de la colección
+ * (en un mongod sin Atlas listSearchIndexes falla y se usa la búsqueda local).
+ * @param {string} vectorIndex - índice vectorial de la configuración de embeddings activa
+ * @returns {Promise<{ vector: 'atlas'|'local', text: 'atlas'|'local' }>}
+ */
+async function resolveSearchEngine(collection, vectorIndex) {
+  if (env.SEARCH_ENGINE === 'atlas' || env.SEARCH_ENGINE === 'local') {
+    return { vector: env.SEARCH_ENGINE, text: env.SEARCH_ENGINE };
+  }
+  const cached = engineCache.get(vectorIndex);
+  if (cached && Date.now() - cached.checkedAt < ENGINE_CHECK_TTL_MS) {
+    return cached.engine;
+  }
+
+  let engine;
+  let reason = null;
+  try {
+    const indexes = await collection.listSearchIndexes().toArray();
+    const names = new Set(indexes.filter((i) => i.status !== 'FAILED').map((i) => i.name));
+    engine = {
+      vector: names.has(vectorIndex) ? 'atlas' : 'local',
+      text: names.has(TEXT_INDEX) ? 'atlas' : 'local',
+    };
+    if (engine.vector === 'local' || engine.text === 'local') {
+      const missing = [
+        engine.vector === 'local' ? vectorIndex : null,
+        engine.text === 'local' ? TEXT_INDEX : null,
+      ].filter(Boolean);
+      reason = `faltan índices ${missing.join(', ')}`;
+    }
+  } catch (err) {
+    engine = { vector: 'local', text: 'local' };
+    reason = `Atlas Search no disponible (${err.message})`;
+  }
+
+  const changed = !cached
+    || cached.engine.vector !== engine.vector
+    || cached.engine.text !== engine.text;
+  if (changed) {
+    if (reason) {
+      console.warn(
+        `[hybrid-search] ${reason}; usando búsqueda local en memoria (vector: ${engine.vector}, texto: ${engine.text})`
+      );
+    } else {
+      console.log('[hybrid-search] Usando índices de Atlas Search (vector y texto)');
+    }
+  }
+
+  engineCache.set(vectorIndex, { engine, checkedAt: Date.now() });
+  return engine;
+}
+
 function buildTextPipeline({ query, matchStage, fetchLimit, fuzzyEnabled = true, includeEpc = true }) {
-  const textPaths = includeEpc ? ['name', 'brand', 'model', 'EPC'] : ['name', 'brand', 'model'];
+  const textPaths = includeEpc ? ['name', 'brand', 'model', 'EPC', 'serial'] : ['name', 'brand', 'model'];
   const should = [
     {
       phrase: {
@@ -84,21 +338,16 @@ function buildTextPipeline({ query, matchStage, fetchLimit, fuzzyEnabled = true,
           should,
           minimumShouldMatch: 1,
         },
+        highlight: { path: HIGHLIGHT_PATHS },
       },
     },
     matchStage,
     { $limit: fetchLimit },
     {
       $project: {
-        _id: 1,
-        name: 1,
-        brand: 1,
-        model: 1,
-        EPC: 1,
-        locationPath: 1,
-        fileExt: 1,
-        isReconciled: 1,
+        ...RESULT_PROJECTION,
         textScore: { $meta: 'searchScore' },
+        highlights: { $meta: 'searchHighlights' },
       },
     },
   ];
@@ -150,64 +399,120 @@ async function runTextSearch(collection, { query, matchStage, fetchLimit }) {
 
 /**
  * Búsqueda híbrida: Vector Search (semántico) + Atlas Search (texto).
- * Devuelve una lista unificada ordenada por score combinado.
+ * Sin índices de Atlas (mongod local) usa coseno + BM25 en memoria con el mismo formato de resultado.
+ * Devuelve una lista unificada ordenada por score combinado, con boost por número de modelo (modelMatch),
+ * premio o castigo por decisiones previas de los revisores (feedback), el desglose del score en `explanation`
+ * y `probability`: probabilidad de match calibrada con decisiones históricas (null sin modelo entrenado).
  *
  * @param {object} opts
  * @param {string} opts.query - texto ya normalizado
  * @param {object|null} [opts.locationMatch] - filtro de ubicación (match Mongo) o null
  * @param {number} [opts.limit=10] - número máximo de resultados combinados
+ * @param {number[]} [opts.embedding] - vector de la query ya calculado (p. ej. en lote por processJob)
+ * @param {object} [opts.embeddingConfig] - configuración con la que se calculó `embedding` (campo e índice vectorial);
+ *   por defecto, la activa (embedding-config.service.js)
+ * @param {object} [opts.attribution] - a quién se imputa el embedding de la query (usage.service.js)
+ * @param {{ brand?: string|string[], model?: string|string[] }} [opts.filters] - igualdad sin distinguir mayúsculas
+ * @param {boolean} [opts.includeReconciled=false] - incluir activos ya conciliados
+ * @param {number} [opts.offset=0] - resultados combinados a saltar (paginación; offset + limit <= MAX_SEARCH_DEPTH)
+ * @param {'off'|'llm'|'cross-encoder'} [opts.reranker=env.RERANKER] - re-ranking de los mejores candidatos (rerank.service.js)
+ * @param {object|null} [opts.attributes] - atributos de la fila SAP (attribute-extraction.service.js): el tipo de
+ *   objeto, la capacidad, el color y la marca premian; la marca filtra con ATTRIBUTE_BRAND_FILTER
+ * @param {boolean} [opts.feedback=env.FEEDBACK_ENABLED] - aplicar la memoria de decisiones (feedback.service.js)
+ * @param {{ vectorWeight?: number, textWeight?: number, rrfK?: number, fetchMultiplier?: number }} [opts.tuning] -
+ *   sobrescribe parámetros de fusión (SEARCH_TUNING_DEFAULTS) solo para esta llamada
  */
-export async function hybridSearchAssets({ query, locationMatch = null, limit = 10 }) {
+export async function hybridSearchAssets({
+  query,
+  locationMatch = null,
+  limit = 10,
+  embedding: queryEmbedding = null,
+  embeddingConfig = null,
+  attribution = null,
+  filters = null,
+  includeReconciled = false,
+  offset = 0,
+  reranker = env.RERANKER,
+  attributes = null,
+  feedback = env.FEEDBACK_ENABLED,
+  tuning = null,
+}) {
   const db = getDb();
   if (!db) throw new Error('MongoDB no conectado');
   const searchLimit = Math.max(1, Number(limit) || 10);
-  const fetchLimit = searchLimit * FETCH_MULTIPLIER;
+  const searchOffset = Math.max(0, Number(offset) || 0);
+  const fusion = { ...SEARCH_TUNING_DEFAULTS, ...tuning };
+  const fetchLimit = (searchOffset + searchLimit) * fusion.fetchMultiplier;
 
-  // 1) Embedding de la query (para Vector Search)
-  const { embedding } = await getTextEmbedding(query);
+  // 1) Embedding de la query (para Vector Search), salvo que ya venga calculado.
+  // Campo, índice y modelo salen de la misma configuración para no mezclar vectores de modelos distintos
+  const config = embeddingConfig || (await getActiveEmbeddingConfig());
+  const embedding = queryEmbedding || (await getTextEmbedding(query, { config, attribution, inputType: 'query' })).embedding;
 
-  const baseMatch = { isReconciled: { $ne: true } };
-  const matchStage = locationMatch
-    ? { $match: { $and: [locationMatch, baseMatch] } }
-    : { $match: baseMatch };
+  const matchStage = buildMatchStage({ locationMatch, filters, includeReconciled, attributes });
+  const filtered = Boolean(locationMatch || filters?.brand || filters?.model || usesAttributeBrandFilter(attributes, filters));
 
   // 2) Vector Search
   const vectorPipeline = [
     {
       $vectorSearch: {
-        index: VECTOR_INDEX,
-        path: 'textEmbedding',
+        index: config.index,
+        path: config.field,
         queryVector: embedding,
-        numCandidates: locationMatch ? 800 : 400,
+        numCandidates: Math.max(filtered ? NUM_CANDIDATES_FILTERED : NUM_CANDIDATES, fetchLimit),
         limit: fetchLimit,
       },
     },
     matchStage,
     { $limit: fetchLimit },
     {
-      $project: {
-        _id: 1,
-        name: 1,
-        brand: 1,
-        model: 1,
-        EPC: 1,
-        locationPath: 1,
-        fileExt: 1,
-        isReconciled: 1,
-        vectorScore: { $meta: 'vectorSearchScore' },
-      },
+      $project: { ...RESULT_PROJECTION, vectorScore: { $meta: 'vectorSearchScore' } },
     },
   ];
 
   const assets = db.collection(ASSETS_COLLECTION);
+  const engine = await resolveSearchEngine(assets, config.index);
+
+  // 3) Búsqueda local (una sola pasada) para las modalidades sin índice de Atlas
+  const needsLocal = engine.vector === 'local' || engine.text === 'local';
+  const localRes = needsLocal
+    ? localSearchAssets(assets, {
+        filter: matchStage.$match,
+        embedding,
+        embeddingField: config.field,
+        query,
+        limit: fetchLimit,
+        vector: engine.vector === 'local',
+        text: engine.text === 'local',
+      })
+    : Promise.resolve({ vectorRes: [], textRes: [] });
 
-  const [vectorRes, textRes] = await Promise.all([
-    safeToArray(assets.aggregate(vectorPipeline).toArray(), 'vectorSearch'),
-    runTextSearch(assets, { query, matchStage, fetchLimit }),
+  // 4) En paralelo: identificadores exactos (EPC, serie, inventario), números de modelo de la query,
+  // feedback de los revisores, Atlas y búsqueda local
+  const modelKeys = extractModelKeys(query);
+  const [identifierRes, modelKeyRes, feedbackRes, atlasVectorRes, atlasTextRes, local] = await Promise.all([
+    safeToArray(
+      findAssetsByIdentifier(assets, { query, filter: matchStage.$match, projection: RESULT_PROJECTION }),
+      'identifierSearch'
+    ),
+    safeToArray(findAssetsByModelKey(assets, { modelKeys, filter: matchStage.$match }), 'modelKeySearch'),
+    findFeedbackCandidates(assets, { query, filter: matchStage.$match, enabled: feedback }).catch((err) => {
+      console.warn(`[hybrid-search] feedback falló: ${err.message}`);
+      return { byAsset: new Map(), docs: [] };
+    }),
+    engine.vector === 'atlas'
+      ? safeToArray(assets.aggregate(vectorPipeline).toArray(), 'vectorSearch')
+      : [],
+    engine.text === 'atlas' ? runTextSearch(assets, { query, matchStage, fetchLimit }) : [],
+    localRes,
   ]);
-  if (!vectorRes.length && !textRes.length) return [];
+  const vectorRes = engine.vector === 'atlas' ? atlasVectorRes : local.vectorRes;
+  const textRes = engine.text === 'atlas' ? atlasTextRes : local.textRes;
+  if (!identifierRes.length && !modelKeyRes.length && !feedbackRes.docs.length && !vectorRes.length && !textRes.length) {
+    return [];
+  }
 
-  // 4) Combinar resultados por _id
+  // 5) Combinar resultados por _id
   const byId = new Map();
   const vectorRankById = new Map();
   const textRankById = new Map();
@@ -222,6 +527,8 @@ export async function hybridSearchAssets({ query, locationMatch = null, limit =
       brand: v.brand,
       model: v.model,
       EPC: v.EPC,
+      serial: v.serial,
+      modelKey: v.modelKey,
       locationPath: v.locationPath,
       fileExt: v.fileExt,
       isReconciled: v.isReconciled,
@@ -248,6 +555,8 @@ export async function hybridSearchAssets({ query, locationMatch = null, limit =
         brand: t.brand,
         model: t.model,
         EPC: t.EPC,
+        serial: t.serial,
+        modelKey: t.modelKey,
         locationPath: t.locationPath,
         fileExt: t.fileExt,
         isReconciled: t.isReconciled,
@@ -258,12 +567,18 @@ export async function hybridSearchAssets({ query, locationMatch = null, limit =
     if (currentTextScore > existing.textScore) {
       existing.textScore = currentTextScore;
     }
+    existing.highlights = formatHighlights(t.highlights);
     maxText = Math.max(maxText, existing.textScore);
     byId.set(id, existing);
   }
 
-  // 5) Normalizar y calcular score combinado
-  const maxRrf = rrfFromRank(1);
+  for (const m of [...modelKeyRes, ...feedbackRes.docs]) {
+    const id = m._id.toString();
+    if (!byId.has(id)) byId.set(id, { ...m, vectorScore: 0, textScore: 0 });
+  }
+
+  // 6) Normalizar y calcular score combinado
+  const maxRrf = rrfFromRank(1, fusion.rrfK);
   const combined = Array.from(byId.values()).map((doc) => {
     const id = doc._id.toString();
     const vRaw = Number(doc.vectorScore) || 0;
@@ -272,24 +587,77 @@ export async function hybridSearchAssets({ query, locationMatch = null, limit =
     const tNorm = normalizeByMax(tRaw, maxText);
     const vRank = vectorRankById.get(id);
     const tRank = textRankById.get(id);
-    const vRrf = normalizeByMax(rrfFromRank(vRank), maxRrf);
-    const tRrf = normalizeByMax(rrfFromRank(tRank), maxRrf);
+    const vRrf = normalizeByMax(rrfFromRank(vRank, fusion.rrfK), maxRrf);
+    const tRrf = normalizeByMax(rrfFromRank(tRank, fusion.rrfK), maxRrf);
     const crossBonus = vRank && tRank ? CROSS_MODAL_BONUS : 0;
+    // Activos sin modelKey guardado (backfill-model-keys.js pendiente): se calcula desde model y brand
+    const modelMatch = compareModelKeys(doc.modelKey ?? canonicalModelKey(doc.model, doc.brand), modelKeys);
+    const modelBonus = modelMatch === 'exact' ? MODEL_KEY_BOOST : modelMatch === 'partial' ? MODEL_KEY_PARTIAL_BOOST : 0;
+    const attributeMatch = matchAssetAttributes(attributes, doc);
+    const attributeBonus = Object.keys(ATTRIBUTE_BOOSTS).reduce(
+      (sum, key) => sum + (attributeMatch[key] ? ATTRIBUTE_BOOSTS[key] : 0),
+      0
+    );
+    const feedbackMatch = feedbackRes.byAsset.get(id) ?? null;
+    const feedbackBonus = feedbackMatch
+      ? FEEDBACK_BOOST * feedbackMatch.positiveSimilarity - FEEDBACK_PENALTY * feedbackMatch.negativeSimilarity
+      : 0;
     const hybridScore =
-      VECTOR_WEIGHT * vNorm +
-      TEXT_WEIGHT * tNorm +
+      fusion.vectorWeight * vNorm +
+      fusion.textWeight * tNorm +
       RRF_WEIGHT * ((vRrf + tRrf) / 2) +
-      crossBonus;
+      crossBonus +
+      modelBonus +
+      attributeBonus +
+      feedbackBonus;
 
+    const { highlights = [], ...fields } = doc;
     return {
-      ...doc,
+      ...fields,
+      matchType: 'hybrid',
+      modelMatch,
       score: Math.max(0, Math.min(1, hybridScore)),
       textScore: tNorm,
       vectorScoreNorm: vNorm,
+      explanation: buildExplanation({
+        vRaw, vNorm, vRank, tRaw, tNorm, tRank, vRrf, tRrf, crossBonus, modelMatch, modelBonus,
+        attributeMatch: attributes ? attributeMatch : null, attributeBonus, feedbackMatch, feedbackBonus,
+        total: hybridScore, highlights, tuning: fusion,
+      }),
     };
   });
 
-  combined.sort((a, b) => (b.score || 0) - (a.score || 0));
+  // Desempate por _id: el orden es estable entre páginas
+  combined.sort((a, b) => (b.score || 0) - (a.score || 0) || String(a._id).localeCompare(String(b._id)));
+
+  // 7) Re-ranking opcional de los mejores candidatos (siempre los mismos N, sea cual sea la página)
+  const reranked = await rerankResults(combined, { query, reranker, attribution });
 
-  return combined.slice(0, searchLimit);
+  // 8) Los aciertos por identificador van primero con score 1 (conservan sus scores vector/texto si los tienen)
+  const hybridById = new Map(reranked.map((doc) => [doc._id.toString(), doc]));
+  const pinned = identifierRes.map((doc) => {
+    const hybrid = hybridById.get(doc._id.toString());
+    return {
+      ...doc,
+      vectorScore: hybrid?.vectorScore ?? 0,
+      textScore: hybrid?.textScore ?? 0,
+      vectorScoreNorm: hybrid?.vectorScoreNorm ?? 0,
+      modelMatch: hybrid?.modelMatch ?? null,
+      matchType: 'identifier',
+      score: 1,
+      explanation: {
+        ...(hybrid?.explanation ?? buildExplanation({ tuning: fusion })),
+        identifier: { field: doc.matchedField, value: doc.matchedValue },
+      },
+    };
+  });
+  const pinnedIds = new Set(pinned.map((doc) => doc._id.toString()));
+  const ranked = [...pinned, ...reranked.filter((doc) => !pinnedIds.has(doc._id.toString()))];
+
+  // 9) Probabilidad calibrada (calibration.service.js) sobre la lista completa: usa la posición y el margen
+  const calibration = await getActiveCalibration().catch((err) => {
+    console.warn(`[hybrid-search] calibración no disponible: ${err.message}`);
+    return null;
+  });
+  return applyCalibration(ranked, calibration).slice(searchOffset, searchOffset + searchLimit);
 }
@@ -0,0 +1,153 @@
+/**
+ * Búsqueda exacta por identificador (EPC RFID, número de serie, número de inventario SAP...).
+ * Detecta en la query los tokens con forma de identificador y los busca por igualdad en assets.identifierKeys
+ * (claves normalizadas de los campos de ASSET_IDENTIFIER_FIELDS, scripts/backfill-identifier-keys.js y el
+ * watcher de embeddings) antes de la búsqueda híbrida; los aciertos se fijan arriba del ranking
+ * (hybrid-search.service.js) con matchType "identifier".
+ */
+
+import { env } from '../config/env.js';
+import { splitModelKey } from '../utils/model-key.js';
+
+// EPC de 96 bits o más: 24+ dígitos hexadecimales (se aceptan desde 16 por EPCs cortos)
+const EPC_REGEX = /^[0-9A-F]{16,32}$/;
+// Número de inventario SAP: solo dígitos
+const INVENTORY_REGEX = /^\d{6,15}$/;
+// Serie: letras y dígitos mezclados
+const SERIAL_REGEX = /^(?=.*\d)(?=.*[A-Z])[A-Z0-9]{5,30}$/;
+// Número de modelo (utils/model-key.js), no serie: pocos tramos letra/dígito y números cortos ("LJ4000N", "M404DN")
+const MAX_MODEL_PARTS = 3;
+const MAX_MODEL_DIGITS = 5;
+const MAX_IDENTIFIER_TOKENS = 5;
+const MAX_IDENTIFIER_HITS = 20;
+
+/**
+ * Clave normalizada de un identificador: mayúsculas, sin acentos ni separadores ("cn-0f2x.3y" -> "CN0F2X3Y").
+ */
+export function normalizeIdentifier(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+}
+
+// Sin ceros a la izquierda: "000123456" y 123456 son el mismo número de inventario
+function stripLeadingZeros(key) {
+  return key.replace(/^0+/, '') || key;
+}
+
+/**
+ * Claves normalizadas de los identificadores de un activo (assets.identifierKeys): una por valor de
+ * ASSET_IDENTIFIER_FIELDS y, si solo tiene dígitos, también sin ceros a la izquierda.
+ * @param {object} doc - activo con los campos de ASSET_IDENTIFIER_FIELDS
+ * @returns {string[]} ordenadas y sin repetir (vacío si no tiene identificadores)
+ */
+export function assetIdentifierKeys(doc) {
+  const keys = new Set();
+  for (const field of env.ASSET_IDENTIFIER_FIELDS) {
+    const key = normalizeIdentifier(doc?.[field]);
+    if (!key) continue;
+    keys.add(key);
+    if (/^\d+$/.test(key)) keys.add(stripLeadingZeros(key));
+  }
+  return [...keys].sort();
+}
+
+function looksLikeModelNumber(key) {
+  const parts = splitModelKey(key);
+  return parts.length <= MAX_MODEL_PARTS && parts.every((p) => !/\d/.test(p) || p.length <= MAX_MODEL_DIGITS);
+}
+
+function classifyIdentifier(key) {
+  if (EPC_REGEX.test(key) && /[A-F]/.test(key)) return 'epc';
+  if (INVENTORY_REGEX.test(key)) return 'inventory';
+  if (EPC_REGEX.test(key)) return 'epc';
+  if (SERIAL_REGEX.test(key) && !looksLikeModelNumber(key)) return 'serial';
+  return null;
+}
+
+/**
+ * Tokens de la query con forma de identificador ("S/N: CN-0F2X3Y" -> CN-0F2X3Y). Los números de modelo
+ * ("LJ4000N") no cuentan como serie: ya los usa el boost de modelo de la búsqueda híbrida.
+ * @param {string} query
+ * @returns {Array<{ raw: string, key: string, kind: 'epc'|'inventory'|'serial' }>}
+ */
+export function extractIdentifierTokens(query) {
+  const seen = new Set();
+  const out = [];
+  for (const part of String(query || '').split(/[\s,;:#]+/)) {
+    const raw = part.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+    const key = normalizeIdentifier(raw);
+    if (!key || seen.has(key)) continue;
+    const kind = classifyIdentifier(key);
+    if (!kind) continue;
+    seen.add(key);
+    out.push({ raw, key, kind });
+    if (out.length >= MAX_IDENTIFIER_TOKENS) break;
+  }
+  return out;
+}
+
+/**
+ * Claves a buscar en identifierKeys para un token (mismas reglas que assetIdentifierKeys).
+ */
+function identifierKeyVariants({ key }) {
+  return /^\d+$/.test(key) ? [key, stripLeadingZeros(key)] : [key];
+}
+
+/**
+ * Valores crudos a buscar por igualdad en los campos (ASSET_IDENTIFIER_RAW_FALLBACK): tal cual,
+ * normalizado, en mayúsculas/minúsculas y, en números de inventario, sin ceros a la izquierda.
+ */
+function identifierVariants({ raw, key, kind }) {
+  const variants = new Set([raw, raw.toUpperCase(), raw.toLowerCase(), key, key.toLowerCase()]);
+  if (kind === 'inventory') {
+    const trimmed = key.replace(/^0+/, '');
+    if (trimmed) variants.add(trimmed);
+    // Números de inventario guardados como número
+    if (Number.isSafeInteger(Number(key))) variants.add(Number(key));
+  }
+  return [...variants].filter(Boolean);
+}
+
+/**
+ * Busca activos cuyo identificador coincide con algún token de la query, ambos normalizados
+ * ("CN0F2X3Y" encuentra "CN-0F2X3Y" y al revés). Solo consulta assets.identifierKeys (indexado); con
+ * ASSET_IDENTIFIER_RAW_FALLBACK también compara los valores crudos de los campos, para activos sin backfill
+ * (recorre la colección si esos campos no tienen índice).
+ * @param {import('mongodb').Collection} collection
+ * @param {object} opts
+ * @param {string} opts.query
+ * @param {object} opts.filter - mismo filtro que la búsqueda híbrida (ubicación, conciliados, brand/model)
+ * @param {object} opts.projection - campos del resultado
+ * @returns {Promise<object[]>} activos con matchedField / matchedValue
+ */
+export async function findAssetsByIdentifier(collection, { query, filter, projection }) {
+  const tokens = extractIdentifierTokens(query);
+  if (tokens.length === 0) return [];
+
+  const fields = env.ASSET_IDENTIFIER_FIELDS;
+  const keys = new Set(tokens.map((t) => stripLeadingZeros(t.key)));
+  const keyMatch = { identifierKeys: { $in: [...new Set(tokens.flatMap(identifierKeyVariants))] } };
+  let identifierMatch = keyMatch;
+  if (env.ASSET_IDENTIFIER_RAW_FALLBACK) {
+    const values = [...new Set(tokens.flatMap(identifierVariants))];
+    identifierMatch = { $or: [keyMatch, ...fields.map((field) => ({ [field]: { $in: values } }))] };
+  }
+  const docs = await collection
+    .find(
+      filter && Object.keys(filter).length > 0 ? { $and: [filter, identifierMatch] } : identifierMatch,
+      { projection: { ...projection, ...Object.fromEntries(fields.map((f) => [f, 1])) } }
+    )
+    .limit(MAX_IDENTIFIER_HITS)
+    .toArray();
+
+  // Campo que coincidió (comparando claves normalizadas, sin ceros a la izquierda)
+  return docs.map((doc) => {
+    const matchedField = fields.find((f) => doc[f] != null && keys.has(stripLeadingZeros(normalizeIdentifier(doc[f]))));
+    const out = {};
+    for (const key of Object.keys(projection)) if (doc[key] !== undefined) out[key] = doc[key];
+    return { ...out, matchedField: matchedField ?? null, matchedValue: matchedField ? String(doc[matchedField]) : null };
+  });
+}
@@ -0,0 +1,62 @@
+/**
+ * Llamadas a modelos de chat (OpenAI) con salida JSON estricta (response_format json_schema).
+ * Reintenta errores transitorios (utils/retry.js) y registra el consumo como kind "llm" (usage.service.js).
+ */
+
+import { getOpenAI } from '../config/openai.js';
+import { env } from '../config/env.js';
+import { withRetry } from '../utils/retry.js';
+import { recordUsage } from './usage.service.js';
+
+const LLM_PROVIDER = 'openai';
+
+/**
+ * Pide al modelo una respuesta que cumpla `schema` y la devuelve ya parseada.
+ * @param {object} opts
+ * @param {string} opts.model
+ * @param {string} opts.system - instrucciones
+ * @param {string} opts.user - contenido (normalmente JSON)
+ * @param {string} opts.schemaName - nombre del schema ([a-zA-Z0-9_-])
+ * @param {object} opts.schema - JSON Schema (modo estricto: additionalProperties false y todos los campos en required)
+ * @param {number} [opts.maxTokens=1000]
+ * @param {object} [opts.attribution] - buildUsageAttribution()
+ * @returns {Promise<object>}
+ */
+export async function createJsonCompletion({ model, system, user, schemaName, schema, maxTokens = 1000, attribution = null }) {
+  const response = await withRetry(
+    () => getOpenAI().chat.completions.create({
+      model,
+      temperature: 0,
+      max_tokens: maxTokens,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: user },
+      ],
+      response_format: { type: 'json_schema', json_schema: { name: schemaName, strict: true, schema } },
+    }),
+    { maxRetries: env.EMBEDDING_MAX_RETRIES, label: `llm:${schemaName}` }
+  );
+
+  await recordUsage(
+    {
+      kind: 'llm',
+      provider: LLM_PROVIDER,
+      model,
+      calls: 1,
+      texts: 1,
+      promptTokens: response.usage?.prompt_tokens ?? 0,
+      completionTokens: response.usage?.completion_tokens ?? 0,
+      totalTokens: response.usage?.total_tokens ?? 0,
+    },
+    attribution
+  );
+
+  const choice = response.choices?.[0];
+  if (choice?.message?.refusal) throw new Error(`El modelo rechazó la solicitud: ${choice.message.refusal}`);
+  if (choice?.finish_reason === 'length') throw new Error('Respuesta del modelo truncada (max_tokens)');
+  try {
+    return JSON.parse(choice?.message?.content ?? '');
+  } catch {
+    throw new Error('Respuesta del modelo no es JSON válido');
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * Búsqueda local (sin Atlas Search) para despliegues con mongod normal.
+ * Recorre los activos que cumplen el filtro en una sola pasada y calcula:
+ *  - similitud coseno contra el campo vectorial activo (equivalente a $vectorSearch)
+ *  - BM25 sobre name/brand/model/EPC/serial (equivalente a $search)
+ * Devuelve los mismos campos que los pipelines de Atlas (vectorScore / textScore / highlights)
+ * para que la fusión de hybrid-search.service.js no cambie.
+ */
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const TEXT_FIELDS = ['name', 'brand', 'model', 'EPC', 'serial'];
+// Mismos campos que el highlight de $search
+const HIGHLIGHT_FIELDS = ['name', 'brand', 'model'];
+
+const RESULT_PROJECTION = {
+  _id: 1,
+  name: 1,
+  brand: 1,
+  model: 1,
+  EPC: 1,
+  serial: 1,
+  modelKey: 1,
+  locationPath: 1,
+  fileExt: 1,
+  isReconciled: 1,
+};
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return null;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return null;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Inserta en una lista ordenada desc. por `key`, conservando solo los `limit` mejores.
+ */
+function pushTopK(list, item, key, limit) {
+  if (list.length >= limit && item[key] <= list[list.length - 1][key]) return;
+  let i = list.length;
+  while (i > 0 && list[i - 1][key] < item[key]) i--;
+  list.splice(i, 0, item);
+  if (list.length > limit) list.pop();
+}
+
+/**
+ * Highlights con el formato de searchHighlights de Atlas: por campo, los trozos del valor marcados
+ * como "hit" (término de la query) o "text". Solo campos con algún acierto.
+ */
+function buildHighlights(doc, terms) {
+  const highlights = [];
+  for (const path of HIGHLIGHT_FIELDS) {
+    if (doc[path] == null) continue;
+    const texts = [];
+    let hit = false;
+    for (const piece of String(doc[path]).split(/([^\p{L}\p{N}]+)/u)) {
+      if (!piece) continue;
+      const type = terms.has(tokenize(piece)[0]) ? 'hit' : 'text';
+      if (type === 'hit') hit = true;
+      const last = texts[texts.length - 1];
+      if (last && last.type === 'text' && type === 'text') last.value += piece;
+      else texts.push({ value: piece, type });
+    }
+    if (hit) highlights.push({ path, texts });
+  }
+  return highlights;
+}
+
+function pickResultFields(doc) {
+  const out = {};
+  for (const key of Object.keys(RESULT_PROJECTION)) {
+    if (doc[key] !== undefined) out[key] = doc[key];
+  }
+  return out;
+}
+
+/**
+ * Búsqueda local vectorial y/o de texto en una sola pasada sobre la colección.
+ * @param {import('mongodb').Collection} collection
+ * @param {object} opts
+ * @param {object} opts.filter - filtro Mongo (mismo contenido que el $match de Atlas)
+ * @param {number[]} [opts.embedding] - vector de la query (si se pide búsqueda vectorial)
+ * @param {string} [opts.embeddingField='textEmbedding'] - campo del activo con el vector
+ * @param {string} [opts.query] - texto de la query (si se pide búsqueda de texto)
+ * @param {number} opts.limit - máximo de resultados por modalidad
+ * @param {boolean} [opts.vector=true]
+ * @param {boolean} [opts.text=true]
+ * @returns {Promise<{ vectorRes: object[], textRes: object[] }>}
+ */
+export async function localSearchAssets(collection, {
+  filter,
+  embedding,
+  embeddingField = 'textEmbedding',
+  query,
+  limit,
+  vector = true,
+  text = true,
+}) {
+  const queryTerms = text ? [...new Set(tokenize(query))] : [];
+  const doVector = vector && Array.isArray(embedding) && embedding.length > 0;
+  const doText = text && queryTerms.length > 0;
+  if (!doVector && !doText) return { vectorRes: [], textRes: [] };
+
+  const projection = { ...RESULT_PROJECTION };
+  if (doVector) projection[embeddingField] = 1;
+
+  const vectorRes = [];
+  // Para BM25 necesitamos N y df antes de puntuar: guardamos solo docs con algún término de la query
+  const textCandidates = [];
+  const docFreq = new Map(queryTerms.map((t) => [t, 0]));
+  let totalDocs = 0;
+  let totalLength = 0;
+
+  const cursor = collection.find(filter, { projection });
+  for await (const doc of cursor) {
+    if (doVector) {
+      const cos = cosineSimilarity(embedding, doc[embeddingField]);
+      // Misma escala que vectorSearchScore de Atlas con similitud coseno: (1 + cos) / 2
+      if (cos != null) pushTopK(vectorRes, { ...pickResultFields(doc), vectorScore: (1 + cos) / 2 }, 'vectorScore', limit);
+    }
+
+    if (doText) {
+      const tokens = tokenize(TEXT_FIELDS.map((f) => doc[f] || '').join(' '));
+      totalDocs++;
+      totalLength += tokens.length;
+
+      const tf = new Map();
+      for (const token of tokens) {
+        if (docFreq.has(token)) tf.set(token, (tf.get(token) || 0) + 1);
+      }
+      if (tf.size > 0) {
+        for (const term of tf.keys()) docFreq.set(term, docFreq.get(term) + 1);
+        textCandidates.push({ doc: pickResultFields(doc), tf, length: tokens.length });
+      }
+    }
+  }
+
+  const textRes = [];
+  if (doText && textCandidates.length > 0) {
+    const terms = new Set(queryTerms);
+    const avgLength = totalLength / Math.max(1, totalDocs);
+    for (const { doc, tf, length } of textCandidates) {
+      let score = 0;
+      for (const [term, freq] of tf) {
+        const df = docFreq.get(term);
+        const idf = Math.log(1 + (totalDocs - df + 0.5) / (df + 0.5));
+        score += idf * ((freq * (BM25_K1 + 1)) / (freq + BM25_K1 * (1 - BM25_B + BM25_B * (length / avgLength))));
+      }
+      pushTopK(textRes, { ...doc, textScore: score }, 'textScore', limit);
+    }
+    for (const doc of textRes) doc.highlights = buildHighlights(doc, terms);
+  }
+
+  return { vectorRes, textRes };
+}
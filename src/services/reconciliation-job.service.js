@@ -1,8 +1,18 @@
 import { ObjectId } from 'mongodb';
-import { getDb } from '../config/mongo.js';
+import { getDb, runInTransaction } from '../config/mongo.js';
 import { normalizeText } from '../utils/embedding-text.js';
 import { getLocationMatchFromIds } from '../utils/location-filter.js';
+import { httpError } from '../utils/http-error.js';
 import { hybridSearchAssets } from './hybrid-search.service.js';
+import { getTextEmbeddings } from './embedding.service.js';
+import { getActiveEmbeddingConfig } from './embedding-config.service.js';
+import { recordDecision, DECISION_SOURCES } from './decision-history.service.js';
+import { getAbbreviationMap } from './abbreviation.service.js';
+import { buildUsageAttribution, assertWithinUsageBudget } from './usage.service.js';
+import { RERANKERS } from './rerank.service.js';
+import { extractSapAttributes } from './attribute-extraction.service.js';
+import { recordRowFeedback, NO_MATCH_REJECTED_SUGGESTIONS } from './feedback.service.js';
+import { env } from '../config/env.js';
 
 const COLLECTION = 'reconciliation_jobs';
 const SUGGESTIONS_COLLECTION = 'reconciliation_job_suggestions';
@@ -12,17 +22,28 @@ const VECTOR_INDEX = 'assets_text_embedding_index';
 // para no superar el límite de 16 MB. Con 40, si hay 20 ítems iguales (ej. 20 sillas),
 // todos pueden aparecer y la auto-conciliación puede asignar uno por fila.
 const JOB_SUGGESTION_LIMIT = 40;
+// Filas por bloque: sus descripciones se embeben en lote antes de buscar fila por fila
+const JOB_EMBEDDING_CHUNK = 200;
 
 /**
  * Crea un job de conciliación con las filas SAP recibidas.
  * No genera embeddings aún, solo persiste el job en estado "pending".
  * @param {Array} rows - Filas SAP
  * @param {string[]} [locationFilterIds] - IDs de ubicación (ubicación + hijas y subhijas)
+ * @param {object} [actor] - { userId, userName }; con el presupuesto mensual agotado lanza 402 (usage.service.js)
+ * @param {{ reranker?: 'off'|'llm'|'cross-encoder' }} [options] - re-ranker del job (por defecto RERANKER de .env)
  */
-export async function createJob(rows, locationFilterIds = null) {
+export async function createJob(rows, locationFilterIds = null, actor = {}, options = {}) {
   const db = getDb();
   if (!db) throw new Error('MongoDB no conectado');
 
+  const reranker = options.reranker ?? env.RERANKER;
+  if (!RERANKERS.includes(reranker)) {
+    throw httpError(`reranker no válido: "${reranker}". Opciones: ${RERANKERS.join(', ')}`, 400);
+  }
+
+  await assertWithinUsageBudget(actor);
+
   const jobRows = rows.map((r) => ({
     rowNumber: r.rowNumber,
     sapDescription: r.sapDescription || '',
@@ -42,6 +63,9 @@ export async function createJob(rows, locationFilterIds = null) {
     totalRows: jobRows.length,
     processedRows: 0,
     locationFilterIds: idsFilter,
+    reranker,
+    createdBy: actor.userName ?? actor.userId ?? null,
+    createdByUserId: actor.userId ?? null,
     createdAt: new Date(),
     updatedAt: new Date(),
     rows: jobRows,
@@ -76,13 +100,18 @@ async function loadSuggestionsForJob(db, jobId, rowNumbers = null) {
 }
 
 /**
- * Procesa un job: genera embeddings y ejecuta búsqueda híbrida fila por fila (en serie).
+ * Procesa un job: genera embeddings en lote (por bloques de filas) y ejecuta búsqueda híbrida fila por fila (en serie).
+ * Los atributos extraídos de cada descripción SAP se guardan en rows[].attributes.
+ * El consumo de tokens se imputa al job y a `actor` (por defecto, quien creó el job).
+ * @param {string} jobId
+ * @param {object} [actor] - { userId, userName }
  */
-export async function processJob(jobId) {
+export async function processJob(jobId, actor = null) {
   const db = getDb();
   if (!db) throw new Error('MongoDB no conectado');
 
   const collection = db.collection(COLLECTION);
+  const suggestionsColl = db.collection(SUGGESTIONS_COLLECTION);
   const objectId = new ObjectId(jobId);
 
   const job = await collection.findOne({ _id: objectId });
@@ -94,61 +123,111 @@ export async function processJob(jobId) {
     { $set: { status: 'processing', updatedAt: new Date() } }
   );
 
-  let processedRows = 0;
+  const locationMatch =
+    job.locationFilterIds && job.locationFilterIds.length > 0
+      ? await getLocationMatchFromIds(db, job.locationFilterIds)
+      : null;
 
-  for (let i = 0; i < job.rows.length; i++) {
-    const row = job.rows[i];
+  const attribution = buildUsageAttribution(
+    'job',
+    actor || { userId: job.createdByUserId, userName: job.createdBy },
+    objectId
+  );
 
-    try {
-      const normalizedDesc = normalizeText(row.sapDescription);
-      if (!normalizedDesc) continue;
-
-      const locationMatch =
-        job.locationFilterIds && job.locationFilterIds.length > 0
-          ? await getLocationMatchFromIds(db, job.locationFilterIds)
-          : null;
-
-      const suggestions = await hybridSearchAssets({
-        query: normalizedDesc,
-        locationMatch,
-        limit: JOB_SUGGESTION_LIMIT,
-      });
+  // Diccionario de abreviaturas SAP: el mismo para todas las filas del job
+  const abbreviations = await getAbbreviationMap();
+  let processedRows = 0;
 
-      const formattedSuggestions = suggestions.map((s) => ({
-        assetId: s._id,
-        name: s.name || '',
-        brand: s.brand || '',
-        model: s.model || '',
-        EPC: s.EPC || '',
-        locationPath: s.locationPath || '',
-        fileExt: s.fileExt || '',
-        isReconciled: Boolean(s.isReconciled),
-        score: s.score,
-        vectorScore: s.vectorScore ?? null,
-        textScore: s.textScore ?? null,
+  for (let start = 0; start < job.rows.length; start += JOB_EMBEDDING_CHUNK) {
+    const chunk = job.rows
+      .slice(start, start + JOB_EMBEDDING_CHUNK)
+      .map((row, offset) => ({
+        row,
+        index: start + offset,
+        normalizedDesc: normalizeText(row.sapDescription, { abbreviations }),
+      }))
+      .filter((item) => item.normalizedDesc);
+
+    // Un solo llamado (en lotes por tokens, con caché y reintentos) para todas las descripciones del bloque.
+    // La misma configuración para embeber y buscar: si una migración cambia el campo activo, aplica desde el siguiente bloque
+    const embeddingConfig = await getActiveEmbeddingConfig();
+    let embeddings = [];
+    try {
+      ({ embeddings } = await getTextEmbeddings(chunk.map((item) => item.normalizedDesc), {
+        config: embeddingConfig,
+        attribution,
+        inputType: 'query',
       }));
+    } catch (err) {
+      console.error(`[reconciliation-job] Error generando embeddings (filas ${start + 1}-${start + chunk.length}):`, err.message);
+    }
 
-      // Guardamos sugerencias en colección separada para no superar 16 MB del documento del job
-      const suggestionsColl = db.collection(SUGGESTIONS_COLLECTION);
-      await suggestionsColl.replaceOne(
-        { jobId: objectId, rowNumber: row.rowNumber },
-        { jobId: objectId, rowNumber: row.rowNumber, suggestions: formattedSuggestions },
-        { upsert: true }
-      );
-
-      await collection.updateOne(
-        { _id: objectId },
-        {
-          $set: {
-            processedRows: processedRows + 1,
-            updatedAt: new Date(),
-          },
-        }
-      );
-
-      processedRows++;
+    // Atributos de cada descripción (tipo, marca, modelo, capacidad...): filtran y premian la búsqueda
+    let attributes = [];
+    try {
+      attributes = await extractSapAttributes(chunk.map((item) => item.normalizedDesc), { attribution });
     } catch (err) {
-      console.error(`[reconciliation-job] Error procesando fila ${row.rowNumber}:`, err.message);
+      console.error(`[reconciliation-job] Error extrayendo atributos (filas ${start + 1}-${start + chunk.length}):`, err.message);
+    }
+
+    for (let i = 0; i < chunk.length; i++) {
+      const { row, index, normalizedDesc } = chunk[i];
+      const rowAttributes = attributes[i] ?? null;
+
+      try {
+        const suggestions = await hybridSearchAssets({
+          query: normalizedDesc,
+          locationMatch,
+          limit: JOB_SUGGESTION_LIMIT,
+          embedding: embeddings[i] || null,
+          embeddingConfig,
+          attribution,
+          // Jobs anteriores al re-ranker no lo usan
+          reranker: job.reranker ?? 'off',
+          attributes: rowAttributes,
+        });
+
+        const formattedSuggestions = suggestions.map((s) => ({
+          assetId: s._id,
+          name: s.name || '',
+          brand: s.brand || '',
+          model: s.model || '',
+          EPC: s.EPC || '',
+          serial: s.serial || '',
+          locationPath: s.locationPath || '',
+          fileExt: s.fileExt || '',
+          isReconciled: Boolean(s.isReconciled),
+          score: s.score,
+          probability: s.probability ?? null,
+          matchType: s.matchType,
+          modelMatch: s.modelMatch ?? null,
+          explanation: s.explanation ?? null,
+          vectorScore: s.vectorScore ?? null,
+          textScore: s.textScore ?? null,
+        }));
+
+        // Guardamos sugerencias en colección separada para no superar 16 MB del documento del job
+        await suggestionsColl.replaceOne(
+          { jobId: objectId, rowNumber: row.rowNumber },
+          { jobId: objectId, rowNumber: row.rowNumber, suggestions: formattedSuggestions },
+          { upsert: true }
+        );
+
+        await collection.updateOne(
+          { _id: objectId },
+          {
+            $set: {
+              [`rows.${index}.attributes`]: rowAttributes,
+              processedRows: processedRows + 1,
+              updatedAt: new Date(),
+            },
+          }
+        );
+
+        processedRows++;
+      } catch (err) {
+        console.error(`[reconciliation-job] Error procesando fila ${row.rowNumber}:`, err.message);
+      }
     }
   }
 
@@ -177,6 +256,7 @@ export async function getJobResults(jobId, offset = 0, limit = 20) {
         totalRows: 1,
         processedRows: 1,
         locationFilterIds: 1,
+        reranker: 1,
         createdAt: 1,
         updatedAt: 1,
         rows: { $slice: [offset, limit] },
@@ -194,6 +274,7 @@ export async function getJobResults(jobId, offset = 0, limit = 20) {
     rowNumber: r.rowNumber,
     sapDescription: r.sapDescription,
     sapLocation: r.sapLocation,
+    attributes: r.attributes ?? null,
     suggestions: suggestionsMap.get(r.rowNumber) ?? r.suggestions ?? [],
     decision: r.decision,
     selectedAssetId: r.selectedAssetId,
@@ -205,6 +286,7 @@ export async function getJobResults(jobId, offset = 0, limit = 20) {
     totalRows: job.totalRows,
     processedRows: job.processedRows,
     locationFilterIds: job.locationFilterIds ?? null,
+    reranker: job.reranker ?? 'off',
     rows,
   };
 }
@@ -239,6 +321,7 @@ export async function listJobs(fromDate = null, toDate = null) {
         totalRows: 1,
         processedRows: 1,
         locationFilterIds: 1,
+        reranker: 1,
         createdAt: 1,
         updatedAt: 1,
       },
@@ -252,6 +335,7 @@ export async function listJobs(fromDate = null, toDate = null) {
     totalRows: j.totalRows,
     processedRows: j.processedRows,
     locationFilterIds: j.locationFilterIds ?? null,
+    reranker: j.reranker ?? 'off',
     createdAt: j.createdAt,
     updatedAt: j.updatedAt,
   }));
@@ -302,10 +386,13 @@ export async function getJobAllRows(jobId) {
 /**
  * Conciliación automática de un job:
  * - Para cada fila pendiente, toma la mejor sugerencia con score >= minScore
+ *   (o, con minProbability, con probabilidad calibrada >= minProbability; ver calibration.service.js)
  * - No reutiliza el mismo asset en varias filas del mismo job
  * - Respeta filas ya marcadas como match / no_match
+ * @param {object} [actor] - Usuario que dispara la conciliación ({ userId, userName, authType })
+ * @param {{ minProbability?: number }} [options] - sugerencias sin probabilidad (jobs sin modelo) no se concilian
  */
-export async function autoReconcileJob(jobId, minScore = 0.8) {
+export async function autoReconcileJob(jobId, minScore = 0.8, actor = {}, options = {}) {
   const db = getDb();
   if (!db) throw new Error('MongoDB no conectado');
 
@@ -321,6 +408,11 @@ export async function autoReconcileJob(jobId, minScore = 0.8) {
 
   if (!job) throw new Error('Job no encontrado');
 
+  const minProbability = Number.isFinite(options.minProbability) ? options.minProbability : null;
+  // Valor con el que se ordena y se filtra: probabilidad calibrada o score híbrido
+  const valueOf = (s) => (minProbability != null ? Number(s.probability) || 0 : Number(s.score) || 0);
+  const threshold = minProbability ?? minScore;
+
   const suggestionsMap = await loadSuggestionsForJob(db, objectId);
   const rows = (job.rows || []).map((r) => ({
     ...r,
@@ -341,7 +433,7 @@ export async function autoReconcileJob(jobId, minScore = 0.8) {
     .map((row) => {
       const suggestions = Array.isArray(row.suggestions) ? row.suggestions : [];
       const bestScore = suggestions.length
-        ? Math.max(...suggestions.map((s) => Number(s.score) || 0))
+        ? Math.max(...suggestions.map(valueOf))
         : 0;
       return { row, bestScore };
     })
@@ -353,15 +445,13 @@ export async function autoReconcileJob(jobId, minScore = 0.8) {
     const suggestions = Array.isArray(row.suggestions) ? row.suggestions : [];
     if (!suggestions.length) continue;
 
-    const sorted = [...suggestions].sort(
-      (a, b) => (Number(b.score) || 0) - (Number(a.score) || 0)
-    );
+    const sorted = [...suggestions].sort((a, b) => valueOf(b) - valueOf(a));
 
     const candidate = sorted.find((s) => {
       const assetIdStr = s.assetId?.toString?.() ?? String(s.assetId);
-      const scoreNum = Number(s.score) || 0;
       if (!assetIdStr) return false;
-      if (scoreNum < minScore) return false;
+      if (minProbability != null && typeof s.probability !== 'number') return false;
+      if (valueOf(s) < threshold) return false;
       if (assignedIds.has(assetIdStr)) return false;
       if (s.isReconciled) return false;
       return true;
@@ -370,7 +460,19 @@ export async function autoReconcileJob(jobId, minScore = 0.8) {
     if (!candidate) continue;
 
     const assetIdStr = candidate.assetId?.toString?.() ?? String(candidate.assetId);
-    await saveDecision(jobId, row.rowNumber, 'match', assetIdStr);
+    try {
+      await saveDecision(jobId, row.rowNumber, 'match', assetIdStr, {
+        ...actor,
+        source: DECISION_SOURCES.AUTO,
+        minScore: minProbability == null ? minScore : null,
+        minProbability,
+      });
+    } catch (err) {
+      // El activo pudo conciliarse en otro job después de generar las sugerencias
+      if (err.status !== 409) throw err;
+      assignedIds.add(assetIdStr);
+      continue;
+    }
     assignedIds.add(assetIdStr);
     autoMatched++;
   }
@@ -381,73 +483,189 @@ export async function autoReconcileJob(jobId, minScore = 0.8) {
   };
 }
 
+/**
+ * Libera un activo conciliado por una fila concreta (isReconciled: false).
+ * Solo toca el activo si fue esa fila de ese job la que lo concilió.
+ */
+async function releaseAsset(db, assetId, jobObjectId, rowNumber, session) {
+  return db.collection(ASSETS_COLLECTION).updateOne(
+    { _id: assetId, reconciledJobId: jobObjectId, reconciledRowNumber: rowNumber },
+    {
+      $set: { isReconciled: false },
+      $unset: { reconciledAt: '', reconciledJobId: '', reconciledRowNumber: '' },
+    },
+    { session }
+  );
+}
+
 /**
  * Guarda la decisión del usuario sobre una fila del job.
+ * Se ejecuta en una transacción: el nuevo activo se marca como conciliado solo si está libre (antes de escribir
+ * la fila) y, si la fila tenía otro activo seleccionado (o deja de ser match), ese activo se libera.
+ * Cada cambio queda registrado en el historial de decisiones (ver decision-history.service.js) y, si es
+ * manual, en la memoria de feedback (feedback.service.js) que usa la búsqueda híbrida.
+ * @param {object} [context] - { userId, userName, authType, source: 'manual'|'auto', minScore }
  */
-export async function saveDecision(jobId, rowNumber, decision, selectedAssetId) {
+export async function saveDecision(jobId, rowNumber, decision, selectedAssetId, context = {}) {
   const db = getDb();
   if (!db) throw new Error('MongoDB no conectado');
 
   const objectId = new ObjectId(jobId);
   const collection = db.collection(COLLECTION);
+  const assets = db.collection(ASSETS_COLLECTION);
+  const selectedObjectId = selectedAssetId ? new ObjectId(selectedAssetId) : null;
+  const newAssetId = decision === 'match' ? selectedObjectId : null;
 
   const update = {
     'rows.$.decision': decision,
-    'rows.$.selectedAssetId': selectedAssetId ? new ObjectId(selectedAssetId) : null,
+    'rows.$.selectedAssetId': selectedObjectId,
     updatedAt: new Date(),
   };
 
-  // Si el usuario marca "no_match", limpiamos las sugerencias de esa fila en la colección separada.
-  if (decision === 'no_match') {
-    await db.collection(SUGGESTIONS_COLLECTION).replaceOne(
-      { jobId: objectId, rowNumber },
-      { jobId: objectId, rowNumber, suggestions: [] },
-      { upsert: true }
+  return runInTransaction(async (session) => {
+    // Primero se reclama el activo (update condicional: libre o ya de esta fila) y después se escribe la fila.
+    // Sin transacción (mongod standalone) un 409 no deja la fila apuntando a un activo de otra fila
+    if (newAssetId) {
+      const claimed = await assets.updateOne(
+        {
+          _id: newAssetId,
+          $or: [
+            { isReconciled: { $ne: true } },
+            { reconciledJobId: objectId, reconciledRowNumber: rowNumber },
+          ],
+        },
+        {
+          $set: {
+            isReconciled: true,
+            reconciledAt: new Date(),
+            reconciledJobId: objectId,
+            reconciledRowNumber: rowNumber,
+          },
+        },
+        { session }
+      );
+      if (claimed.matchedCount === 0) {
+        const exists = await assets.findOne({ _id: newAssetId }, { projection: { _id: 1 }, session });
+        if (!exists) throw new Error('Activo no encontrado');
+        throw httpError('El activo ya está conciliado en otra fila', 409);
+      }
+    }
+
+    // returnDocument "before" + proyección posicional: obtenemos el valor previo de la fila
+    const before = await collection.findOneAndUpdate(
+      { _id: objectId, 'rows.rowNumber': rowNumber },
+      { $set: update },
+      { returnDocument: 'before', projection: { 'rows.$': 1 }, session }
     );
-  }
 
-  const result = await collection.updateOne(
-    { _id: objectId, 'rows.rowNumber': rowNumber },
-    { $set: update }
-  );
+    if (!before) {
+      // Sin transacción: deshacer la reclamación del activo
+      if (newAssetId) await releaseAsset(db, newAssetId, objectId, rowNumber, session);
+      throw new Error('Job o fila no encontrados');
+    }
 
-  if (result.matchedCount === 0) {
-    throw new Error('Job o fila no encontrados');
-  }
+    const previousRow = before.rows?.[0] || {};
+    const previousAssetId =
+      previousRow.decision === 'match' && previousRow.selectedAssetId ? previousRow.selectedAssetId : null;
 
-  // Si el usuario confirma un match, marcamos el activo como conciliado
-  if (decision === 'match' && selectedAssetId) {
-    await db.collection(ASSETS_COLLECTION).updateOne(
-      { _id: new ObjectId(selectedAssetId) },
-      {
-        $set: {
-          isReconciled: true,
-          reconciledAt: new Date(),
-          reconciledJobId: objectId,
-          reconciledRowNumber: rowNumber,
-        },
+    // Cambio de activo o la fila deja de ser match: liberar el activo anterior
+    if (previousAssetId && !(newAssetId && newAssetId.equals(previousAssetId))) {
+      await releaseAsset(db, previousAssetId, objectId, rowNumber, session);
+    }
+
+    // Pares rechazados para la memoria de feedback: el activo que tenía la fila si cambia
+    // y, con "no_match", las primeras sugerencias que vio el revisor (salvo las ya conciliadas en otra fila:
+    // se descartan por estar ocupadas, no por no coincidir)
+    const rejectedAssetIds = previousAssetId && !(newAssetId && newAssetId.equals(previousAssetId)) ? [previousAssetId] : [];
+    if (decision === 'no_match') {
+      const stored = await db
+        .collection(SUGGESTIONS_COLLECTION)
+        .findOne({ jobId: objectId, rowNumber }, { projection: { suggestions: 1 }, session });
+      const topIds = (stored?.suggestions || [])
+        .slice(0, NO_MATCH_REJECTED_SUGGESTIONS)
+        .map((s) => s.assetId)
+        .filter((id) => id && !rejectedAssetIds.some((r) => r.equals(id)));
+      if (topIds.length > 0) {
+        const free = await assets
+          .find({ _id: { $in: topIds }, isReconciled: { $ne: true } }, { projection: { _id: 1 }, session })
+          .toArray();
+        rejectedAssetIds.push(...free.map((a) => a._id));
       }
+    }
+
+    // Si el usuario marca "no_match", limpiamos las sugerencias de esa fila en la colección separada.
+    if (decision === 'no_match') {
+      await db.collection(SUGGESTIONS_COLLECTION).replaceOne(
+        { jobId: objectId, rowNumber },
+        { jobId: objectId, rowNumber, suggestions: [] },
+        { upsert: true, session }
+      );
+    }
+
+    await recordDecision(
+      {
+        jobId: objectId,
+        rowNumber,
+        decision,
+        selectedAssetId: selectedObjectId,
+        previousDecision: previousRow.decision ?? null,
+        previousSelectedAssetId: previousRow.selectedAssetId ?? null,
+      },
+      context,
+      { session }
+    );
+
+    await recordRowFeedback(
+      {
+        jobId: objectId,
+        rowNumber,
+        decision,
+        sapDescription: previousRow.sapDescription,
+        positiveAssetId: newAssetId,
+        negativeAssetIds: rejectedAssetIds,
+      },
+      context,
+      { session }
     );
-  }
 
-  return { success: true };
+    return { success: true };
+  });
 }
 
 /**
  * Elimina un job de conciliación completo.
+ * @param {string} jobId
+ * @param {{ cascade?: boolean }} [options] - cascade: libera (isReconciled: false) los activos conciliados por el job
+ * @returns {Promise<{ success: true, releasedAssets: number }>}
  */
-export async function deleteJob(jobId) {
+export async function deleteJob(jobId, { cascade = false } = {}) {
   const db = getDb();
   if (!db) throw new Error('MongoDB no conectado');
 
   const objectId = new ObjectId(jobId);
-  const result = await db.collection(COLLECTION).deleteOne({ _id: objectId });
 
-  if (result.deletedCount === 0) {
-    throw new Error('Job no encontrado');
-  }
+  return runInTransaction(async (session) => {
+    const result = await db.collection(COLLECTION).deleteOne({ _id: objectId }, { session });
+
+    if (result.deletedCount === 0) {
+      throw new Error('Job no encontrado');
+    }
+
+    await db.collection(SUGGESTIONS_COLLECTION).deleteMany({ jobId: objectId }, { session });
 
-  await db.collection(SUGGESTIONS_COLLECTION).deleteMany({ jobId: objectId });
+    let releasedAssets = 0;
+    if (cascade) {
+      const released = await db.collection(ASSETS_COLLECTION).updateMany(
+        { reconciledJobId: objectId },
+        {
+          $set: { isReconciled: false },
+          $unset: { reconciledAt: '', reconciledJobId: '', reconciledRowNumber: '' },
+        },
+        { session }
+      );
+      releasedAssets = released.modifiedCount;
+    }
 
-  return { success: true };
+    return { success: true, releasedAssets };
+  });
 }
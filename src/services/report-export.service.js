@@ -19,47 +19,72 @@ function getMatchedSuggestion(row) {
   return found || null;
 }
 
+function formatCapacity(capacity) {
+  return capacity?.value != null ? `${capacity.value} ${capacity.unit || ''}`.trim() : '';
+}
+
 /**
  * Genera la matriz de filas para la hoja Excel del reporte de un job.
+ * Las columnas "(SAP)" son los atributos extraídos de la descripción (vacías en jobs anteriores).
  */
 function buildSheetData(job) {
   const headers = [
     'Fila',
     'Descripción SAP',
     'Ubicación SAP',
+    'Tipo (SAP)',
+    'Marca (SAP)',
+    'Modelo (SAP)',
+    'Capacidad (SAP)',
+    'Dimensiones (SAP)',
+    'Color (SAP)',
     'Estado',
     'Nombre (activo)',
     'Marca',
     'Modelo',
     'EPC',
     'Ubicación (Tagventory)',
+    'Score %',
     'Probabilidad %',
   ];
   const rows = [headers];
 
   for (const row of job.rows || []) {
     const matched = getMatchedSuggestion(row);
+    const attrs = row.attributes || {};
     const state = matched ? 'Match' : NOT_FOUND;
     const nombre = matched ? (matched.name || '') : '';
     const marca = matched ? (matched.brand || '') : '';
     const modelo = matched ? (matched.model || '') : '';
     const epc = matched ? (matched.EPC || '') : '';
     const ubicacionTag = matched ? (matched.locationPath || '') : '';
-    const probPct =
+    const scorePct =
       matched && typeof matched.score === 'number'
         ? Math.round(Math.max(0, Math.min(1, matched.score)) * 100)
         : '';
+    // Probabilidad calibrada (calibration.service.js); vacía si el job se procesó sin modelo entrenado
+    const probPct =
+      matched && typeof matched.probability === 'number'
+        ? Math.round(Math.max(0, Math.min(1, matched.probability)) * 100)
+        : '';
 
     rows.push([
       row.rowNumber,
       row.sapDescription || '',
       row.sapLocation || '',
+      attrs.objectType || '',
+      attrs.brand || '',
+      attrs.model || '',
+      formatCapacity(attrs.capacity),
+      attrs.dimensions || '',
+      attrs.color || '',
       state,
       nombre,
       marca,
       modelo,
       epc,
       ubicacionTag,
+      scorePct,
       probPct,
     ]);
   }
@@ -80,12 +105,19 @@ export function buildJobReportExcel(job) {
     { wch: 6 },
     { wch: 45 },
     { wch: 20 },
+    { wch: 16 },
+    { wch: 14 },
+    { wch: 16 },
+    { wch: 14 },
+    { wch: 16 },
+    { wch: 10 },
     { wch: 10 },
     { wch: 30 },
     { wch: 15 },
     { wch: 20 },
     { wch: 22 },
     { wch: 25 },
+    { wch: 10 },
     { wch: 14 },
   ];
   ws['!cols'] = colWidths;
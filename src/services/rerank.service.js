@@ -0,0 +1,226 @@
+/**
+ * Re-ranking opcional (segunda etapa) de los mejores candidatos de la búsqueda híbrida.
+ * Envía la descripción SAP y los RERANK_TOP_N primeros candidatos (name/brand/model/locationPath) a:
+ *  - llm: un modelo de chat con salida JSON estricta (relevancia 0..1 por candidato)
+ *  - cross-encoder: un cross-encoder local con transformers.js (sigmoide del logit)
+ * La relevancia se mezcla con el score híbrido (RERANK_WEIGHT) y se reordena la lista.
+ * Las relevancias se guardan en rerank_cache por (re-ranker, modelo, query, candidatos).
+ */
+
+import crypto from 'crypto';
+import { getDb } from '../config/mongo.js';
+import { env } from '../config/env.js';
+import { createJsonCompletion } from './llm.service.js';
+import { loadTransformers } from './embedding-providers/transformers.provider.js';
+import { normalizeCacheText } from './embedding-cache.service.js';
+
+const CACHE_COLLECTION = 'rerank_cache';
+
+export const RERANKERS = ['off', 'llm', 'cross-encoder'];
+
+const LLM_SYSTEM_PROMPT = [
+  'Eres un asistente de conciliación de inventario de activos fijos.',
+  'Recibes una descripción de SAP y una lista de activos candidatos (nombre, marca, modelo, ubicación).',
+  'Para cada candidato devuelve "relevance" entre 0 y 1: qué tan probable es que sea el mismo tipo de activo',
+  'descrito en SAP. Prioriza el tipo de objeto y sus calificativos ("silla secretarial" no es "silla de visita"),',
+  'luego marca y modelo. Devuelve todos los candidatos, usando sus "id".',
+].join(' ');
+
+const LLM_SCHEMA = {
+  type: 'object',
+  properties: {
+    ranking: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          relevance: { type: 'number' },
+        },
+        required: ['id', 'relevance'],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ['ranking'],
+  additionalProperties: false,
+};
+
+let crossEncoderPromise = null;
+
+function candidateText(doc) {
+  return [doc.name, doc.brand, doc.model, doc.locationPath]
+    .map((v) => String(v ?? '').trim())
+    .filter(Boolean)
+    .join(' | ');
+}
+
+function clamp01(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.max(0, Math.min(1, n)) : null;
+}
+
+function getRerankerModel(reranker) {
+  return reranker === 'llm' ? env.RERANK_LLM_MODEL : env.RERANK_CROSS_ENCODER_MODEL;
+}
+
+/**
+ * Clave de caché: re-ranker + modelo + query + candidatos (id y texto, en orden de id).
+ * Si cambia el texto de un activo o el conjunto de candidatos, la entrada deja de aplicar.
+ */
+function buildRerankCacheKey(reranker, model, query, candidates) {
+  const items = candidates
+    .map((c) => `${c.id}:${c.text}`)
+    .sort()
+    .join('\n');
+  return crypto
+    .createHash('sha256')
+    .update(`${reranker}|${model}|${normalizeCacheText(query)}|${items}`)
+    .digest('hex');
+}
+
+function getCacheCollection() {
+  if (!env.RERANK_CACHE_ENABLED) return null;
+  const db = getDb();
+  return db ? db.collection(CACHE_COLLECTION) : null;
+}
+
+async function scoreWithLlm(query, candidates, model, attribution) {
+  const result = await createJsonCompletion({
+    model,
+    system: LLM_SYSTEM_PROMPT,
+    user: JSON.stringify({
+      descripcionSap: query,
+      candidatos: candidates.map((c, i) => ({ id: String(i + 1), activo: c.text })),
+    }),
+    schemaName: 'asset_rerank',
+    schema: LLM_SCHEMA,
+    maxTokens: 40 + candidates.length * 20,
+    attribution,
+  });
+
+  const scores = {};
+  for (const item of result.ranking || []) {
+    const candidate = candidates[Number(item.id) - 1];
+    const relevance = clamp01(item.relevance);
+    if (candidate && relevance != null) scores[candidate.id] = relevance;
+  }
+  return scores;
+}
+
+function getCrossEncoder(model) {
+  if (!crossEncoderPromise) {
+    crossEncoderPromise = loadTransformers()
+      .then(async ({ AutoTokenizer, AutoModelForSequenceClassification }) => ({
+        tokenizer: await AutoTokenizer.from_pretrained(model),
+        model: await AutoModelForSequenceClassification.from_pretrained(model),
+      }))
+      .catch((err) => {
+        crossEncoderPromise = null;
+        throw err;
+      });
+  }
+  return crossEncoderPromise;
+}
+
+async function scoreWithCrossEncoder(query, candidates, modelName) {
+  const { tokenizer, model } = await getCrossEncoder(modelName);
+  const inputs = tokenizer(candidates.map(() => query), {
+    text_pair: candidates.map((c) => c.text),
+    padding: true,
+    truncation: true,
+  });
+  const { logits } = await model(inputs);
+  const scores = {};
+  logits.tolist().forEach(([logit], i) => {
+    scores[candidates[i].id] = 1 / (1 + Math.exp(-logit));
+  });
+  return scores;
+}
+
+/**
+ * Relevancia por candidato (id -> 0..1), desde caché o calculada con el re-ranker.
+ * @returns {Promise<{ scores: object, cached: boolean, model: string }>}
+ */
+async function getRelevanceScores(reranker, query, candidates, attribution) {
+  const model = getRerankerModel(reranker);
+  const collection = getCacheCollection();
+  const key = buildRerankCacheKey(reranker, model, query, candidates);
+
+  if (collection) {
+    const hit = await collection.findOne({ _id: key }, { projection: { scores: 1 } }).catch(() => null);
+    if (hit) {
+      collection.updateOne({ _id: key }, { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } }).catch(() => {});
+      return { scores: hit.scores, cached: true, model };
+    }
+  }
+
+  const scores = reranker === 'llm'
+    ? await scoreWithLlm(query, candidates, model, attribution)
+    : await scoreWithCrossEncoder(query, candidates, model);
+
+  if (collection) {
+    await collection
+      .updateOne(
+        { _id: key },
+        { $setOnInsert: { reranker, model, query: normalizeCacheText(query), scores, hits: 0, createdAt: new Date() } },
+        { upsert: true }
+      )
+      .catch((err) => console.warn('[rerank] Escritura en caché falló:', err.message));
+  }
+  return { scores, cached: false, model };
+}
+
+/**
+ * Re-ordena los primeros `topN` resultados con el re-ranker y mezcla su relevancia en `score`:
+ * score = (1 - weight) * score híbrido + weight * relevancia. Añade `explanation.rerank` a los candidatos
+ * evaluados. Si el re-ranker falla, devuelve los resultados sin cambios (la búsqueda no se corta).
+ * @param {object[]} results - ordenados por score (hybridSearchAssets)
+ * @param {object} opts
+ * @param {string} opts.query - descripción SAP / texto de la búsqueda
+ * @param {'off'|'llm'|'cross-encoder'} opts.reranker
+ * @param {number} [opts.topN=env.RERANK_TOP_N]
+ * @param {number} [opts.weight=env.RERANK_WEIGHT]
+ * @param {object} [opts.attribution] - consumo del LLM (usage.service.js)
+ * @returns {Promise<object[]>}
+ */
+export async function rerankResults(results, { query, reranker, topN = env.RERANK_TOP_N, weight = env.RERANK_WEIGHT, attribution = null }) {
+  if (!reranker || reranker === 'off' || results.length < 2) return results;
+
+  const head = results.slice(0, topN);
+  const candidates = head.map((doc) => ({ id: doc._id.toString(), text: candidateText(doc) }));
+
+  let relevance;
+  try {
+    relevance = await getRelevanceScores(reranker, query, candidates, attribution);
+  } catch (err) {
+    console.warn(`[rerank] ${reranker} falló; se usa el orden híbrido: ${err.message}`);
+    return results;
+  }
+
+  const reranked = head.map((doc, i) => {
+    const value = clamp01(relevance.scores[candidates[i].id]);
+    // Candidato sin relevancia (el LLM lo omitió): conserva su score
+    if (value == null) return doc;
+    return {
+      ...doc,
+      score: (1 - weight) * doc.score + weight * value,
+      explanation: {
+        ...doc.explanation,
+        rerank: {
+          reranker,
+          model: relevance.model,
+          relevance: Math.round(value * 10000) / 10000,
+          weight,
+          hybridScore: doc.score,
+          originalRank: i + 1,
+          cached: relevance.cached,
+        },
+      },
+    };
+  });
+
+  // Re-ordena toda la lista: un candidato que el re-ranker considera irrelevante puede bajar del top N
+  return [...reranked, ...results.slice(topN)]
+    .sort((a, b) => (b.score || 0) - (a.score || 0) || String(a._id).localeCompare(String(b._id)));
+}
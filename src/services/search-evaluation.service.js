@@ -0,0 +1,311 @@
+/**
+ * Evaluación offline de la calidad de la búsqueda híbrida (scripts/evaluate-search.js).
+ * El conjunto etiquetado sale de las filas decididas como "match" en jobs completados (descripción SAP ->
+ * activo elegido por el revisor). Cada descripción se vuelve a buscar con hybridSearchAssets bajo una o varias
+ * configuraciones de fusión (opción `tuning`: vectorWeight, textWeight, rrfK, fetchMultiplier) y se mide
+ * dónde queda el activo elegido: recall@1/5/10, MRR y precisión de la auto-conciliación por umbral.
+ * Los embeddings de las descripciones se calculan una sola vez (con caché) y se reutilizan entre configuraciones.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb } from '../config/mongo.js';
+import { env } from '../config/env.js';
+import { normalizeText } from '../utils/embedding-text.js';
+import { getLocationMatchFromIds } from '../utils/location-filter.js';
+import { httpError } from '../utils/http-error.js';
+import { hybridSearchAssets, SEARCH_TUNING_DEFAULTS } from './hybrid-search.service.js';
+import { getTextEmbeddings } from './embedding.service.js';
+import { getActiveEmbeddingConfig } from './embedding-config.service.js';
+import { getAbbreviationMap } from './abbreviation.service.js';
+import { getActiveCalibration, AUTO_RECONCILE_THRESHOLDS } from './calibration.service.js';
+import { DECISION_SOURCES } from './decision-history.service.js';
+import { RERANKERS } from './rerank.service.js';
+import { buildUsageAttribution } from './usage.service.js';
+
+const JOBS_COLLECTION = 'reconciliation_jobs';
+const HISTORY_COLLECTION = 'reconciliation_decision_history';
+// Resultados por búsqueda: los mismos que guarda un job (JOB_SUGGESTION_LIMIT), para reproducir su fusión
+const EVALUATION_SEARCH_LIMIT = 40;
+// Posiciones para recall@k
+const RECALL_AT = [1, 5, 10];
+// Descripciones embebidas por llamada (como JOB_EMBEDDING_CHUNK en los jobs)
+const EMBEDDING_CHUNK = 200;
+
+export const DEFAULT_CONFIGURATION_NAME = 'default';
+
+function round4(value) {
+  return Math.round((Number(value) || 0) * 10000) / 10000;
+}
+
+/**
+ * Valida una configuración `{ name, vectorWeight?, textWeight?, rrfK?, fetchMultiplier? }` y la completa
+ * con SEARCH_TUNING_DEFAULTS.
+ * @returns {{ name: string, tuning: object }}
+ */
+export function normalizeConfiguration(input = {}) {
+  const { name, ...overrides } = input;
+  if (!name || typeof name !== 'string') throw httpError('Cada configuración necesita "name"', 400);
+
+  const unknown = Object.keys(overrides).filter((key) => !(key in SEARCH_TUNING_DEFAULTS));
+  if (unknown.length > 0) {
+    throw httpError(
+      `Configuración "${name}": parámetro no válido "${unknown[0]}". Opciones: ${Object.keys(SEARCH_TUNING_DEFAULTS).join(', ')}`,
+      400
+    );
+  }
+
+  const tuning = { ...SEARCH_TUNING_DEFAULTS };
+  for (const [key, raw] of Object.entries(overrides)) {
+    const value = Number(raw);
+    const valid =
+      key === 'fetchMultiplier'
+        ? Number.isInteger(value) && value >= 1
+        : key === 'rrfK'
+          ? Number.isFinite(value) && value > 0
+          : Number.isFinite(value) && value >= 0 && value <= 1;
+    if (!valid) throw httpError(`Configuración "${name}": valor no válido para ${key}: "${raw}"`, 400);
+    tuning[key] = value;
+  }
+  return { name, tuning };
+}
+
+/**
+ * Filas etiquetadas: decision "match" con activo elegido en jobs completados, de los más recientes a los más
+ * antiguos. Por defecto solo las decididas por un revisor (la última fuente en el historial es manual):
+ * las auto-conciliadas repiten lo que la búsqueda ya ponía primero.
+ */
+async function buildLabeledSet(db, { jobIds = null, maxRows = null, includeAuto = false }) {
+  const filter = { status: 'completed' };
+  if (jobIds?.length) {
+    filter._id = {
+      $in: jobIds.map((id) => {
+        if (!ObjectId.isValid(String(id))) throw httpError(`"${id}" no es un id de job válido`, 400);
+        return new ObjectId(String(id));
+      }),
+    };
+  }
+
+  const jobs = await db
+    .collection(JOBS_COLLECTION)
+    .find(filter, {
+      projection: {
+        _id: 1,
+        locationFilterIds: 1,
+        'rows.rowNumber': 1,
+        'rows.sapDescription': 1,
+        'rows.decision': 1,
+        'rows.selectedAssetId': 1,
+        'rows.attributes': 1,
+      },
+    })
+    .sort({ createdAt: -1, _id: 1 })
+    .toArray();
+
+  const abbreviations = await getAbbreviationMap();
+  const items = [];
+  let usedJobs = 0;
+  for (const job of jobs) {
+    if (maxRows && items.length >= maxRows) break;
+    const matchRows = (job.rows || []).filter((r) => r.decision === 'match' && r.selectedAssetId);
+    if (matchRows.length === 0) continue;
+
+    let lastSource = new Map();
+    if (!includeAuto) {
+      const history = await db
+        .collection(HISTORY_COLLECTION)
+        .find({ jobId: job._id }, { projection: { rowNumber: 1, source: 1 } })
+        .sort({ createdAt: 1, _id: 1 })
+        .toArray();
+      lastSource = new Map(history.map((h) => [h.rowNumber, h.source]));
+    }
+
+    let locationMatch;
+    let jobUsed = false;
+    for (const row of matchRows) {
+      if (maxRows && items.length >= maxRows) break;
+      if (!includeAuto && (lastSource.get(row.rowNumber) ?? DECISION_SOURCES.MANUAL) !== DECISION_SOURCES.MANUAL) continue;
+      const query = normalizeText(row.sapDescription, { abbreviations });
+      if (!query) continue;
+
+      // El mismo filtro de ubicación con el que se procesó el job
+      if (locationMatch === undefined) {
+        locationMatch = job.locationFilterIds?.length ? await getLocationMatchFromIds(db, job.locationFilterIds) : null;
+      }
+      items.push({
+        jobId: job._id,
+        rowNumber: row.rowNumber,
+        sapDescription: row.sapDescription,
+        query,
+        expectedAssetId: row.selectedAssetId.toString(),
+        locationMatch,
+        attributes: row.attributes ?? null,
+      });
+      jobUsed = true;
+    }
+    if (jobUsed) usedJobs++;
+  }
+  return { items, jobs: usedJobs };
+}
+
+/**
+ * Auto-conciliación simulada con el mejor candidato de cada fila: para cada umbral, filas que se
+ * conciliarían (coverage) y cuántas con el activo elegido por el revisor (precision).
+ */
+function autoReconcileTable(outcomes, key) {
+  return AUTO_RECONCILE_THRESHOLDS.map((threshold) => {
+    const selected = outcomes.filter((o) => o[key] != null && o[key] >= threshold);
+    const correct = selected.filter((o) => o.rank === 1).length;
+    return {
+      threshold,
+      rows: selected.length,
+      coverage: outcomes.length ? round4(selected.length / outcomes.length) : 0,
+      precision: selected.length ? round4(correct / selected.length) : null,
+    };
+  });
+}
+
+function summarize(outcomes, { withProbability }) {
+  const total = outcomes.length;
+  const share = (count) => (total ? round4(count / total) : 0);
+  const recall = {};
+  for (const k of RECALL_AT) {
+    recall[`@${k}`] = share(outcomes.filter((o) => o.rank != null && o.rank <= k).length);
+  }
+  return {
+    rows: total,
+    recall,
+    // Rango recíproco medio; 0 si el activo elegido no está entre los EVALUATION_SEARCH_LIMIT resultados
+    mrr: share(outcomes.reduce((sum, o) => sum + (o.rank ? 1 / o.rank : 0), 0)),
+    found: share(outcomes.filter((o) => o.rank != null).length),
+    autoReconcile: {
+      byScore: autoReconcileTable(outcomes, 'topScore'),
+      byProbability: withProbability ? autoReconcileTable(outcomes, 'topProbability') : null,
+    },
+  };
+}
+
+/**
+ * Repite la búsqueda de cada fila etiquetada con cada configuración y calcula sus métricas.
+ * Condiciones de la repetición: incluye activos ya conciliados (el elegido lo está), sin memoria de feedback
+ * (guarda estas mismas decisiones), con los atributos guardados en la fila (sin llamar al LLM) y, por
+ * defecto, sin re-ranker.
+ * @param {object} [opts]
+ * @param {object[]} [opts.configurations] - [{ name, vectorWeight?, textWeight?, rrfK?, fetchMultiplier? }];
+ *   por defecto solo la configuración actual ("default")
+ * @param {string[]} [opts.jobIds] - limitar a estos jobs
+ * @param {number} [opts.maxRows] - máximo de filas etiquetadas (de los jobs más recientes)
+ * @param {boolean} [opts.includeAuto=false] - incluir filas auto-conciliadas
+ * @param {'off'|'llm'|'cross-encoder'} [opts.reranker='off']
+ * @param {boolean} [opts.details=false] - incluir el resultado por fila en cada configuración
+ * @param {(progress: { configuration: string, done: number, total: number }) => void} [opts.onProgress]
+ * @returns {Promise<object>} informe (se guarda tal cual como JSON)
+ */
+export async function evaluateSearch({
+  configurations = [{ name: DEFAULT_CONFIGURATION_NAME }],
+  jobIds = null,
+  maxRows = null,
+  includeAuto = false,
+  reranker = 'off',
+  details = false,
+  onProgress = null,
+} = {}) {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+  if (!RERANKERS.includes(reranker)) {
+    throw httpError(`reranker no válido: "${reranker}". Opciones: ${RERANKERS.join(', ')}`, 400);
+  }
+  const configs = configurations.map(normalizeConfiguration);
+  const names = new Set();
+  for (const { name } of configs) {
+    if (names.has(name)) throw httpError(`Configuración repetida: "${name}"`, 400);
+    names.add(name);
+  }
+  const rowLimit = maxRows != null ? Math.max(1, Number(maxRows) || 1) : null;
+
+  const startedAt = new Date();
+  const runId = `evaluate-search@${startedAt.toISOString()}`;
+  const attribution = buildUsageAttribution('evaluation', {}, runId);
+
+  const { items, jobs } = await buildLabeledSet(db, { jobIds, maxRows: rowLimit, includeAuto });
+  if (items.length === 0) {
+    throw httpError('No hay filas decididas como match en jobs completados para evaluar', 409);
+  }
+
+  // Embeddings una sola vez: no dependen de la configuración de fusión
+  const embeddingConfig = await getActiveEmbeddingConfig();
+  const embeddings = [];
+  for (let start = 0; start < items.length; start += EMBEDDING_CHUNK) {
+    const chunk = items.slice(start, start + EMBEDDING_CHUNK);
+    const result = await getTextEmbeddings(chunk.map((item) => item.query), {
+      config: embeddingConfig,
+      attribution,
+      inputType: 'query',
+    });
+    embeddings.push(...result.embeddings);
+  }
+
+  const calibration = await getActiveCalibration().catch(() => null);
+  const results = [];
+  for (const { name, tuning } of configs) {
+    const configStart = Date.now();
+    const outcomes = [];
+    let errors = 0;
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i];
+      try {
+        const suggestions = await hybridSearchAssets({
+          query: item.query,
+          locationMatch: item.locationMatch,
+          limit: EVALUATION_SEARCH_LIMIT,
+          embedding: embeddings[i],
+          embeddingConfig,
+          attribution,
+          includeReconciled: true,
+          reranker,
+          attributes: item.attributes,
+          feedback: false,
+          tuning,
+        });
+        const index = suggestions.findIndex((s) => s._id.toString() === item.expectedAssetId);
+        outcomes.push({
+          jobId: item.jobId,
+          rowNumber: item.rowNumber,
+          expectedAssetId: item.expectedAssetId,
+          rank: index === -1 ? null : index + 1,
+          topAssetId: suggestions[0]?._id ?? null,
+          topScore: suggestions[0]?.score ?? null,
+          topProbability: suggestions[0]?.probability ?? null,
+        });
+      } catch (err) {
+        errors++;
+        console.error(`[search-evaluation] ${name}: error en job ${item.jobId} fila ${item.rowNumber}:`, err.message);
+      }
+      onProgress?.({ configuration: name, done: i + 1, total: items.length });
+    }
+
+    results.push({
+      name,
+      tuning,
+      metrics: summarize(outcomes, { withProbability: Boolean(calibration) }),
+      errors,
+      durationMs: Date.now() - configStart,
+      ...(details ? { rows: outcomes } : {}),
+    });
+  }
+
+  return {
+    runId,
+    startedAt,
+    finishedAt: new Date(),
+    options: { jobIds: jobIds?.length ? jobIds.map(String) : null, maxRows: rowLimit, includeAuto, reranker },
+    environment: {
+      searchEngine: env.SEARCH_ENGINE,
+      embedding: { provider: embeddingConfig.provider, model: embeddingConfig.model, field: embeddingConfig.field },
+      calibrationModelId: calibration?._id ?? null,
+      searchLimit: EVALUATION_SEARCH_LIMIT,
+      thresholds: AUTO_RECONCILE_THRESHOLDS,
+    },
+    dataset: { jobs, rows: items.length },
+    configurations: results,
+  };
+}
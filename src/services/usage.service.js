@@ -0,0 +1,292 @@
+/**
+ * Consumo de tokens de embeddings y LLM (colección ai_usage) y costo estimado (config/ai-prices.js).
+ * Cada llamada al proveedor se atribuye a quien la originó: job de conciliación, ejecución de script,
+ * migración o usuario. Se acumula por día en un documento por combinación de origen + proveedor + modelo.
+ */
+
+import { getDb } from '../config/mongo.js';
+import { env } from '../config/env.js';
+import { getModelPrice } from '../config/ai-prices.js';
+import { httpError } from '../utils/http-error.js';
+
+const USAGE_COLLECTION = 'ai_usage';
+const TOKENS_PER_PRICE_UNIT = 1_000_000;
+
+export const USAGE_GROUP_BY = ['job', 'user', 'day', 'source', 'model'];
+
+const COUNTERS = ['calls', 'texts', 'cachedTexts', 'promptTokens', 'completionTokens', 'totalTokens', 'estimatedTokens'];
+
+let indexesEnsured = false;
+
+function startOfUtcDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function startOfUtcMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+async function ensureIndexes(collection) {
+  if (indexesEnsured) return;
+  indexesEnsured = true;
+  await collection.createIndex({ date: 1, userId: 1 }).catch(() => {});
+  await collection.createIndex({ jobId: 1 }, { sparse: true }).catch(() => {});
+}
+
+/**
+ * Atribución de consumo: quién origina las llamadas al proveedor.
+ * @param {string} source - job | suggestions | search | embedding | backfill-sample | backfill-all | backfill-by-location | migration | watcher | evaluation
+ * @param {object} [actor] - { userId, userName } (getRequestActor)
+ * @param {string|null} [jobId] - id del job de conciliación, de la migración o de la ejecución del script
+ */
+export function buildUsageAttribution(source, actor = {}, jobId = null) {
+  return {
+    source,
+    jobId: jobId != null ? String(jobId) : null,
+    userId: actor?.userId != null ? String(actor.userId) : null,
+    userName: actor?.userName ?? null,
+  };
+}
+
+/**
+ * Suma el consumo de una llamada al acumulado del día. Nunca lanza: un fallo de contabilidad
+ * no debe cortar la conciliación ni el backfill.
+ * @param {object} usage
+ * @param {'embedding'|'llm'} usage.kind
+ * @param {string} usage.provider
+ * @param {string} usage.model
+ * @param {number} [usage.texts] - textos pedidos (incluidos los servidos desde caché)
+ * @param {number} [usage.cachedTexts]
+ * @param {number} [usage.calls] - solicitudes al proveedor
+ * @param {number} [usage.promptTokens]
+ * @param {number} [usage.completionTokens]
+ * @param {number} [usage.totalTokens]
+ * @param {number} [usage.estimatedTokens] - parte de los tokens estimada porque el proveedor no devolvió usage
+ * @param {object} [attribution] - buildUsageAttribution(); sin atribución cuenta como "unattributed"
+ */
+export async function recordUsage(usage, attribution = null) {
+  const db = getDb();
+  if (!db) return;
+
+  const now = new Date();
+  const who = attribution || buildUsageAttribution('unattributed');
+  const promptTokens = usage.promptTokens ?? 0;
+  const completionTokens = usage.completionTokens ?? 0;
+  const totalTokens = usage.totalTokens ?? promptTokens + completionTokens;
+
+  try {
+    const collection = db.collection(USAGE_COLLECTION);
+    await ensureIndexes(collection);
+    await collection.updateOne(
+      {
+        date: startOfUtcDay(now),
+        kind: usage.kind,
+        provider: usage.provider,
+        model: usage.model,
+        source: who.source,
+        jobId: who.jobId,
+        userId: who.userId,
+      },
+      {
+        $inc: {
+          calls: usage.calls ?? 0,
+          texts: usage.texts ?? 0,
+          cachedTexts: usage.cachedTexts ?? 0,
+          promptTokens,
+          completionTokens,
+          totalTokens,
+          estimatedTokens: usage.estimatedTokens ?? 0,
+        },
+        $set: { userName: who.userName, lastAt: now },
+        $setOnInsert: { firstAt: now },
+      },
+      { upsert: true }
+    );
+  } catch (err) {
+    console.error('[usage] No se pudo registrar el consumo:', err.message);
+  }
+}
+
+/**
+ * Costo estimado en USD de unos tokens, o null si el modelo no tiene precio.
+ */
+function estimateCost({ provider, model, promptTokens, completionTokens }) {
+  const price = getModelPrice(provider, model);
+  if (!price) return null;
+  return (promptTokens * price.input + completionTokens * price.output) / TOKENS_PER_PRICE_UNIT;
+}
+
+function emptyTotals() {
+  return { ...Object.fromEntries(COUNTERS.map((c) => [c, 0])), cost: 0 };
+}
+
+function addTotals(target, row, cost) {
+  for (const c of COUNTERS) target[c] += row[c] ?? 0;
+  if (cost != null) target.cost += cost;
+}
+
+function roundCost(totals) {
+  return { ...totals, cost: Math.round(totals.cost * 1e6) / 1e6 };
+}
+
+function groupKeyOf(groupBy, row) {
+  switch (groupBy) {
+    case 'job':
+      return { source: row.source, jobId: row.jobId ?? null };
+    case 'user':
+      return { userId: row.userId ?? null };
+    case 'day':
+      return { day: row.date.toISOString().slice(0, 10) };
+    case 'source':
+      return { source: row.source };
+    default:
+      return { provider: row.provider, model: row.model };
+  }
+}
+
+/**
+ * Agrupa el consumo del rango por la clave pedida, con el costo por modelo ya calculado.
+ */
+async function aggregateUsage(match, groupFields) {
+  const db = getDb();
+  if (!db) throw new Error('MongoDB no conectado');
+
+  const _id = { provider: '$provider', model: '$model' };
+  for (const f of groupFields) _id[f] = `$${f}`;
+
+  const rows = await db.collection(USAGE_COLLECTION).aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id,
+        ...Object.fromEntries(COUNTERS.map((c) => [c, { $sum: `$${c}` }])),
+        userName: { $last: '$userName' },
+      },
+    },
+  ]).toArray();
+
+  return rows.map((r) => {
+    const row = { ...r._id, ...r, userName: r.userName ?? null };
+    delete row._id;
+    return { row, cost: estimateCost(row) };
+  });
+}
+
+/**
+ * Informe de consumo entre `from` y `to` (días completos, UTC) agrupado por job, usuario, día, origen o modelo.
+ * @param {object} options
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {'job'|'user'|'day'|'source'|'model'} [options.groupBy='day']
+ */
+export async function getUsageReport({ from, to, groupBy = 'day' }) {
+  if (!USAGE_GROUP_BY.includes(groupBy)) {
+    throw httpError(`groupBy no válido: "${groupBy}". Opciones: ${USAGE_GROUP_BY.join(', ')}`, 400);
+  }
+  if (from > to) throw httpError('"from" debe ser anterior o igual a "to"', 400);
+
+  const groupFields = {
+    job: ['source', 'jobId'],
+    user: ['userId'],
+    day: ['date'],
+    source: ['source'],
+    model: [],
+  }[groupBy];
+  const rows = await aggregateUsage({ date: { $gte: startOfUtcDay(from), $lte: startOfUtcDay(to) } }, groupFields);
+
+  const totals = emptyTotals();
+  const groups = new Map();
+  const unpriced = new Set();
+  for (const { row, cost } of rows) {
+    if (cost == null) unpriced.add(`${row.provider}:${row.model}`);
+    addTotals(totals, row, cost);
+
+    const key = groupKeyOf(groupBy, row);
+    const id = JSON.stringify(key);
+    if (!groups.has(id)) {
+      const label = groupBy === 'user' ? { userName: row.userName } : {};
+      groups.set(id, { ...key, ...label, ...emptyTotals(), models: [] });
+    }
+    const group = groups.get(id);
+    addTotals(group, row, cost);
+    if (groupBy !== 'model') group.models.push(`${row.provider}:${row.model}`);
+  }
+
+  const sorted = [...groups.values()]
+    .map((g) => {
+      const out = roundCost(g);
+      if (groupBy === 'model') delete out.models;
+      else out.models = [...new Set(g.models)];
+      return out;
+    })
+    .sort((a, b) => (groupBy === 'day' ? a.day.localeCompare(b.day) : b.cost - a.cost || b.totalTokens - a.totalTokens));
+
+  return {
+    from: startOfUtcDay(from).toISOString().slice(0, 10),
+    to: startOfUtcDay(to).toISOString().slice(0, 10),
+    groupBy,
+    currency: 'USD',
+    totals: roundCost(totals),
+    groups: sorted,
+    // Modelos sin precio en la tabla: sus tokens cuentan pero no su costo
+    unpricedModels: [...unpriced],
+  };
+}
+
+/**
+ * Gasto estimado del mes en curso (total y, si se pide, de un usuario) frente a los presupuestos de .env.
+ * @param {object} [actor] - { userId }
+ */
+export async function getMonthlyBudgetStatus(actor = {}) {
+  const monthStart = startOfUtcMonth(new Date());
+  const rows = await aggregateUsage({ date: { $gte: monthStart } }, ['userId']);
+  const userId = actor?.userId != null ? String(actor.userId) : null;
+
+  let spent = 0;
+  let userSpent = 0;
+  for (const { row, cost } of rows) {
+    spent += cost ?? 0;
+    if (userId && row.userId === userId) userSpent += cost ?? 0;
+  }
+
+  const round = (n) => Math.round(n * 1e6) / 1e6;
+  return {
+    month: monthStart.toISOString().slice(0, 7),
+    spent: round(spent),
+    limit: env.AI_MONTHLY_BUDGET_USD || null,
+    exceeded: env.AI_MONTHLY_BUDGET_USD > 0 && spent >= env.AI_MONTHLY_BUDGET_USD,
+    user: userId
+      ? {
+        userId,
+        spent: round(userSpent),
+        limit: env.AI_MONTHLY_USER_BUDGET_USD || null,
+        exceeded: env.AI_MONTHLY_USER_BUDGET_USD > 0 && userSpent >= env.AI_MONTHLY_USER_BUDGET_USD,
+      }
+      : null,
+  };
+}
+
+/**
+ * Lanza 402 (code BUDGET_EXCEEDED) si el presupuesto mensual total o el del usuario está agotado.
+ * Sin presupuestos configurados no consulta nada.
+ * @param {object} [actor] - { userId }
+ */
+export async function assertWithinUsageBudget(actor = {}) {
+  if (!env.AI_MONTHLY_BUDGET_USD && !env.AI_MONTHLY_USER_BUDGET_USD) return;
+
+  const budget = await getMonthlyBudgetStatus(actor);
+  if (budget.exceeded) {
+    throw httpError(
+      `Presupuesto mensual de IA agotado (${budget.spent.toFixed(2)} de ${budget.limit} USD en ${budget.month})`,
+      402,
+      'BUDGET_EXCEEDED'
+    );
+  }
+  if (budget.user?.exceeded) {
+    throw httpError(
+      `Presupuesto mensual de IA del usuario agotado (${budget.user.spent.toFixed(2)} de ${budget.user.limit} USD en ${budget.month})`,
+      402,
+      'BUDGET_EXCEEDED'
+    );
+  }
+}
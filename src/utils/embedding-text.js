@@ -1,20 +1,139 @@
+import { embeddingTemplate } from '../config/embedding-template.js';
+
+/**
+ * Versión de la plantilla de texto de embedding (config/embedding-template.js). Se guarda en cada activo
+ * (embeddingTemplateVersion) para encontrar los vectores generados con otra versión y refrescarlos.
+ */
+export const EMBEDDING_TEMPLATE_VERSION = embeddingTemplate.version;
+
+function getPath(obj, path) {
+  return path.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+function stripAccents(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC');
+}
+
+function placeholderKey(value) {
+  return String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Diccionarios de placeholders indexados (valor tal cual y compacto, sin espacios)
+const placeholderSets = Object.fromEntries(
+  Object.entries(embeddingTemplate.placeholders || {}).map(([name, values]) => {
+    const set = new Set();
+    for (const v of values) {
+      const key = placeholderKey(v);
+      set.add(key);
+      set.add(key.replace(/\s+/g, ''));
+    }
+    return [name, set];
+  })
+);
+
+/**
+ * true si el valor está en alguno de los diccionarios de placeholders indicados ("S/M", "N/A", "s m"...).
+ * @param {any} value
+ * @param {string[]} [dictionaries]
+ */
+export function isPlaceholderValue(value, dictionaries = ['common']) {
+  const key = placeholderKey(value);
+  if (!key) return true;
+  const compact = key.replace(/\s+/g, '');
+  return dictionaries.some((name) => placeholderSets[name]?.has(key) || placeholderSets[name]?.has(compact));
+}
+
+function applyNormalization(text, rules) {
+  let out = text;
+  if (rules.stripAccents) out = stripAccents(out);
+  if (rules.case === 'lower') out = out.toLowerCase();
+  if (rules.case === 'upper') out = out.toUpperCase();
+  if (rules.collapseWhitespace !== false) out = out.replace(/\s+/g, ' ');
+  if (rules.trim !== false) out = out.trim();
+  return out;
+}
+
+function fieldValue(asset, spec) {
+  const raw = getPath(asset, spec.field);
+  const values = (Array.isArray(raw) ? raw : [raw])
+    .filter((v) => v != null && typeof v !== 'object')
+    .map((v) => String(v))
+    .filter((v) => !isPlaceholderValue(v, spec.placeholders || []));
+  if (values.length === 0) return '';
+
+  const rules = { ...embeddingTemplate.normalize, ...spec.normalize };
+  let text = applyNormalization(values.join(' / '), rules);
+  if (spec.maxLength) text = text.slice(0, spec.maxLength).trim();
+  return text;
+}
+
 /**
- * Construye el texto de embedding de un activo para el MVP de conciliación.
- * Solo usa name + brand + model. El texto se normaliza: trim y colapso de espacios.
+ * Texto de embedding de un activo según la plantilla, con el motivo si no se puede embeber.
+ * @param {object} asset
+ * @returns {{ text: string, skipReason: string|null }} skipReason: "missing_<campo>" si falta un campo requerido
+ */
+export function buildAssetEmbeddingTextWithReason(asset) {
+  const parts = [];
+  for (const spec of embeddingTemplate.fields) {
+    const value = fieldValue(asset || {}, spec);
+    if (!value) {
+      if (spec.required) return { text: '', skipReason: `missing_${spec.field}` };
+      continue;
+    }
+    parts.push(spec.label ? `${spec.label} ${value}` : value);
+  }
+
+  const text = parts.join(embeddingTemplate.separator ?? ' ').slice(0, embeddingTemplate.maxLength).trim();
+  return { text, skipReason: text ? null : 'empty_text' };
+}
+
+/**
+ * Construye el texto de embedding de un activo (plantilla de config/embedding-template.js).
+ * Por defecto: name + brand + model, sin placeholders de inventario ("S/M", "N/A"...).
+ * Devuelve '' si falta un campo requerido.
  */
 export function buildAssetEmbeddingText(asset) {
-  const raw = [
-    asset.name || '',
-    asset.brand || '',
-    asset.model || '',
-  ].join(' ');
+  return buildAssetEmbeddingTextWithReason(asset).text;
+}
+
+/**
+ * Proyección Mongo con los campos que usa la plantilla (para leer solo lo necesario).
+ */
+export function getEmbeddingTemplateProjection() {
+  const projection = { _id: 1 };
+  for (const spec of embeddingTemplate.fields) projection[spec.field] = 1;
+  return projection;
+}
+
+/**
+ * Clave de una abreviatura: mayúsculas, sin acentos ni puntuación en los extremos ("Imp." -> "IMP").
+ */
+export function normalizeAbbreviationKey(token) {
+  return stripAccents(String(token || ''))
+    .toUpperCase()
+    .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
 
-  return raw.replace(/\s+/g, ' ').trim();
+function expandToken(token, abbreviations) {
+  const [, prefix, core, suffix] = token.match(/^([^\p{L}\p{N}]*)(.*?)([^\p{L}\p{N}]*)$/u);
+  const expansion = core ? abbreviations.get(normalizeAbbreviationKey(core)) : null;
+  if (!expansion) return token;
+  // El punto de abreviatura ("ESC.") desaparece con la expansión
+  return `${prefix}${expansion}${suffix === '.' ? '' : suffix}`;
 }
 
 /**
  * Normaliza un texto libre: trim y colapso de espacios múltiples.
+ * Con `abbreviations` (diccionario SAP, abbreviation.service.js) expande cada token abreviado:
+ * "IMP LASER HP" -> "IMPRESORA LASER HP".
+ * @param {string} text
+ * @param {{ abbreviations?: Map<string, string> }} [options]
  */
-export function normalizeText(text) {
-  return (text || '').replace(/\s+/g, ' ').trim();
+export function normalizeText(text, { abbreviations } = {}) {
+  const normalized = (text || '').replace(/\s+/g, ' ').trim();
+  if (!abbreviations || abbreviations.size === 0 || !normalized) return normalized;
+  return normalized
+    .split(' ')
+    .map((token) => expandToken(token, abbreviations))
+    .join(' ');
 }
@@ -0,0 +1,14 @@
+/**
+ * Error con el código HTTP que deben devolver los controladores (err.status) y, opcionalmente, un código
+ * de error estable para el cliente (err.code, ej. BUDGET_EXCEEDED).
+ * @param {string} message
+ * @param {number} status
+ * @param {string} [code]
+ * @returns {Error & { status: number, code?: string }}
+ */
+export function httpError(message, status, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
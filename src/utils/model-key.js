@@ -0,0 +1,126 @@
+import { isPlaceholderValue } from './embedding-text.js';
+
+/**
+ * Clave canónica de número de modelo: "LJ4000N", "LJ-4000 N" y "LaserJet 4000n" -> "LJ4000N".
+ * Se guarda en assets.modelKey (scripts/backfill-model-keys.js y el watcher de embeddings) y la búsqueda
+ * híbrida la compara con las claves extraídas de la query para dar un boost.
+ */
+
+// Prefijos de serie que se escriben completos o abreviados según la fuente (SAP vs inventario)
+export const MODEL_SERIES_ALIASES = {
+  'COLOR LASERJET': 'CLJ',
+  'COLORLASERJET': 'CLJ',
+  'LASER JET': 'LJ',
+  'LASERJET': 'LJ',
+  'DESK JET': 'DJ',
+  'DESKJET': 'DJ',
+  'OFFICE JET': 'OJ',
+  'OFFICEJET': 'OJ',
+  'PAGEWIDE': 'PW',
+  'THINKPAD': 'TP',
+  'THINKCENTRE': 'TC',
+  'OPTIPLEX': 'OPX',
+  'POWEREDGE': 'PE',
+  'PROLIANT': 'PL',
+};
+
+const MIN_KEY_LENGTH = 3;
+const MAX_KEY_LENGTH = 24;
+// Tokens consecutivos que se unen para reconstruir un modelo partido ("LJ 4000 N")
+const MAX_WINDOW = 3;
+// Sufijo de letras que se une a los números ("4000 N", "4000 DN"); más largo suele ser otra palabra
+const MAX_SUFFIX_LENGTH = 3;
+const MAX_QUERY_KEYS = 20;
+
+const aliasEntries = Object.entries(MODEL_SERIES_ALIASES).sort((a, b) => b[0].length - a[0].length);
+const aliasRegex = new RegExp(`\\b(${aliasEntries.map(([k]) => k.replace(/ /g, '\\s+')).join('|')})\\b`, 'g');
+
+function prepare(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(aliasRegex, (match) => MODEL_SERIES_ALIASES[match.replace(/\s+/g, ' ')] ?? match);
+}
+
+function isModelKey(key) {
+  return key.length >= MIN_KEY_LENGTH && key.length <= MAX_KEY_LENGTH && /\d/.test(key) && /[A-Z]/.test(key);
+}
+
+// Solo se unen tokens en un cambio letra/dígito: "LJ" + "4000", "4000" + "N"
+function canJoin(prev, next) {
+  if (/[A-Z]$/.test(prev) && /^\d/.test(next)) return true;
+  return /\d$/.test(prev) && /^[A-Z]+$/.test(next) && next.length <= MAX_SUFFIX_LENGTH;
+}
+
+/**
+ * Clave canónica del campo model de un activo, o null si es un placeholder ("S/M") o no parece un modelo
+ * (sin letras y dígitos). Sin separadores, con alias de serie y sin la marca al inicio ("HP LaserJet 4000n").
+ * @param {string} model
+ * @param {string} [brand]
+ * @returns {string|null}
+ */
+export function canonicalModelKey(model, brand) {
+  if (model == null || isPlaceholderValue(model, ['common', 'model'])) return null;
+  let key = prepare(model).replace(/[^A-Z0-9]/g, '');
+  const brandKey = brand == null ? '' : prepare(brand).replace(/[^A-Z0-9]/g, '');
+  if (brandKey && key.startsWith(brandKey) && isModelKey(key.slice(brandKey.length))) key = key.slice(brandKey.length);
+  return isModelKey(key) ? key : null;
+}
+
+/**
+ * Partes de una clave: tramos de letras y de dígitos ("LJ4000N" -> ["LJ", "4000", "N"]).
+ */
+export function splitModelKey(key) {
+  return String(key || '').match(/[A-Z]+|\d+/g) || [];
+}
+
+/**
+ * Claves de modelo candidatas en un texto libre (descripción SAP o query): cada token con letras y dígitos
+ * y las uniones de hasta 3 tokens consecutivos partidos entre letras y dígitos
+ * ("IMP HP LJ 4000 N" -> "LJ4000", "LJ4000N", "4000N").
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function extractModelKeys(text) {
+  const tokens = prepare(text)
+    .split(/\s+/)
+    .map((t) => t.replace(/[^A-Z0-9]/g, ''))
+    .filter(Boolean);
+
+  const keys = new Set();
+  for (let i = 0; i < tokens.length && keys.size < MAX_QUERY_KEYS; i++) {
+    let key = '';
+    for (let j = i; j < Math.min(tokens.length, i + MAX_WINDOW); j++) {
+      if (j > i && !canJoin(tokens[j - 1], tokens[j])) break;
+      key += tokens[j];
+      if (isModelKey(key)) keys.add(key);
+    }
+  }
+  return [...keys].slice(0, MAX_QUERY_KEYS);
+}
+
+/**
+ * Cómo coincide la clave de un activo con las de la query: "exact", "partial" (una es prefijo de la otra
+ * y comparten los tramos de dígitos: "LJ4000" vs "LJ4000N") o null. Si la query trae la clave y también
+ * una más larga que la extiende ("LJ 4000 N" da "LJ4000" y "LJ4000N"), la corta solo cuenta como parcial.
+ * @param {string|null} assetKey
+ * @param {string[]} queryKeys
+ * @returns {'exact'|'partial'|null}
+ */
+export function compareModelKeys(assetKey, queryKeys) {
+  if (!assetKey || queryKeys.length === 0) return null;
+  if (queryKeys.includes(assetKey)) {
+    const extended = queryKeys.some((key) => key.length > assetKey.length && key.startsWith(assetKey));
+    return extended ? 'partial' : 'exact';
+  }
+
+  const digits = (key) => splitModelKey(key).filter((p) => /\d/.test(p)).join('-');
+  const assetDigits = digits(assetKey);
+  const partial = queryKeys.some((key) => {
+    if (key.length < 4 || assetKey.length < 4) return false;
+    if (!key.startsWith(assetKey) && !assetKey.startsWith(key)) return false;
+    return digits(key) === assetDigits;
+  });
+  return partial ? 'partial' : null;
+}
@@ -0,0 +1,35 @@
+import { sleep } from './retry.js';
+
+/**
+ * Limitador de solicitudes por minuto (ventana deslizante de 60 s) dentro del proceso.
+ * @param {number} requestsPerMinute - 0 o negativo = sin límite
+ * @returns {{ acquire: () => Promise<void> }}
+ */
+export function createRateLimiter(requestsPerMinute) {
+  const limit = Number(requestsPerMinute) || 0;
+  const windowMs = 60 * 1000;
+  const timestamps = [];
+  // Encadena las esperas para que las solicitudes concurrentes respeten el orden
+  let queue = Promise.resolve();
+
+  async function waitForSlot() {
+    while (true) {
+      const now = Date.now();
+      while (timestamps.length > 0 && now - timestamps[0] >= windowMs) timestamps.shift();
+      if (timestamps.length < limit) {
+        timestamps.push(now);
+        return;
+      }
+      await sleep(windowMs - (now - timestamps[0]) + 5);
+    }
+  }
+
+  return {
+    acquire() {
+      if (limit <= 0) return Promise.resolve();
+      const slot = queue.then(waitForSlot);
+      queue = slot.catch(() => {});
+      return slot;
+    },
+  };
+}
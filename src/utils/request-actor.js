@@ -0,0 +1,12 @@
+/**
+ * Datos del usuario autenticado (JWT o API key) para historial y auditoría.
+ * @param {import('express').Request} req
+ * @returns {{ userId: any, userName: string|null, authType: string }}
+ */
+export function getRequestActor(req) {
+  return {
+    userId: req.user?.id ?? null,
+    userName: req.user?.name || req.user?.email || null,
+    authType: req.user?.authType || 'jwt',
+  };
+}
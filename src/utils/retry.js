@@ -0,0 +1,60 @@
+/**
+ * Reintentos con backoff exponencial + jitter para llamadas a APIs externas (OpenAI y compatibles).
+ */
+
+export function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * 429, 5xx y errores de red transitorios.
+ */
+export function isRetryableError(err) {
+  // La SDK de OpenAI expone el status HTTP en err.status
+  const status = err?.status || err?.response?.status;
+  return (
+    status === 429 ||
+    (status >= 500 && status <= 599) ||
+    err?.code === 'ETIMEDOUT' ||
+    err?.code === 'ECONNRESET' ||
+    err?.name === 'APIConnectionError' ||
+    err?.name === 'APIConnectionTimeoutError'
+  );
+}
+
+/**
+ * Espera indicada por el servidor (header Retry-After en segundos o retry-after-ms), si existe.
+ */
+function getRetryAfterMs(err) {
+  const headers = err?.headers || err?.response?.headers;
+  if (!headers) return null;
+  const get = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+  const ms = Number(get('retry-after-ms'));
+  if (Number.isFinite(ms) && ms > 0) return ms;
+  const seconds = Number(get('retry-after'));
+  if (Number.isFinite(seconds) && seconds > 0) return seconds * 1000;
+  return null;
+}
+
+/**
+ * Ejecuta fn() reintentando errores transitorios.
+ * Backoff: min(maxDelayMs, baseDelayMs * 2^(intento-1)) con "full jitter" (aleatorio entre 0 y ese valor),
+ * o el Retry-After del servidor si es mayor.
+ * @param {() => Promise<any>} fn
+ * @param {{ maxRetries?: number, baseDelayMs?: number, maxDelayMs?: number, label?: string }} [opts]
+ */
+export async function withRetry(fn, { maxRetries = 5, baseDelayMs = 1000, maxDelayMs = 30000, label = 'request' } = {}) {
+  let attempt = 0;
+  while (true) {
+    try {
+      return await fn();
+    } catch (err) {
+      attempt++;
+      if (!isRetryableError(err) || attempt > maxRetries) throw err;
+      const backoff = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+      const delay = Math.max(Math.round(Math.random() * backoff), getRetryAfterMs(err) ?? 0);
+      console.warn(`[Retry] ${label} falló (intento ${attempt}/${maxRetries}): ${err.message}. Backoff ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
@@ -0,0 +1,37 @@
+import crypto from 'crypto';
+
+/**
+ * Cursor opaco de paginación de búsquedas: posición en el ranking combinado + huella de la consulta.
+ * La huella evita reutilizar un cursor con otra query o filtros (las posiciones no serían comparables).
+ */
+
+/**
+ * Huella corta de una consulta (texto normalizado + filtros).
+ * @param {object} params
+ */
+export function buildSearchFingerprint(params) {
+  return crypto.createHash('sha1').update(JSON.stringify(params)).digest('base64url').slice(0, 16);
+}
+
+/**
+ * @param {{ offset: number, fingerprint: string }} cursor
+ * @returns {string}
+ */
+export function encodeSearchCursor({ offset, fingerprint }) {
+  return Buffer.from(JSON.stringify({ o: offset, f: fingerprint })).toString('base64url');
+}
+
+/**
+ * Decodifica un cursor; null si no es válido.
+ * @param {string} cursor
+ * @returns {{ offset: number, fingerprint: string }|null}
+ */
+export function decodeSearchCursor(cursor) {
+  try {
+    const { o, f } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Number.isInteger(o) || o < 0 || typeof f !== 'string') return null;
+    return { offset: o, fingerprint: f };
+  } catch {
+    return null;
+  }
+}